@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+// fg: one entry point for every job.
+//
+//   fg engagements [--dry-run] [--since <when>] [--force] [--manual]
+//   fg results     [--dry-run] [--since <when>] [--force]
+//   fg alerts      [--dry-run]
+//   fg tracking    [--dry-run]
+//   fg dashboard   [--dry-run]
+//   fg daemon      [--dry-run]
+//   fg login-check
+//   fg config check
+//
+// Options are handed to the script as the environment variables it reads
+// (FG_DRY_RUN, FG_SINCE, FORCE_POST, MANUAL_RUN), so `node <script>` with
+// those set is the same run. Secrets still come from the environment.
+
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+const OPTIONS = {
+  'dry-run': { env: 'FG_DRY_RUN', about: 'scrape and diff, print posts and Sheets/Docs rows instead of sending' },
+  since: { env: 'FG_SINCE', value: '<when>', about: 'replay changes recorded since then: 2026-10-17, 2026-10-17T08:30 (Paris), 6h, 2d' },
+  force: { env: 'FORCE_POST', about: 'post everything current, as if all of it were new' },
+  manual: { env: 'MANUAL_RUN', about: 'post the digest now instead of at the digest times' },
+};
+
+const COMMANDS = {
+  engagements: { script: 'scrape_engagements.js', options: ['dry-run', 'since', 'force', 'manual'], about: 'Scrape trainer engagements and post the digest' },
+  results: { script: 'scrape_results.js', options: ['dry-run', 'since', 'force'], about: 'Scrape results and post new ones' },
+  alerts: { script: 'scrape_race_alerts.js', options: ['dry-run'], about: 'Post alerts for DP-P races about to start' },
+  tracking: { script: 'check_tracking_reports.js', options: ['dry-run'], about: 'Post tracking reports of finished races' },
+  dashboard: { script: 'build_dashboard_data.js', options: ['dry-run'], about: 'Export the store for the dashboard' },
+  daemon: { script: 'daemon.js', options: ['dry-run'], about: 'Run every job in one process, polling around post times' },
+  'login-check': { script: 'login_check.js', options: [], about: 'Check the France Galop login' },
+  'config check': { script: 'config_check.js', options: [], about: 'Validate config/ and show what each job will do' },
+};
+
+function usage() {
+  const width = Math.max(...Object.keys(COMMANDS).map(c => c.length));
+  const lines = ['Usage: fg <command> [options]', '', 'Commands:'];
+  for (const [name, c] of Object.entries(COMMANDS)) {
+    const opts = c.options.map(o => '--' + o + (OPTIONS[o].value ? ' ' + OPTIONS[o].value : '')).join(' ');
+    lines.push('  ' + name.padEnd(width) + '  ' + c.about + (opts ? '  [' + opts + ']' : ''));
+  }
+  lines.push('', 'Options:');
+  for (const [name, o] of Object.entries(OPTIONS)) {
+    lines.push('  --' + (name + (o.value ? ' ' + o.value : '')).padEnd(16) + o.about);
+  }
+  return lines.join('\n');
+}
+
+function fail(message) {
+  console.error(message + '\n\n' + usage());
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const words = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') {
+      console.log(usage());
+      process.exit(0);
+    }
+    if (!arg.startsWith('--')) {
+      words.push(arg);
+      continue;
+    }
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    const option = OPTIONS[name];
+    if (!option) fail('Unknown option --' + name);
+    if (!option.value) {
+      options[name] = 'true';
+    } else if (inline !== undefined) {
+      options[name] = inline;
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      options[name] = argv[++i];
+    } else {
+      fail('--' + name + ' needs a value');
+    }
+  }
+  return { command: words.join(' '), options };
+}
+
+const { command, options } = parseArgs(process.argv.slice(2));
+if (!command) fail('Missing command');
+const spec = COMMANDS[command];
+if (!spec) fail('Unknown command "' + command + '"');
+
+for (const [name, value] of Object.entries(options)) {
+  if (!spec.options.includes(name)) fail('fg ' + command + ' does not take --' + name);
+  process.env[OPTIONS[name].env] = value;
+}
+
+// The scripts read config/ and data/ relative to the repo root; paths given
+// in the environment stay relative to where fg was run
+for (const name of ['FG_DB_FILE', 'FG_FIXTURE_DIR']) {
+  if (process.env[name]) process.env[name] = path.resolve(process.env[name]);
+}
+process.chdir(ROOT);
+
+// Job scripts export main() (and only run it themselves under `node <script>`);
+// config_check.js runs as it loads
+const script = require(path.join(ROOT, spec.script));
+if (script.main) {
+  script.main().catch((err) => {
+    console.error('❌ ' + err.message);
+    process.exit(1);
+  });
+}
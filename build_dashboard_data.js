@@ -1,68 +1,78 @@
 // build_dashboard_data.js
-// Combines all scraped data into a single dashboard_data.json for the frontend
+// Exports the SQLite store (data/fg.db) to data/dashboard_data.json for the frontend
 // Run by GitHub Actions after scraping
 
+const crypto = require('crypto');
 const fs = require('fs/promises');
 const path = require('path');
+const { now, getParisDateParts, fromParisTime } = require('./lib/clock');
+const { cleanHorseNameForSheet } = require('./lib/text');
+const { decodeStatus, formatStatus } = require('./lib/status');
+const { horseIdFromUrl } = require('./lib/ids');
+const { buildCalendar } = require('./lib/ics');
+const { isRunner, findRunner } = require('./lib/race_card');
+const { listEngagements, loadTransitions, listResults, getRaceResults, loadStoredRaces } = require('./lib/store');
+const { loadSettings } = require('./lib/config');
+const { isDryRun } = require('./lib/dry_run');
 
-const DATA_DIR = 'data';
-const OUTPUT_FILE = path.join(DATA_DIR, 'dashboard_data.json');
-
-// Input files from scrapers
-const SEEN_FILE = path.join(DATA_DIR, 'seen.json');
-const RACE_HISTORY = path.join(DATA_DIR, 'race_history.json');
-const STORED_RACES = path.join(DATA_DIR, 'stored_races.json');
-
-async function loadJSON(filepath, defaultValue) {
-  try {
-    const content = await fs.readFile(filepath, 'utf8');
-    return JSON.parse(content);
-  } catch (err) {
-    console.log('Could not load ' + filepath + ': ' + err.message);
-    return defaultValue;
-  }
+const OUTPUT_FILE = loadSettings().paths.dashboardFile;
+const CALENDAR_FILE = loadSettings().paths.calendarFile;
+
+// How long a race blocks the calendar from its post time
+const RACE_EVENT_MINUTES = 30;
+
+// Status changes for one engagement as [{ status, label, from, fromLabel, at }], oldest first
+function buildTimeline(transitions, trainer, key) {
+  const byKey = transitions.get(trainer);
+  const list = (byKey && byKey.get(key)) || [];
+  return list.map(function(t) {
+    return {
+      status: t.newStatut,
+      label: formatStatus(t.newStatut),
+      from: t.oldStatut || '',
+      fromLabel: formatStatus(t.oldStatut),
+      at: new Date(t.observedAt).toISOString()
+    };
+  });
 }
 
-function parseEngagements(seenData) {
+function parseEngagements(rows, transitions) {
   const engagements = [];
 
-  for (const [key, value] of seenData) {
-    const parts = key.split(' | ');
-    if (parts.length >= 5) {
-      let horseName = parts[0];
-      horseName = horseName.replace(/\s+(gb|ire|fr|usa)\s+/gi, ' ');
-      horseName = horseName.replace(/\s+[mfh]\.?\s*\d+\s*a?\.?\s*$/i, '');
-      horseName = horseName.replace(/\.?p\.?s\./gi, '');
-      horseName = horseName.replace(/\s*\(sup\.?\)/gi, '');
-      horseName = horseName.replace(/\s*\.\.\..*$/, '');
-      horseName = horseName.trim();
-
-      horseName = horseName
-        .toLowerCase()
-        .split(' ')
-        .map(function(w) { return w.charAt(0).toUpperCase() + w.slice(1); })
-        .join(' ');
-
-      // Extract category from race name - format: "RACE NAME ((C2))" or "RACE NAME ((RECL.))"
-      let raceName = parts[3] || '';
-      let cat = '';
-      const catMatch = raceName.match(/\(\(([^)]+)\)\)\s*$/);
-      if (catMatch) {
-        cat = catMatch[1].trim();
-        raceName = raceName.replace(/\s*\(\([^)]+\)\)\s*$/, '').trim();
-      }
-
-      engagements.push({
-        horse: horseName,
-        date: parts[1],
-        track: parts[2],
-        race: raceName,
-        distance: parts[4],
-        cat: cat,
-        status: value.statut || '',
-        lastUpdate: value.last
-      });
+  for (const fields of rows) {
+    if (!fields.horse) continue;
+
+    const horseName = cleanHorseNameForSheet(fields.horse);
+
+    // Extract category from race name - format: "RACE NAME ((C2))" or "RACE NAME ((RECL.))"
+    let raceName = fields.race || '';
+    let cat = (fields.cat || '').replace(/[()]/g, '').trim();
+    const catMatch = raceName.match(/\(\(([^)]+)\)\)\s*$/);
+    if (catMatch) {
+      cat = catMatch[1].trim();
+      raceName = raceName.replace(/\s*\(\([^)]+\)\)\s*$/, '').trim();
     }
+
+    const status = decodeStatus(fields.statut);
+
+    engagements.push({
+      horse: horseName,
+      date: fields.date,
+      track: fields.track,
+      race: raceName,
+      distance: fields.dist,
+      cat: cat,
+      status: fields.statut || '',
+      stage: status.stage,
+      stageLabel: formatStatus(fields.statut),
+      phase: status.phase,
+      trainer: fields.trainer,
+      owner: fields.owner || '',
+      raceUrl: fields.raceUrl || '',
+      horseUrl: fields.horseUrl || '',
+      lastUpdate: fields.last,
+      timeline: buildTimeline(transitions, fields.trainer, fields.key)
+    });
   }
 
   engagements.sort(function(a, b) {
@@ -94,63 +104,287 @@ function parseUpcoming(storedRaces) {
       race: r.race || r.raceName || '',
       distance: r.distance || r.dist || '',
       cat: r.cat || '',
+      postTime: r.postTime ? r.postTime.formatted : '',
       raceUrl: r.raceUrl || '',
-      horseUrl: r.horseUrl || ''
+      horseUrl: r.horseUrl || '',
+      runners: (r.runners || []).map(function(runner) {
+        return Object.assign({}, runner, { ours: isRunner(runner, r) });
+      })
     };
   });
 }
 
-(async function() {
+// Finishing place as a number, null for falls, disqualifications etc. ("TB", "DAI")
+function parsePlace(position) {
+  return /^\d+$/.test(position || '') ? parseInt(position, 10) : null;
+}
+
+// "7.320" -> 7320 (euros, "." groups thousands and "," marks cents)
+function parseGain(gain) {
+  const n = parseFloat((gain || '').replace(/\./g, '').replace(',', '.'));
+  return isNaN(n) ? 0 : n;
+}
+
+// "22/08/2026" -> "2026-08-22" (sorts as text)
+function isoDate(dateStr) {
+  const parts = (dateStr || '').split('/');
+  return parts.length === 3 ? parts[2] + '-' + parts[1] + '-' + parts[0] : '';
+}
+
+// Runs, wins, places (1st to 3rd), strike rate (% of runs won) and earnings
+function summarize(results) {
+  const runs = results.filter(function(r) { return r.position !== 'NP' && r.position !== ''; });
+  const wins = runs.filter(function(r) { return r.place === 1; }).length;
+  const places = runs.filter(function(r) { return r.place !== null && r.place <= 3; }).length;
+  return {
+    runs: runs.length,
+    wins: wins,
+    places: places,
+    strikeRate: runs.length ? Math.round(wins / runs.length * 1000) / 10 : 0,
+    earnings: runs.reduce(function(sum, r) { return sum + r.earnings; }, 0)
+  };
+}
+
+// summarize() per value of keyFn, as [{ key, runs, wins, ... }] by earnings then wins
+function summarizeBy(results, keyFn) {
+  const groups = new Map();
+  for (const r of results) {
+    const key = keyFn(r);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(r);
+  }
+  return Array.from(groups, function([key, list]) {
+    return Object.assign({ key: key }, summarize(list));
+  }).sort(function(a, b) {
+    return b.earnings - a.earnings || b.wins - a.wins || b.runs - a.runs;
+  });
+}
+
+function buildStats(results) {
+  return {
+    overall: summarize(results),
+    byHorse: summarizeBy(results, function(r) { return r.horse; }),
+    byJockey: summarizeBy(results, function(r) { return r.jockey; }),
+    byTrack: summarizeBy(results, function(r) { return r.track; }),
+    // Oldest month first
+    byMonth: summarizeBy(results, function(r) { return r.isoDate.slice(0, 7); }).sort(function(a, b) {
+      return a.key.localeCompare(b.key);
+    })
+  };
+}
+
+// Horse id for a row: the id in its France Galop URL, else the id another row
+// with the same (cleaned) name has, else "name:<name>"
+function horseIdResolver(rowLists) {
+  const idsByName = new Map();
+  for (const rows of rowLists) {
+    for (const r of rows) {
+      const id = horseIdFromUrl(r.horseUrl);
+      if (id && r.horse) idsByName.set(r.horse.toLowerCase(), id);
+    }
+  }
+  return function(r) {
+    const name = (r.horse || '').toLowerCase();
+    return horseIdFromUrl(r.horseUrl) || idsByName.get(name) || 'name:' + name;
+  };
+}
+
+// One profile per horse: current entries (with post times once declared),
+// the statut history of all its engagements (newest first), past results
+// with their stats, days since its last run and its owner
+function buildHorses(engagements, futureEngagements, upcoming, results, today) {
+  const horses = new Map();
+  const horseFor = function(r) {
+    if (!horses.has(r.horseId)) {
+      horses.set(r.horseId, {
+        id: r.horseId, name: r.horse, horseUrl: '', owner: '',
+        entries: [], timeline: [], results: []
+      });
+    }
+    const horse = horses.get(r.horseId);
+    if (!horse.horseUrl && r.horseUrl) horse.horseUrl = r.horseUrl;
+    if (r.owner) horse.owner = r.owner;
+    return horse;
+  };
+
+  const postTimes = new Map(upcoming.map(function(r) { return [r.raceUrl, r.postTime]; }));
+
+  for (const e of engagements) {
+    const horse = horseFor(e);
+    for (const t of e.timeline) {
+      horse.timeline.push(Object.assign({ date: e.date, track: e.track, race: e.race, raceUrl: e.raceUrl }, t));
+    }
+  }
+  for (const e of futureEngagements) {
+    horseFor(e).entries.push(Object.assign({ postTime: postTimes.get(e.raceUrl) || '' }, e));
+  }
+  // Results are newest first, so the latest owner and name win
+  for (const r of results.slice().reverse()) {
+    const horse = horseFor(r);
+    horse.name = r.horse;
+    horse.results.unshift(r);
+  }
+
+  return Array.from(horses.values(), function(horse) {
+    horse.entries.sort(function(a, b) { return parseDate(a.date) - parseDate(b.date); });
+    horse.timeline.sort(function(a, b) { return b.at.localeCompare(a.at); });
+    const lastRun = horse.results.map(function(r) { return r.isoDate; }).sort().pop() || null;
+    return Object.assign(horse, {
+      stats: summarize(horse.results),
+      lastRun: lastRun,
+      daysSinceLastRun: lastRun ? Math.round((Date.parse(today) - Date.parse(lastRun)) / 86400000) : null
+    });
+  }).sort(function(a, b) {
+    return a.name.localeCompare(b.name, 'fr');
+  });
+}
+
+// Calendar events for declared races (timed, from the post time once known)
+// and open engagements (all day). Withdrawn engagements are left out.
+function calendarEvents(futureEngagements, upcoming, builtAt) {
+  const entryId = function(r) { return r.horseId + '|' + (r.raceUrl || [r.date, r.track, r.race].join('|')); };
+  const declared = new Map(upcoming.map(function(r) { return [entryId(r), r]; }));
+  const seen = new Set();
+
+  const when = function(e) { return isoDate(e.date) + ' ' + ((declared.get(entryId(e)) || {}).postTime || ''); };
+  const entries = futureEngagements.filter(function(e) { return e.phase !== 'out'; }).concat(upcoming).sort(function(a, b) {
+    return when(a).localeCompare(when(b));
+  });
+  const events = [];
+  for (const e of entries) {
+    const id = entryId(e);
+    if (seen.has(id)) continue;
+    seen.add(id);
+
+    const race = declared.get(id);
+    // Post times read "14h31"
+    const hm = race && race.postTime.match(/(\d{1,2})\D(\d{2})/);
+    const postTime = hm ? [parseInt(hm[1], 10), parseInt(hm[2], 10)] : null;
+    const date = isoDate(e.date);
+    const start = postTime ? fromParisTime(date, postTime[0], postTime[1]) : date;
+    const stamps = (e.timeline || []).map(function(t) { return t.at; }).sort();
+
+    events.push({
+      // Same id in every build, so calendar apps update the event in place
+      uid: crypto.createHash('sha1').update(id).digest('hex').slice(0, 20) + '@fg-engagements',
+      stamp: stamps.length ? new Date(stamps[stamps.length - 1]) : builtAt,
+      start: start,
+      end: postTime ? new Date(start.getTime() + RACE_EVENT_MINUTES * 60 * 1000) : undefined,
+      summary: (race ? '🏇 ' : '') + cleanHorseNameForSheet(e.horse) + ' — ' + (e.track || '?'),
+      location: e.track,
+      description: [
+        [e.race, e.cat].filter(Boolean).join(' - '),
+        e.distance ? e.distance.replace('.', '') + 'm' : '',
+        race ? 'Déclaré partant' + (race.postTime ? ', départ ' + race.postTime : '') : e.stageLabel
+      ].filter(Boolean).join('\n'),
+      url: e.raceUrl
+    });
+  }
+  return events;
+}
+
+async function main() {
   console.log('Building dashboard data...\n');
 
-  const seenData = await loadJSON(SEEN_FILE, []);
-  const raceHistory = await loadJSON(RACE_HISTORY, []);
-  const storedRaces = await loadJSON(STORED_RACES, { races: [] });
+  const engagementRows = listEngagements();
+  const raceHistory = listResults();
+  const raceResults = getRaceResults();
+  const storedRaces = loadStoredRaces();
 
-  const raceCount = storedRaces.races ? storedRaces.races.length : 0;
   console.log('Loaded:');
-  console.log('  - ' + seenData.length + ' engagement records');
-  console.log('  - ' + raceHistory.length + ' race history records');
-  console.log('  - ' + raceCount + ' upcoming races');
+  console.log('  - ' + engagementRows.length + ' engagement records');
+  console.log('  - ' + raceHistory.length + ' race results');
+  console.log('  - ' + storedRaces.races.length + ' DP-P races with post times');
 
-  const engagements = parseEngagements(seenData);
+  const engagements = parseEngagements(engagementRows, loadTransitions());
 
-  const today = new Date();
+  const today = now();
   today.setHours(0, 0, 0, 0);
   const futureEngagements = engagements.filter(function(e) {
     return parseDate(e.date) >= today;
   });
 
-  const upcoming = parseUpcoming(storedRaces);
+  const upcoming = parseUpcoming(storedRaces).filter(function(r) {
+    return parseDate(r.date) >= today;
+  });
 
+  // Race details read from the course page (lib/race_result.js), when there
+  // are any; the finishing order keeps what the results table shows
   const results = raceHistory.map(function(r) {
+    const details = raceResults.get(r.raceUrl);
+    const finishers = details ? details.finishers : [];
+    const ours = findRunner(finishers, r);
     return {
       horse: r.horse || '',
       date: r.date || '',
       track: r.track || '',
-      race: r.race || '',
+      race: r.cat || '',
       distance: r.distance || '',
       position: r.position || '',
       jockey: r.jockey || '',
       gain: r.gain || '',
+      owner: r.owner || '',
+      place: parsePlace(r.position),
+      earnings: parseGain(r.gain),
+      isoDate: isoDate(r.date),
       raceUrl: r.raceUrl || '',
-      horseUrl: r.horseUrl || ''
+      horseUrl: r.horseUrl || '',
+      raceName: (details && details.raceName) || r.race || '',
+      going: details ? details.going : '',
+      winningTime: details ? details.winningTime : '',
+      margin: ours ? ours.margin : '',
+      finishers: finishers.map(function(f) {
+        return { place: f.place, number: f.number, horse: f.horse, jockey: f.jockey, margin: f.margin, ours: f === ours };
+      })
     };
   });
 
+  // Every row links to its horse's profile
+  const horseId = horseIdResolver([engagements, upcoming, results]);
+  for (const r of engagements.concat(upcoming, results)) r.horseId = horseId(r);
+
   const dashboardData = {
-    lastUpdate: new Date().toISOString(),
+    lastUpdate: now().toISOString(),
     upcoming: upcoming,
     engagements: futureEngagements,
-    results: results
+    results: results,
+    stats: buildStats(results),
+    horses: buildHorses(engagements, futureEngagements, upcoming, results, getParisDateParts().date)
   };
 
-  await fs.mkdir(DATA_DIR, { recursive: true });
-  await fs.writeFile(OUTPUT_FILE, JSON.stringify(dashboardData, null, 2), 'utf8');
+  const json = JSON.stringify(dashboardData, null, 2);
+  if (isDryRun()) {
+    console.log('🧪 Would write ' + json.length + ' bytes to ' + OUTPUT_FILE);
+  } else {
+    await fs.mkdir(path.dirname(OUTPUT_FILE), { recursive: true });
+    await fs.writeFile(OUTPUT_FILE, json, 'utf8');
+  }
+
+  const events = calendarEvents(futureEngagements, upcoming, now());
+  const ics = buildCalendar({ name: 'FG Engagements', events: events });
+  if (isDryRun()) {
+    console.log('🧪 Would write ' + events.length + ' events to ' + CALENDAR_FILE);
+  } else {
+    await fs.mkdir(path.dirname(CALENDAR_FILE), { recursive: true });
+    await fs.writeFile(CALENDAR_FILE, ics, 'utf8');
+  }
 
   console.log('\nBuilt dashboard_data.json:');
   console.log('  - ' + dashboardData.upcoming.length + ' upcoming races');
   console.log('  - ' + dashboardData.engagements.length + ' future engagements');
   console.log('  - ' + dashboardData.results.length + ' race results (with URLs)');
+  console.log('  - ' + dashboardData.horses.length + ' horse profiles');
+  console.log('  - stats for ' + dashboardData.stats.byHorse.length + ' horses, ' + dashboardData.stats.byJockey.length + ' jockeys, ' + dashboardData.stats.byTrack.length + ' tracks');
+  console.log('\nBuilt ' + path.basename(CALENDAR_FILE) + ': ' + events.length + ' events');
   console.log('\nDone!');
-})();
+}
+
+if (require.main === module) {
+  main().catch(function(err) {
+    console.error('❌ ' + err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { main };
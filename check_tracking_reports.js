@@ -2,66 +2,52 @@
 // France Galop login: FRANCE_GALOP_EMAIL, FRANCE_GALOP_PASSWORD
 
 const { chromium } = require('playwright');
-const fs = require('fs/promises');
-const path = require('path');
-const { ensureLoggedIn, loadSessionStorageState } = require('./lib/fg_login');
+const { ensureLoggedIn, LoginError } = require('./lib/fg_login');
+const { openPage } = require('./lib/browser');
+const { isReplay, attachFixtures, snapshotPage, listSnapshots, writeFixtureOutput } = require('./lib/fixtures');
+const { now } = require('./lib/clock');
+const {
+  openStore, inTransaction, listPendingTracking, markTrackingPosted, markTrackingExpired, saveTrackingSectionals, listHorseTracking,
+  getRaceDistance,
+} = require('./lib/store');
+const { fetchTrackingReport, formatSeconds, LAST_DISTANCES } = require('./lib/tracking_pdf');
+const { findRunner } = require('./lib/race_card');
+const { formatLink } = require('./lib/discord');
+const { createNotifier, deliverOutbox } = require('./lib/notifier');
+const { loadSubscribers, notifySubscribers } = require('./lib/rules');
+const { isDryRun } = require('./lib/dry_run');
+const { loadSettings } = require('./lib/config');
+
+const settings = loadSettings();
+const PAGE_TRIES = settings.browser.pageTries.tracking;
 
 const WEBHOOK = process.env.DISCORD_WEBHOOK_RESULTS;
 const FG_EMAIL = process.env.FRANCE_GALOP_EMAIL;
 const FG_PASSWORD = process.env.FRANCE_GALOP_PASSWORD;
 
-if (!WEBHOOK) {
+if (!WEBHOOK && !isReplay() && !isDryRun()) {
   console.error('Missing DISCORD_WEBHOOK_RESULTS');
   process.exit(1);
 }
 
+const notifier = createNotifier(WEBHOOK);
+
 if (!FG_EMAIL || !FG_PASSWORD) {
   console.warn('⚠️ Missing FRANCE_GALOP_EMAIL or FRANCE_GALOP_PASSWORD - login may fail');
 }
 
-const STORE_DIR = 'data';
-const PENDING_FILE = path.join(STORE_DIR, 'pending_tracking.json');
-const POSTED_FILE = path.join(STORE_DIR, 'posted_tracking.json');
-
-async function loadPendingTracking() {
-  try {
-    const txt = await fs.readFile(PENDING_FILE, 'utf8');
-    return JSON.parse(txt);
-  } catch {
-    return [];
-  }
-}
-
-async function savePendingTracking(arr) {
-  await fs.writeFile(PENDING_FILE, JSON.stringify(arr, null, 2), 'utf8');
-}
-
-async function loadPostedTracking() {
-  try {
-    const txt = await fs.readFile(POSTED_FILE, 'utf8');
-    return new Set(JSON.parse(txt));
-  } catch {
-    return new Set();
-  }
-}
-
-async function savePostedTracking(set) {
-  const arr = Array.from(set).slice(-500); // keep last 500
-  await fs.writeFile(POSTED_FILE, JSON.stringify(arr, null, 2), 'utf8');
-}
-
 async function checkForTracking(page, raceUrl) {
   try {
-    // Retry page load up to 3 times with increasing delays
+    // Retry page load with increasing delays (browser.pageTries.tracking)
     let loaded = false;
-    for (let attempt = 1; attempt <= 3; attempt++) {
+    for (let attempt = 1; attempt <= PAGE_TRIES; attempt++) {
       try {
         await page.goto(raceUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
         loaded = true;
         break;
       } catch (err) {
-        console.log(`  Attempt ${attempt}/3 failed: ${err.message}`);
-        if (attempt === 3) throw err;
+        console.log(`  Attempt ${attempt}/${PAGE_TRIES} failed: ${err.message}`);
+        if (attempt === PAGE_TRIES) throw err;
         await new Promise(r => setTimeout(r, attempt * 5000));
       }
     }
@@ -78,6 +64,8 @@ async function checkForTracking(page, raceUrl) {
     }
     await page.waitForTimeout(500);
 
+    await snapshotPage(page, 'tracking', raceUrl);
+
     // Look for tracking report link (PDF with "tracking" or "last_times" in the URL)
     const trackingLinks = page.locator('a[href*="Tracking"], a[href*="last_times"], a:has-text("Tracking"), a:has-text("Rapport")');
 
@@ -108,34 +96,126 @@ async function checkForTracking(page, raceUrl) {
   }
 }
 
-(async () => {
-  let pending = await loadPendingTracking();
-  const posted = await loadPostedTracking();
+// Download, archive and parse the tracking report of `race`. A report that
+// can't be read is logged and posted as a link only.
+async function readTrackingReport(page, race, trackingUrl) {
+  try {
+    const { file, horses } = await fetchTrackingReport(page, trackingUrl, {
+      archiveDir: isDryRun() ? null : settings.paths.trackingDir,
+      name: race.date.split('/').reverse().join('-') + ' ' + race.horse,
+    });
+    console.log(`  📄 ${file || 'PDF'}: ${horses.length} horses`);
+    return { pdfFile: file, horses };
+  } catch (err) {
+    console.error(`  ⚠️ Could not read the tracking PDF: ${err.message}`);
+    return { pdfFile: null, horses: [] };
+  }
+}
+
+// 62.4 -> "62,4"
+const decimal = (n, digits) => n.toFixed(digits).replace('.', ',');
+const signed = (n, text) => (n > 0 ? '+' : n < 0 ? '−' : '±') + text;
+
+// Lines of the post for our horse's tracking data, compared with its
+// previous tracked run when there is one. `raceDistance` (metres, or null)
+// on both says whether the two races were run over the same distance.
+function trackingLines(ours, previous) {
+  const lines = [];
+  const about = [];
+  if (ours.topSpeed) about.push(`🚀 Vmax ${decimal(ours.topSpeed, 1)} km/h`);
+  if (ours.distanceCovered) about.push(`📏 ${Math.round(ours.distanceCovered)} m parcourus`);
+  if (about.length) lines.push('• **Tracking:** ' + about.join(' • '));
+
+  const last = LAST_DISTANCES.filter(d => ours.lastSplits[d]).map(d => `${d}m ${formatSeconds(ours.lastSplits[d])}`);
+  if (last.length) lines.push('• **Derniers:** ' + last.join(' • '));
+  if (ours.sectionals.length) {
+    lines.push('• **Sections:** ' + ours.sectionals.map(s => `${s.label} ${formatSeconds(s.seconds)}`).join(' · '));
+  }
+
+  if (previous) {
+    const sameDistance = !!ours.raceDistance && previous.raceDistance === ours.raceDistance;
+    const diffs = [];
+    if (ours.topSpeed && previous.topSpeed) {
+      diffs.push('Vmax ' + signed(ours.topSpeed - previous.topSpeed, decimal(Math.abs(ours.topSpeed - previous.topSpeed), 1) + ' km/h'));
+    }
+    // The longest last split both runs have
+    for (const d of LAST_DISTANCES) {
+      if (!ours.lastSplits[d] || !previous.lastSplits[d]) continue;
+      const diff = ours.lastSplits[d] - previous.lastSplits[d];
+      diffs.push(`${d}m ` + signed(diff, formatSeconds(Math.abs(diff))));
+      break;
+    }
+    // Metres covered only compare over the same race distance
+    if (sameDistance && ours.distanceCovered && previous.distanceCovered) {
+      const diff = Math.round(ours.distanceCovered - previous.distanceCovered);
+      diffs.push(signed(diff, Math.abs(diff) + ' m'));
+    }
+    if (diffs.length) {
+      const when = [
+        previous.date,
+        previous.hippodrome,
+        !sameDistance && previous.raceDistance ? previous.raceDistance + ' m' : '',
+      ].filter(Boolean).join(' - ');
+      lines.push(`• **Vs. course précédente${when ? ' (' + when + ')' : ''}:** ` + diffs.join(' • '));
+    }
+  }
+  return lines;
+}
+
+// Re-parse every recorded course detail page and write the tracking links found.
+async function replayTrackingChecks() {
+  const raceUrls = await listSnapshots('tracking');
+  console.log(`🎞️ Replaying ${raceUrls.length} recorded race pages`);
+
+  const browser = await chromium.launch({ headless: true });
+  const ctx = await browser.newContext();
+  await attachFixtures(ctx);
+  const page = await ctx.newPage();
+  page.setDefaultTimeout(60000);
+
+  const trackingUrls = {};
+  try {
+    for (const raceUrl of raceUrls) {
+      trackingUrls[raceUrl] = await checkForTracking(page, raceUrl);
+    }
+  } finally {
+    await browser.close();
+  }
+
+  await writeFixtureOutput('tracking', trackingUrls);
+}
+
+async function main() {
+  if (isReplay()) {
+    await replayTrackingChecks();
+    return;
+  }
+
+  openStore();
+  const subscribers = loadSubscribers();
+  const pending = listPendingTracking();
 
   if (pending.length === 0) {
     console.log('No pending tracking reports to check');
-    process.exit(0);
+    await deliverOutbox();
+    return;
   }
 
   console.log(`Checking ${pending.length} races for tracking reports...`);
 
-  const now = Date.now();
-  const MAX_TRACKING_WAIT = 90 * 60 * 1000;
+  const nowMs = now().getTime();
+  const MAX_TRACKING_WAIT = settings.tracking.maxWaitMinutes * 60 * 1000;
   const found = [];
-  const stillPending = [];
+  let stillPending = 0;
 
   // Filter races first before launching browser
   const racesToCheck = [];
   for (const race of pending) {
-    const age = now - race.addedAt;
-
-    if (posted.has(race.raceUrl)) {
-      console.log(`⏭️  ${race.horse} (${race.date}) - already posted, removing from queue`);
-      continue;
-    }
+    const age = nowMs - race.addedAt;
 
     if (age > MAX_TRACKING_WAIT) {
-      console.log(`⏱️  ${race.horse} (${race.date}) - exceeded 90min, removing from queue`);
+      console.log(`⏱️  ${race.horse} (${race.date}) - exceeded ${settings.tracking.maxWaitMinutes}min, removing from queue`);
+      markTrackingExpired(race.raceUrl);
       continue;
     }
 
@@ -144,68 +224,80 @@ async function checkForTracking(page, raceUrl) {
 
   // Only launch browser if we have races to check
   if (racesToCheck.length > 0) {
-    const browser = await chromium.launch({ headless: true });
-    const storageState = await loadSessionStorageState();
-    const ctx = await browser.newContext({
-      userAgent: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 Chrome/120 Safari/537.36',
-      storageState,
-    });
-    const page = await ctx.newPage();
-    page.setDefaultTimeout(60000);
+    const { ctx, page, close } = await openPage({ timeout: 60000 });
 
-    // Prime the session via /fr/login; if cached cookies are still valid,
-    // ensureLoggedIn is a no-op. Otherwise it drives the CIAM flow.
     try {
-      await page.goto('https://www.france-galop.com/fr/login', { waitUntil: 'domcontentloaded', timeout: 60000 });
-      await ensureLoggedIn(page, ctx, {
-        email: FG_EMAIL,
-        password: FG_PASSWORD,
-        targetUrl: 'https://www.france-galop.com/fr',
-      });
-    } catch (err) {
-      console.error('❌ France Galop login failed: ' + err.message);
-      await browser.close();
-      process.exit(1);
-    }
+      // Prime the session via /fr/login; if cached cookies are still valid,
+      // ensureLoggedIn is a no-op. Otherwise it drives the CIAM flow.
+      try {
+        await page.goto('https://www.france-galop.com/fr/login', { waitUntil: 'domcontentloaded', timeout: 60000 });
+        await ensureLoggedIn(page, ctx, {
+          email: FG_EMAIL,
+          password: FG_PASSWORD,
+          targetUrl: 'https://www.france-galop.com/fr',
+        });
+      } catch (err) {
+        throw new LoginError(err);
+      }
 
-    try {
       for (const { race, age } of racesToCheck) {
         console.log(`Checking tracking for: ${race.horse} (${race.date})...`);
         const trackingUrl = await checkForTracking(page, race.raceUrl);
 
         if (trackingUrl) {
           console.log(`✅ Found tracking report for ${race.horse}!`);
-          found.push({ ...race, trackingUrl });
-          posted.add(race.raceUrl);
+          found.push({ ...race, trackingUrl, ...await readTrackingReport(page, race, trackingUrl) });
         } else {
           const ageMinutes = Math.round(age / (60 * 1000));
           console.log(`⏳ No tracking yet for ${race.horse} (age: ${ageMinutes}min)`);
-          stillPending.push(race);
+          stillPending++;
         }
       }
     } finally {
-      await browser.close();
+      await close();
     }
   }
 
   // Post tracking reports to Discord
   for (const r of found) {
-    const content = `📊 **RAPPORT DE TRACKING DISPONIBLE**\n• **Cheval:** ${r.horse}\n• **Course:** [${r.date} - ${r.hippodrome}](${r.raceUrl})\n• [**📄 Tracking Report**](${r.trackingUrl})`;
-
-    const res = await fetch(WEBHOOK, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ content, allowed_mentions: { parse: [] } }),
+    // Our horse in the PDF is matched by name: the report has no links
+    const runner = findRunner(r.horses, r);
+    const ours = runner && { ...runner, raceDistance: getRaceDistance(r.raceUrl) };
+    // Compared with its last run over the same distance, else its last run
+    const runs = ours ? listHorseTracking(r.horse).filter(t => t.raceUrl !== r.raceUrl) : [];
+    const previous = runs.find(t => ours.raceDistance && t.raceDistance === ours.raceDistance) || runs[0] || null;
+    const content = [
+      `📊 **RAPPORT DE TRACKING DISPONIBLE**`,
+      `• **Cheval:** ${r.horse}`,
+      `• **Course:** [${r.date} - ${r.hippodrome}](${r.raceUrl})`,
+      `• [**📄 Tracking Report**](${r.trackingUrl})`,
+      ...(ours ? trackingLines(ours, previous) : []),
+    ].join('\n');
+    const { horses, pdfFile, ...item } = r;
+    item.speedText = ours && ours.topSpeed ? ` — 🚀 ${decimal(ours.topSpeed, 1)} km/h` : '';
+
+    inTransaction(() => {
+      if (horses.length) saveTrackingSectionals(r.raceUrl, horses);
+      notifier.queue({ text: content }, { key: 'tracking:' + r.raceUrl });
+      notifySubscribers(subscribers, 'tracking', [{ ...item, track: r.hippodrome }], {
+        key: 'tracking:' + r.raceUrl,
+        text: content,
+        formatLine: (t) => `• **${t.horse}** — ${formatLink(t.date + ' - ' + t.hippodrome, t.raceUrl)} — ${formatLink('📄 Tracking Report', t.trackingUrl)}${t.speedText}`,
+      });
+      markTrackingPosted(r.raceUrl, r.trackingUrl, pdfFile);
     });
-
-    if (!res.ok) {
-      console.error('Discord webhook failed', await res.text());
-    }
   }
 
-  // Save updated pending list and posted list
-  await savePendingTracking(stillPending);
-  await savePostedTracking(posted);
+  await deliverOutbox();
+
+  console.log(`✅ Queued ${found.length} tracking reports, ${stillPending} still pending`);
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error('❌ ' + err.message);
+    process.exit(1);
+  });
+}
 
-  console.log(`✅ Posted ${found.length} tracking reports, ${stillPending.length} still pending`);
-})();
+module.exports = { main };
@@ -0,0 +1,148 @@
+// config_check.js
+// Checks config/*.json and the environment and reports what each script will
+// do with them: where it posts, when, and with which limits. Secrets are
+// reported as set or missing, never printed.
+//
+// Usage: node config_check.js    exits 1 if any config is invalid
+
+const fs = require('fs');
+const { SETTINGS_FILE, validateSettings, flattenSettings, loadTrainers } = require('./lib/config');
+
+const problems = [];
+const warnings = [];
+
+const fmt = (v) => (Array.isArray(v) ? v.map(x => JSON.stringify(x)).join(', ') : JSON.stringify(v));
+
+// Run a loader; its error becomes a problem and the fallback is used instead
+function attempt(label, fn, fallback) {
+  try {
+    return fn();
+  } catch (err) {
+    problems.push(label + ': ' + err.message);
+    return fallback;
+  }
+}
+
+// ============ SETTINGS ============
+
+let raw = {};
+if (fs.existsSync(SETTINGS_FILE)) {
+  raw = attempt(SETTINGS_FILE, () => JSON.parse(fs.readFileSync(SETTINGS_FILE, 'utf8')), {});
+}
+const { settings, errors } = validateSettings(raw);
+errors.forEach(e => problems.push(SETTINGS_FILE + ': ' + e));
+
+console.log('⚙️  Settings: ' + (fs.existsSync(SETTINGS_FILE) ? SETTINGS_FILE : 'defaults (' + SETTINGS_FILE + ' not found)'));
+for (const [key, node, value] of flattenSettings(settings)) {
+  const changed = JSON.stringify(value) !== JSON.stringify(node.default);
+  console.log('  ' + (changed ? '* ' : '  ') + key + ' = ' + fmt(value) + (changed ? '   (default ' + fmt(node.default) + ')' : ''));
+}
+
+// The loaders below read the settings too; stop here rather than have them throw
+if (problems.length) {
+  console.error('\n❌ ' + problems.length + ' problem(s):');
+  problems.forEach(p => console.error('  - ' + p));
+  process.exit(1);
+}
+
+const { parseTarget, splitTargets } = require('./lib/notifier/targets');
+const { loadDigestSchedule, scheduleFor, describeSchedule } = require('./lib/digest_schedule');
+const { loadRoutes } = require('./lib/routing');
+const { loadSubscribers } = require('./lib/rules');
+
+const env = (name) => !!process.env[name];
+
+// "discord + email" for a target list, without the addresses
+function describeTargets(specs, label) {
+  const list = splitTargets(specs);
+  if (list.length === 0) return 'nowhere';
+  return list.map(spec => attempt(label, () => parseTarget(spec).backend, '(invalid target)')).join(' + ');
+}
+
+function requireEnv(names, script) {
+  for (const name of names) {
+    if (!env(name)) warnings.push(script + ': ' + name + ' is not set');
+  }
+}
+
+const fgLogin = (script) => requireEnv(['FRANCE_GALOP_EMAIL', 'FRANCE_GALOP_PASSWORD'], script);
+
+function googleLine() {
+  if (!env('GOOGLE_SERVICE_ACCOUNT')) return 'off (GOOGLE_SERVICE_ACCOUNT not set)';
+  const parts = [];
+  if (env('SPREADSHEET_ID')) parts.push('rows to "' + settings.sheets.updatesTab + '", owners from ' + fmt(settings.sheets.ownerTabs));
+  if (env('DOC_ID')) parts.push('Docs log');
+  return parts.length ? parts.join('; ') : 'off (no SPREADSHEET_ID or DOC_ID)';
+}
+
+const digestSchedule = attempt('config/schedule.json', () => loadDigestSchedule(), null);
+const routes = attempt('Routing', () => loadRoutes(), []);
+const subscribers = attempt('Rules', () => loadSubscribers(), []);
+
+// ============ PER SCRIPT ============
+
+console.log('\n📋 scrape_engagements.js');
+const trainers = attempt('TRAINERS', () => loadTrainers(), []);
+if (trainers.length === 0) problems.push('scrape_engagements.js: TRAINERS or TRAINER_URL is not set');
+for (const t of trainers) {
+  const schedule = digestSchedule ? describeSchedule(scheduleFor(digestSchedule, t.id)) : '?';
+  console.log('  trainer ' + t.id + (t.label && t.label !== t.id ? ' (' + t.label + ')' : '') + ': digest at ' + schedule + ' → ' + describeTargets(t.webhook, 'Trainer ' + t.id));
+  if (!t.webhook) warnings.push('scrape_engagements.js: no webhook for trainer ' + t.id + ' (DISCORD_WEBHOOK_URL)');
+}
+if (digestSchedule) {
+  const base = digestSchedule.base;
+  const skips = [
+    base.skipWeekends && 'weekends',
+    base.skipHolidays && 'French public holidays',
+    base.skipDates.length && base.skipDates.join(', '),
+  ].filter(Boolean);
+  if (skips.length) console.log('  no digest on ' + skips.join(', '));
+}
+console.log('  page loads: up to ' + settings.browser.pageTries.engagements + ' tries');
+console.log('  Google: ' + googleLine());
+fgLogin('scrape_engagements.js');
+
+console.log('\n📋 scrape_results.js');
+console.log('  results from ' + (env('RESULTS_URL') ? 'RESULTS_URL' : '(RESULTS_URL not set)') + ' → ' + describeTargets(process.env.DISCORD_WEBHOOK_RESULTS, 'DISCORD_WEBHOOK_RESULTS'));
+console.log('  page loads: up to ' + settings.browser.pageTries.results + ' tries');
+console.log('  Google: ' + googleLine());
+requireEnv(['RESULTS_URL', 'DISCORD_WEBHOOK_RESULTS'], 'scrape_results.js');
+fgLogin('scrape_results.js');
+
+console.log('\n📋 scrape_race_alerts.js');
+console.log('  alert ' + settings.alerts.windowStartMinutes + ' to ' + settings.alerts.windowEndMinutes + ' min before each DP-P race → ' + describeTargets(process.env.DISCORD_WEBHOOK_RACE_ALERTS, 'DISCORD_WEBHOOK_RACE_ALERTS'));
+console.log('  race day: race pages read again every ' + settings.alerts.refreshEveryMinutes + ' min for post time, jockey and non-runner changes');
+console.log('  post time lookups: up to ' + settings.browser.pageTries.raceAlerts + ' tries');
+requireEnv(['DISCORD_WEBHOOK_RACE_ALERTS'], 'scrape_race_alerts.js');
+fgLogin('scrape_race_alerts.js');
+
+console.log('\n📋 check_tracking_reports.js');
+console.log('  tracking reports for up to ' + settings.tracking.maxWaitMinutes + ' min after a result → ' + describeTargets(process.env.DISCORD_WEBHOOK_RESULTS, 'DISCORD_WEBHOOK_RESULTS'));
+console.log('  page loads: up to ' + settings.browser.pageTries.tracking + ' tries');
+requireEnv(['DISCORD_WEBHOOK_RESULTS'], 'check_tracking_reports.js');
+fgLogin('check_tracking_reports.js');
+
+console.log('\n📋 build_dashboard_data.js');
+console.log('  ' + (process.env.FG_DB_FILE || settings.paths.dbFile) + ' → ' + settings.paths.dashboardFile);
+
+console.log('\n📋 daemon.js');
+const d = settings.daemon;
+console.log('  runs ' + d.jobs.join(', ') + '; results/tracking every ' + d.busyEveryMinutes + ' min for ' + d.busyForMinutes + ' min after a post time, otherwise every ' + d.idleEveryMinutes + ' min');
+
+console.log('\n📤 Delivery (all scripts)');
+console.log('  ' + settings.outbox.inlineTries + ' tries per run, give up after ' + settings.outbox.giveUpAfterHours + 'h, sent posts kept ' + settings.outbox.keepSentDays + ' days');
+console.log('  routes: ' + (routes.length ? routes.map(r => r.name + ' → ' + r.notifier.backends.map(b => b.name).join(' + ')).join(', ') : 'none'));
+console.log('  subscribers: ' + (subscribers.length ? subscribers.map(s => s.name + ' → ' + s.notifier.backends.map(b => b.name).join(' + ')).join(', ') : 'none'));
+
+// ============ SUMMARY ============
+
+if (warnings.length) {
+  console.log('\n⚠️  ' + warnings.length + ' warning(s):');
+  warnings.forEach(w => console.log('  - ' + w));
+}
+if (problems.length) {
+  console.error('\n❌ ' + problems.length + ' problem(s):');
+  problems.forEach(p => console.error('  - ' + p));
+  process.exit(1);
+}
+console.log('\n✅ Config OK');
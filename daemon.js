@@ -0,0 +1,169 @@
+// daemon.js
+// Runs every job in one long-lived process, as an alternative to the GitHub
+// Actions cron. All jobs share one Chromium and one France Galop session,
+// which is kept warm between them, and the polling follows the race day:
+// see lib/polling.js for when each job runs and `daemon` in
+// config/settings.json for the rates.
+//
+// Same environment as the scripts it runs; a script that is missing its
+// configuration stops the daemon at startup. Jobs run one at a time, and a
+// failed job is logged and tried again at its next turn. State stays in the
+// store (nothing is committed to git), so don't leave the workflow schedules
+// on while it runs.
+//
+// Usage: node daemon.js    (or `fg daemon`); stop with Ctrl-C or SIGTERM
+
+const { loadSettings } = require('./lib/config');
+const { now, getParisDateParts } = require('./lib/clock');
+const { openStore, closeStore, loadStoredRaces, countPendingTracking } = require('./lib/store');
+const { loadDigestSchedule } = require('./lib/digest_schedule');
+const { dueReason } = require('./lib/polling');
+const { openPage, startSharedBrowser, stopSharedBrowser } = require('./lib/browser');
+const { ensureLoggedIn, saveSessionStorageState } = require('./lib/fg_login');
+const { isReplay } = require('./lib/fixtures');
+
+const settings = loadSettings();
+
+// In the order they run when due at the same time: engagements feeds alerts
+// (DP-P races) and the dashboard, results feed tracking
+const SCRIPTS = {
+  engagements: './scrape_engagements.js',
+  alerts: './scrape_race_alerts.js',
+  results: './scrape_results.js',
+  tracking: './check_tracking_reports.js',
+  dashboard: './build_dashboard_data.js',
+};
+
+const BROWSER_JOBS = ['engagements', 'alerts', 'results', 'tracking'];
+
+const MINUTE = 60 * 1000;
+
+const jobs = Object.keys(SCRIPTS).filter(job => settings.daemon.jobs.includes(job));
+const lastRuns = {};
+let lastBrowserUse = 0;
+let stopping = false;
+let wake = null;
+
+const elapsed = (since) => Math.round((Date.now() - since) / 1000) + 's';
+
+async function runJob(job, main, reason) {
+  console.log('\n▶️  ' + job + ' (' + reason + ') at ' + getParisDateParts().formatted + ' Paris');
+  const started = Date.now();
+  lastRuns[job] = now().getTime();
+  try {
+    await main();
+    console.log('⏹️  ' + job + ' done in ' + elapsed(started));
+  } catch (err) {
+    console.error('❌ ' + job + ' failed after ' + elapsed(started) + ': ' + err.message);
+  }
+  if (BROWSER_JOBS.includes(job)) lastBrowserUse = now().getTime();
+}
+
+// Visit France Galop so the session doesn't expire between jobs, and save it
+// for the scripts run on their own
+async function keepWarm() {
+  const { ctx, page, close } = await openPage({ timeout: 60000 });
+  try {
+    await ensureLoggedIn(page, ctx, {
+      email: process.env.FRANCE_GALOP_EMAIL,
+      password: process.env.FRANCE_GALOP_PASSWORD,
+    });
+    await saveSessionStorageState(ctx);
+    console.log('🔥 Session kept warm at ' + getParisDateParts().formatted + ' Paris');
+  } catch (err) {
+    console.error('❌ Keeping the session warm failed: ' + err.message);
+  } finally {
+    await close();
+    lastBrowserUse = now().getTime();
+  }
+}
+
+// Run whatever is due. The races and tracking queue are read again before
+// each job, since the one before may have changed them.
+async function tick(mains, digestSchedule) {
+  for (const job of jobs) {
+    if (stopping) return;
+    const reason = dueReason(job, now(), {
+      lastRuns,
+      races: loadStoredRaces().races,
+      pendingTracking: countPendingTracking(),
+      digestSchedule,
+      settings,
+    });
+    if (reason) await runJob(job, mains[job], reason);
+  }
+
+  const usesBrowser = jobs.some(job => BROWSER_JOBS.includes(job));
+  if (!stopping && usesBrowser && now().getTime() - lastBrowserUse >= settings.daemon.keepWarmMinutes * MINUTE) {
+    await keepWarm();
+  }
+}
+
+// Sleep until just after the next minute, or until stop() cuts it short
+function sleep() {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, MINUTE - (Date.now() % MINUTE) + 1000);
+    wake = () => { clearTimeout(timer); resolve(); };
+  });
+}
+
+function stop(signal) {
+  if (stopping) {
+    console.log('\n' + signal + ' again - exiting now');
+    process.exit(1);
+  }
+  console.log('\n' + signal + ' - stopping after the current job');
+  stopping = true;
+  if (wake) wake();
+}
+
+async function main() {
+  if (isReplay()) {
+    throw new Error('The daemon does not replay fixtures; run the scripts with FG_FIXTURE_DIR instead');
+  }
+  if (jobs.length === 0) {
+    throw new Error('No jobs to run (daemon.jobs in config/settings.json)');
+  }
+
+  // Each script checks its configuration as it loads
+  const mains = {};
+  for (const job of jobs) mains[job] = require(SCRIPTS[job]).main;
+
+  openStore();
+
+  const digestSchedule = loadDigestSchedule();
+
+  if (jobs.some(job => BROWSER_JOBS.includes(job))) {
+    await startSharedBrowser();
+    lastBrowserUse = now().getTime();
+  }
+
+  process.on('SIGINT', () => stop('SIGINT'));
+  process.on('SIGTERM', () => stop('SIGTERM'));
+
+  const d = settings.daemon;
+  console.log('🤖 Daemon running: ' + jobs.join(', '));
+  console.log('   engagements every ' + d.engagementsEveryMinutes + ' min and at digest times;'
+    + ' results/tracking every ' + d.busyEveryMinutes + ' min for ' + d.busyForMinutes + ' min after each post time;'
+    + ' otherwise every ' + d.idleEveryMinutes + ' min');
+
+  try {
+    while (!stopping) {
+      await tick(mains, digestSchedule);
+      if (!stopping) await sleep();
+    }
+  } finally {
+    await stopSharedBrowser();
+    closeStore();
+  }
+  console.log('👋 Daemon stopped');
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error('❌ ' + err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { main };
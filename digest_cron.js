@@ -0,0 +1,43 @@
+// digest_cron.js
+// Prints the cron lines .github/workflows/engagements.yml needs so the
+// engagements workflow runs at every digest time in config/schedule.json,
+// in winter and in summer time.
+//
+// Usage: node digest_cron.js            print the lines
+//        node digest_cron.js --check    exit 1 if the workflow is missing any
+
+const fs = require('fs');
+const { SCHEDULE_FILE, loadDigestSchedule, describeSchedule, cronExpressions } = require('./lib/digest_schedule');
+
+const WORKFLOW_FILE = '.github/workflows/engagements.yml';
+
+let digestSchedule;
+try {
+  digestSchedule = loadDigestSchedule();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+const lines = cronExpressions(digestSchedule);
+
+if (process.argv.includes('--check')) {
+  const workflow = fs.readFileSync(WORKFLOW_FILE, 'utf8');
+  const present = new Set([...workflow.matchAll(/cron:\s*'([^']+)'/g)].map(m => m[1].trim()));
+  const missing = lines.filter(l => !present.has(l));
+  if (missing.length) {
+    console.error(WORKFLOW_FILE + ' is missing digest cron lines for ' + SCHEDULE_FILE + ':');
+    missing.forEach(l => console.error("    - cron: '" + l + "'"));
+    process.exit(1);
+  }
+  console.log('✅ ' + WORKFLOW_FILE + ' runs at every digest time');
+  process.exit(0);
+}
+
+console.log('# Digest times: ' + describeSchedule(digestSchedule.base));
+for (const [name, schedule] of Object.entries(digestSchedule.channels)) {
+  console.log('#   ' + name + ': ' + describeSchedule(schedule));
+}
+for (const l of lines) {
+  console.log("    - cron: '" + l + "'");
+}
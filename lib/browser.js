@@ -0,0 +1,62 @@
+// The scrapers' browser.
+//
+// Run on its own, a script launches Chromium with the saved France Galop
+// session for its job and closes it when done. The daemon (daemon.js) starts
+// one shared browser instead: scripts then open their pages in its context,
+// which stays logged in between jobs, and closing only closes their page.
+
+const { chromium } = require('playwright');
+const { loadSessionStorageState } = require('./fg_login');
+const { attachFixtures } = require('./fixtures');
+const { loadSettings } = require('./config');
+
+let shared = null;
+
+async function launch() {
+  const browser = await chromium.launch({ headless: true });
+  const ctx = await browser.newContext({
+    userAgent: loadSettings().browser.userAgent,
+    storageState: await loadSessionStorageState(),
+  });
+  await attachFixtures(ctx);
+  return { browser, ctx };
+}
+
+/**
+ * A page in a context carrying the saved session.
+ * close() closes the page, and the browser too unless it is the shared one.
+ *
+ * @param {{ timeout: number }} opts  default timeout of the page, in ms
+ * @returns {Promise<{ ctx: import('playwright').BrowserContext, page: import('playwright').Page, close: () => Promise<void> }>}
+ */
+async function openPage({ timeout }) {
+  if (shared && !shared.browser.isConnected()) {
+    console.warn('⚠️ Shared browser went away - relaunching');
+    shared = null;
+    await startSharedBrowser();
+  }
+  const { browser, ctx } = shared || await launch();
+  const page = await ctx.newPage();
+  page.setDefaultTimeout(timeout);
+  const close = shared ? () => page.close().catch(() => {}) : () => browser.close();
+  return { ctx, page, close };
+}
+
+// Launch the browser every openPage() shares until stopSharedBrowser()
+async function startSharedBrowser() {
+  if (!shared) shared = await launch();
+  return shared;
+}
+
+async function stopSharedBrowser() {
+  if (!shared) return;
+  const { browser } = shared;
+  shared = null;
+  await browser.close().catch(() => {});
+}
+
+module.exports = {
+  openPage,
+  startSharedBrowser,
+  stopSharedBrowser,
+};
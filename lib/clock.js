@@ -0,0 +1,119 @@
+// Shared clock for all scrapers.
+//
+// Every "what time is it" question goes through now() so scheduling can be
+// driven from outside: FG_NOW=<ISO date> pins the clock for a whole run (handy
+// for replaying a late cron or a DST morning), and setNow() lets code and
+// scripts inject a fixed Date or a function returning one.
+
+const PARIS_TZ = 'Europe/Paris';
+
+let nowFn = () => new Date();
+
+/**
+ * Replace the clock. Accepts a Date, an ISO string, a function returning a
+ * Date, or null to go back to the system clock.
+ *
+ * @param {Date|string|(() => Date)|null} source
+ */
+function setNow(source) {
+  if (source == null) {
+    nowFn = () => new Date();
+  } else if (typeof source === 'function') {
+    nowFn = source;
+  } else {
+    const fixed = new Date(source);
+    if (isNaN(fixed.getTime())) throw new Error('Invalid clock value: ' + source);
+    nowFn = () => new Date(fixed.getTime());
+  }
+}
+
+if (process.env.FG_NOW) {
+  setNow(process.env.FG_NOW);
+  console.log('🕰️ Clock pinned to ' + now().toISOString() + ' (FG_NOW)');
+}
+
+function now() {
+  return new Date(nowFn().getTime());
+}
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Wall-clock parts of `date` in `timeZone`. hourCycle h23 keeps midnight as
+// 00 (some ICU builds render it as 24 with hour12: false).
+function getZonedDateParts(date, timeZone) {
+  const d = date || now();
+  const parts = {};
+  new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23',
+  }).formatToParts(d).forEach(p => { parts[p.type] = p.value; });
+  const hour = parseInt(parts.hour) % 24;
+  const minute = parseInt(parts.minute);
+  return {
+    date: parts.year + '-' + parts.month + '-' + parts.day,
+    weekday: parts.weekday.slice(0, 3).toLowerCase(),
+    hour,
+    minute,
+    minutesSinceMidnight: hour * 60 + minute,
+    formatted: pad2(hour) + ':' + pad2(minute),
+    timestamp: d.toISOString(),
+  };
+}
+
+// Wall-clock parts of `date` in Paris
+const getParisDateParts = (date) => getZonedDateParts(date, PARIS_TZ);
+
+// The instant the Paris clocks show `date` ("YYYY-MM-DD") at hour:minute
+function fromParisTime(date, hour = 0, minute = 0) {
+  const [y, m, d] = date.split('-').map(Number);
+  const wall = Date.UTC(y, m - 1, d, hour, minute);
+  // Correct by the offset at the first guess, then again in case that guess
+  // fell on the other side of a DST change
+  let guess = wall;
+  for (let i = 0; i < 2; i++) {
+    const p = getParisDateParts(new Date(guess));
+    const [py, pm, pd] = p.date.split('-').map(Number);
+    guess += wall - Date.UTC(py, pm - 1, pd, p.hour, p.minute);
+  }
+  return new Date(guess);
+}
+
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a --since value: "2026-10-17" or "2026-10-17T08:30" (Paris time), a
+ * full ISO timestamp, or "90m" / "6h" / "2d" back from now().
+ * @returns {Date}
+ */
+function parseSince(value) {
+  const relative = String(value).match(/^(\d+)([mhd])$/);
+  if (relative) return new Date(now().getTime() - parseInt(relative[1], 10) * UNIT_MS[relative[2]]);
+
+  const local = String(value).match(/^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}):(\d{2}))?$/);
+  if (local) return fromParisTime(local[1], parseInt(local[2] || '0', 10), parseInt(local[3] || '0', 10));
+
+  const at = new Date(value);
+  if (isNaN(at.getTime())) {
+    throw new Error('Invalid since "' + value + '": expected YYYY-MM-DD[THH:MM] (Paris), an ISO timestamp, or 90m / 6h / 2d');
+  }
+  return at;
+}
+
+module.exports = {
+  PARIS_TZ,
+  WEEKDAYS,
+  now,
+  setNow,
+  getZonedDateParts,
+  getParisDateParts,
+  fromParisTime,
+  parseSince,
+};
@@ -0,0 +1,220 @@
+// Settings shared by the scripts: tab names, retry counts, time windows,
+// retention and data paths.
+//
+// Read from config/settings.json (every key is optional, see SCHEMA for the
+// defaults). Secrets - webhooks, logins, the Google service account - stay in
+// the environment. The other config files (schedule.json, routing.json,
+// rules.json) keep their own loaders; `node config_check.js` checks them all.
+
+const fs = require('fs');
+const path = require('path');
+
+const SETTINGS_FILE = path.join('config', 'settings.json');
+
+// Jobs daemon.js knows how to run
+const DAEMON_JOBS = ['engagements', 'alerts', 'results', 'tracking', 'dashboard'];
+
+const USER_AGENT = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 Chrome/120 Safari/537.36';
+
+// Nested keys of settings.json. A leaf has a type, a default and a short
+// description; `min` bounds integers.
+const SCHEMA = {
+  sheets: {
+    updatesTab: { type: 'string', default: 'Mises à jour', doc: 'Sheets tab the engagements and results rows are written to' },
+    ownerTabs: { type: 'string[]', default: ['Sélection 2026', 'Sélection 2025'], doc: 'Sheets tabs searched for a horse\'s owner, in order' },
+  },
+  browser: {
+    userAgent: { type: 'string', default: USER_AGENT, doc: 'User agent of the scraping browser' },
+    pageTries: {
+      engagements: { type: 'integer', min: 1, default: 5, doc: 'Tries to load a trainer page' },
+      results: { type: 'integer', min: 1, default: 5, doc: 'Tries to load the results page' },
+      raceAlerts: { type: 'integer', min: 1, default: 2, doc: 'Tries to load a race page for its post time' },
+      tracking: { type: 'integer', min: 1, default: 3, doc: 'Tries to load a race page for its tracking report' },
+    },
+  },
+  alerts: {
+    windowStartMinutes: { type: 'integer', min: 1, default: 20, doc: 'Race alerts start this many minutes before the off' },
+    windowEndMinutes: { type: 'integer', min: 0, default: 5, doc: 'and stop this many minutes before it' },
+    refreshEveryMinutes: { type: 'integer', min: 5, default: 15, doc: 'On race day, read each DP-P race page again this often until the off' },
+  },
+  tracking: {
+    maxWaitMinutes: { type: 'integer', min: 1, default: 90, doc: 'How long after a result to keep looking for its tracking report' },
+  },
+  outbox: {
+    inlineTries: { type: 'integer', min: 1, default: 3, doc: 'Tries per post within one run' },
+    giveUpAfterHours: { type: 'integer', min: 1, default: 24, doc: 'A post still failing after this long is dropped' },
+    keepSentDays: { type: 'integer', min: 1, default: 30, doc: 'Delivered posts are pruned after this many days' },
+  },
+  daemon: {
+    jobs: { type: 'string[]', default: DAEMON_JOBS, doc: 'Jobs the daemon runs (' + DAEMON_JOBS.join(', ') + ')' },
+    engagementsEveryMinutes: { type: 'integer', min: 5, default: 120, doc: 'Scrape the trainer pages this often, and at every digest time' },
+    alertsEveryMinutes: { type: 'integer', min: 1, default: 1, doc: 'Check race alerts this often while a DP-P race is in its alert window' },
+    busyEveryMinutes: { type: 'integer', min: 1, default: 5, doc: 'Check results and tracking this often after a post time' },
+    busyForMinutes: { type: 'integer', min: 1, default: 60, doc: 'for this many minutes after each post time' },
+    idleEveryMinutes: { type: 'integer', min: 5, default: 60, doc: 'Run alerts, results and tracking this often the rest of the time' },
+    keepWarmMinutes: { type: 'integer', min: 1, default: 20, doc: 'Reload France Galop this often between jobs to keep the session alive' },
+  },
+  paths: {
+    dataDir: { type: 'string', default: 'data', doc: 'Where the JSON state files of older versions are imported from' },
+    dbFile: { type: 'string', default: path.join('data', 'fg.db'), doc: 'SQLite state store (FG_DB_FILE wins)' },
+    dashboardFile: { type: 'string', default: path.join('data', 'dashboard_data.json'), doc: 'Dashboard export' },
+    calendarFile: { type: 'string', default: path.join('data', 'calendar.ics'), doc: 'Calendar feed of upcoming races and engagements' },
+    trackingDir: { type: 'string', default: path.join('data', 'tracking'), doc: 'Archive of downloaded tracking report PDFs' },
+    sessionFile: { type: 'string', default: '.fg-session.json', doc: 'Saved France Galop login session' },
+  },
+};
+
+const isLeaf = (node) => typeof node.type === 'string';
+
+const TYPE_CHECKS = {
+  string: (v) => typeof v === 'string' && v.length > 0,
+  'string[]': (v) => Array.isArray(v) && v.length > 0 && v.every(s => typeof s === 'string' && s.length > 0),
+  integer: (v) => Number.isInteger(v),
+};
+
+const TYPE_NAMES = {
+  string: 'a non-empty string',
+  'string[]': 'a non-empty array of strings',
+  integer: 'an integer',
+};
+
+// Fill in defaults and collect every problem as "<key.path>: <message>"
+function resolve(schema, raw, prefix, errors) {
+  const out = {};
+  if (raw !== undefined && (typeof raw !== 'object' || raw === null || Array.isArray(raw))) {
+    errors.push((prefix || 'settings') + ': expected an object');
+    raw = {};
+  }
+  raw = raw || {};
+
+  for (const key of Object.keys(raw)) {
+    if (!schema[key]) errors.push(prefix + key + ': unknown setting');
+  }
+
+  for (const [key, node] of Object.entries(schema)) {
+    const name = prefix + key;
+    if (!isLeaf(node)) {
+      out[key] = resolve(node, raw[key], name + '.', errors);
+      continue;
+    }
+    const value = raw[key];
+    if (value === undefined) {
+      out[key] = node.default;
+    } else if (!TYPE_CHECKS[node.type](value)) {
+      errors.push(name + ': expected ' + TYPE_NAMES[node.type] + ', got ' + JSON.stringify(value));
+      out[key] = node.default;
+    } else if (node.min !== undefined && value < node.min) {
+      errors.push(name + ': must be at least ' + node.min + ', got ' + value);
+      out[key] = node.default;
+    } else {
+      out[key] = value;
+    }
+  }
+  return out;
+}
+
+/**
+ * Check raw settings against SCHEMA.
+ * @returns {{ settings: object, errors: string[] }} settings with defaults filled in
+ */
+function validateSettings(raw) {
+  const errors = [];
+  const settings = resolve(SCHEMA, raw, '', errors);
+  if (settings.alerts.windowEndMinutes >= settings.alerts.windowStartMinutes) {
+    errors.push('alerts: windowEndMinutes (' + settings.alerts.windowEndMinutes + ') must be less than windowStartMinutes (' + settings.alerts.windowStartMinutes + ')');
+  }
+  for (const job of settings.daemon.jobs) {
+    if (!DAEMON_JOBS.includes(job)) errors.push('daemon.jobs: unknown job "' + job + '" (expected ' + DAEMON_JOBS.join(', ') + ')');
+  }
+  return { settings, errors };
+}
+
+function readSettingsFile(file) {
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error('Could not parse ' + file + ': ' + err.message);
+  }
+}
+
+const cache = new Map();
+
+/**
+ * Load and validate config/settings.json, once per process.
+ * Throws listing every problem if the file is invalid.
+ */
+function loadSettings(file = SETTINGS_FILE) {
+  if (!cache.has(file)) {
+    const { settings, errors } = validateSettings(readSettingsFile(file));
+    if (errors.length) {
+      throw new Error(file + ' is invalid:\n  - ' + errors.join('\n  - '));
+    }
+    cache.set(file, settings);
+  }
+  return cache.get(file);
+}
+
+// Leaves as [keyPath, schema node, value] for reporting
+function flattenSettings(settings, schema = SCHEMA, prefix = '') {
+  return Object.entries(schema).flatMap(([key, node]) =>
+    isLeaf(node)
+      ? [[prefix + key, node, settings[key]]]
+      : flattenSettings(settings[key], node, prefix + key + '.')
+  );
+}
+
+// ============ TRAINERS ============
+
+const slugify = (s) =>
+  (s || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+// Trainers to monitor. TRAINERS is a JSON array of
+//   { "id": "head", "label": "Chr. Head", "url": "https://...", "webhook": "https://..." }
+// where id defaults to a slug of the label and webhook to DISCORD_WEBHOOK_URL.
+// webhook can be any notifier target (see lib/notifier).
+// Without TRAINERS we fall back to the single TRAINER_URL as trainer "default".
+function loadTrainers(env = process.env) {
+  const webhook = env.DISCORD_WEBHOOK_URL;
+  if (!env.TRAINERS) {
+    if (!env.TRAINER_URL) return [];
+    return [{ id: 'default', label: '', url: env.TRAINER_URL, webhook }];
+  }
+
+  let list;
+  try {
+    list = JSON.parse(env.TRAINERS);
+  } catch (err) {
+    throw new Error('TRAINERS is not valid JSON: ' + err.message);
+  }
+  if (!Array.isArray(list)) {
+    throw new Error('TRAINERS must be a JSON array');
+  }
+
+  const ids = new Set();
+  return list.map((t, i) => {
+    const id = t.id || slugify(t.label) || 'trainer-' + (i + 1);
+    if (!t.url) {
+      throw new Error('TRAINERS[' + i + '] (' + id + ') is missing "url"');
+    }
+    if (ids.has(id)) {
+      throw new Error('TRAINERS has duplicate id "' + id + '"');
+    }
+    ids.add(id);
+    return { id, label: t.label || id, url: t.url, webhook: t.webhook || webhook };
+  });
+}
+
+module.exports = {
+  SETTINGS_FILE,
+  SCHEMA,
+  validateSettings,
+  loadSettings,
+  flattenSettings,
+  loadTrainers,
+};
@@ -0,0 +1,150 @@
+// Digest schedule: when the engagements digest and subscriber digests post.
+//
+// Read from config/schedule.json:
+//   { "timezone": "Europe/Paris",
+//     "times": ["10:40", "12:40"],
+//     "weekdays": ["mon", "tue", "wed", "thu", "fri", "sat", "sun"],
+//     "skipWeekends": false,
+//     "skipHolidays": false,          French public holidays
+//     "skipDates": ["2026-12-24"],
+//     "channels": { "head": { "times": ["09:00"] }, "head-office": { "skipWeekends": true } } }
+// `channels` overrides any of the above for one trainer id (its digest) or
+// subscriber name (its rule digest). Without the file the digest posts at
+// 10:40 and 12:40 Paris every day.
+
+const fs = require('fs');
+const path = require('path');
+const { PARIS_TZ, WEEKDAYS, getZonedDateParts } = require('./clock');
+const { formatHHMM } = require('./schedule');
+
+const SCHEDULE_FILE = path.join('config', 'schedule.json');
+
+const DEFAULTS = {
+  timezone: PARIS_TZ,
+  times: ['10:40', '12:40'],
+  weekdays: WEEKDAYS,
+  skipWeekends: false,
+  skipHolidays: false,
+  skipDates: [],
+};
+
+function parseTime(t, label) {
+  const m = String(t).match(/^(\d{1,2}):(\d{2})$/);
+  if (!m || parseInt(m[1], 10) > 23 || parseInt(m[2], 10) > 59) {
+    throw new Error(label + ': invalid time "' + t + '", expected HH:MM');
+  }
+  return { hour: parseInt(m[1], 10), minute: parseInt(m[2], 10) };
+}
+
+// Resolve raw settings into what shouldPostNow() takes
+function normalize(raw, label) {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: raw.timezone });
+  } catch (_) {
+    throw new Error(label + ': unknown timezone "' + raw.timezone + '"');
+  }
+  const weekdays = raw.weekdays.map(d => String(d).slice(0, 3).toLowerCase());
+  const unknown = weekdays.filter(d => !WEEKDAYS.includes(d));
+  if (unknown.length) throw new Error(label + ': unknown weekday(s) ' + unknown.join(', '));
+  for (const d of raw.skipDates) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(d)) throw new Error(label + ': skipDates entry "' + d + '" is not YYYY-MM-DD');
+  }
+
+  return {
+    timezone: raw.timezone,
+    times: raw.times.map(t => parseTime(t, label)),
+    weekdays,
+    skipWeekends: !!raw.skipWeekends,
+    skipHolidays: !!raw.skipHolidays,
+    skipDates: raw.skipDates,
+  };
+}
+
+/**
+ * Load config/schedule.json.
+ * @returns {{ base: object, channels: Object<string, object> }} normalized schedules
+ */
+function loadDigestSchedule(file = SCHEDULE_FILE) {
+  let raw = {};
+  if (fs.existsSync(file)) {
+    try {
+      raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      throw new Error('Could not parse ' + file + ': ' + err.message);
+    }
+  }
+
+  const { channels = {}, ...settings } = raw;
+  const baseRaw = { ...DEFAULTS, ...settings };
+  const result = { base: normalize(baseRaw, file), channels: {} };
+  for (const [name, override] of Object.entries(channels)) {
+    result.channels[name] = normalize({ ...baseRaw, ...override }, file + ' channel "' + name + '"');
+  }
+  return result;
+}
+
+// Schedule for a trainer id or subscriber name
+const scheduleFor = (digestSchedule, channel) => digestSchedule.channels[channel] || digestSchedule.base;
+
+// "10:40, 12:40 Europe/Paris"
+const describeSchedule = (schedule) =>
+  schedule.times.map(t => formatHHMM(t.hour * 60 + t.minute)).join(', ') + ' ' + schedule.timezone;
+
+// Offsets from UTC (minutes) the zone uses during `year`, e.g. [60, 120] for Paris
+function zoneOffsets(timezone, year) {
+  const offsets = new Set();
+  for (let month = 0; month < 12; month++) {
+    const utc = new Date(Date.UTC(year, month, 15, 12, 0));
+    const local = getZonedDateParts(utc, timezone);
+    let offset = local.minutesSinceMidnight - 12 * 60;
+    if (local.date < utc.toISOString().slice(0, 10)) offset -= 24 * 60;
+    if (local.date > utc.toISOString().slice(0, 10)) offset += 24 * 60;
+    offsets.add(offset);
+  }
+  return [...offsets].sort((a, b) => a - b);
+}
+
+const compactList = (nums) => [...new Set(nums)].sort((a, b) => a - b).join(',');
+
+/**
+ * GitHub Actions cron lines (UTC) that run the engagements workflow at every
+ * digest time of every channel, whichever side of DST the zone is on.
+ * Holidays and skipDates can't be expressed in cron: those runs just don't post.
+ * @returns {string[]} e.g. ['40 8,9,10,11 * * *']
+ */
+function cronExpressions(digestSchedule, year = new Date().getUTCFullYear()) {
+  const schedules = [digestSchedule.base, ...Object.values(digestSchedule.channels)];
+  const byMinuteAndDays = new Map();
+
+  for (const schedule of schedules) {
+    const days = schedule.weekdays
+      .filter(d => !(schedule.skipWeekends && (d === 'sat' || d === 'sun')))
+      .map(d => WEEKDAYS.indexOf(d));
+    if (days.length === 0) continue;
+
+    for (const offset of zoneOffsets(schedule.timezone, year)) {
+      for (const t of schedule.times) {
+        let utcMinutes = t.hour * 60 + t.minute - offset;
+        let dayShift = 0;
+        if (utcMinutes < 0) { utcMinutes += 24 * 60; dayShift = -1; }
+        if (utcMinutes >= 24 * 60) { utcMinutes -= 24 * 60; dayShift = 1; }
+
+        const utcDays = days.map(d => (d + dayShift + 7) % 7);
+        const dow = utcDays.length === 7 ? '*' : compactList(utcDays);
+        const key = (utcMinutes % 60) + ' ' + dow;
+        if (!byMinuteAndDays.has(key)) byMinuteAndDays.set(key, { minute: utcMinutes % 60, dow, hours: [] });
+        byMinuteAndDays.get(key).hours.push(Math.floor(utcMinutes / 60));
+      }
+    }
+  }
+
+  return [...byMinuteAndDays.values()].map(c => c.minute + ' ' + compactList(c.hours) + ' * * ' + c.dow);
+}
+
+module.exports = {
+  SCHEDULE_FILE,
+  loadDigestSchedule,
+  scheduleFor,
+  describeSchedule,
+  cronExpressions,
+};
@@ -0,0 +1,34 @@
+// Discord message formatting helpers.
+
+// Format name with optional hyperlink for Discord
+const formatLink = (text, url) => {
+  if (url && url.startsWith('http')) {
+    return '[' + text + '](' + url + ')';
+  }
+  return text;
+};
+
+// Split lines into messages of at most maxLen characters, each starting with header
+function chunkLines(header, lines, maxLen = 1800) {
+  const chunks = [];
+  let buf = [];
+  let len = header.length + 1;
+  for (const ln of lines) {
+    // `len` counts the newline before the next line, not one after it
+    if (buf.length && len + ln.length > maxLen) {
+      chunks.push(header + '\n' + buf.join('\n'));
+      buf = [ln];
+      len = header.length + 1 + ln.length + 1;
+    } else {
+      buf.push(ln);
+      len += ln.length + 1;
+    }
+  }
+  if (buf.length) chunks.push(header + '\n' + buf.join('\n'));
+  return chunks;
+}
+
+module.exports = {
+  formatLink,
+  chunkLines,
+};
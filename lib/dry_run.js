@@ -0,0 +1,39 @@
+// Dry runs: FG_DRY_RUN=true (or `fg <command> --dry-run`).
+//
+// The script scrapes and diffs as usual, but against a throwaway copy of the
+// store, so its state changes are dropped at exit. Posts and Sheets/Docs
+// writes are printed instead of sent, and the outbox is left alone.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DRY_RUN = process.env.FG_DRY_RUN === 'true';
+
+if (DRY_RUN) {
+  console.log('🧪 Dry run: nothing is posted or written to Sheets/Docs, state changes are discarded');
+}
+
+const isDryRun = () => DRY_RUN;
+
+// Copy `file` (if it exists) to a temp file and return the copy's path
+function throwawayCopy(file) {
+  const copy = path.join(os.tmpdir(), 'fg-dry-run-' + process.pid + '-' + path.basename(file));
+  if (fs.existsSync(file)) fs.copyFileSync(file, copy);
+  process.on('exit', () => fs.rmSync(copy, { force: true }));
+  return copy;
+}
+
+// Print what would have been sent: a header, then each line indented
+function printWouldSend(header, lines) {
+  console.log('🧪 Would send ' + header + ':');
+  for (const line of lines) {
+    console.log('     ' + line.split('\n').join('\n     '));
+  }
+}
+
+module.exports = {
+  isDryRun,
+  throwawayCopy,
+  printWouldSend,
+};
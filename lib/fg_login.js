@@ -14,8 +14,10 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const { isReplay } = require('./fixtures');
+const { loadSettings } = require('./config');
 
-const SESSION_FILE = path.join(__dirname, '..', '.fg-session.json');
+const SESSION_FILE = path.resolve(__dirname, '..', loadSettings().paths.sessionFile);
 const CIAM_HOST_RE = /ciamlogin\.com/i;
 
 async function sessionFileExists() {
@@ -167,17 +169,30 @@ async function performCiamLogin(page, email, password) {
   await page.waitForLoadState('domcontentloaded', { timeout: 30000 }).catch(() => {});
 }
 
+// A script that can't log in stops its run with this (exit 1 when run on its
+// own) rather than carrying on page by page.
+class LoginError extends Error {
+  constructor(cause) {
+    super('France Galop login failed: ' + cause.message);
+    this.name = 'LoginError';
+  }
+}
+
 /**
  * Ensure the current page is an authenticated France Galop page.
  * - If we're already on a site page (not auth), returns immediately.
  * - If we're on an auth page, runs the CIAM flow and then navigates to targetUrl.
- * Throws on any failure. Callers must handle the throw (alert + exit 1).
+ * - When replaying fixtures there is no site to log into, so it does nothing.
+ * Throws on any failure. Callers must handle the throw (usually by throwing
+ * a LoginError).
  *
  * @param {import('playwright').Page} page
  * @param {import('playwright').BrowserContext} context
  * @param {{ email: string, password: string, targetUrl?: string }} opts
  */
 async function ensureLoggedIn(page, context, { email, password, targetUrl }) {
+  if (isReplay()) return;
+
   if (!email || !password) {
     throw new Error('FRANCE_GALOP_EMAIL and FRANCE_GALOP_PASSWORD must be set');
   }
@@ -223,6 +238,7 @@ async function ensureLoggedIn(page, context, { email, password, targetUrl }) {
 }
 
 module.exports = {
+  LoginError,
   ensureLoggedIn,
   loadSessionStorageState,
   saveSessionStorageState,
@@ -0,0 +1,141 @@
+// Offline HTML fixtures for the scrapers.
+//
+// FG_FIXTURES=record  Save the rendered HTML of every France Galop page a
+//                     scraper parses (trainer page, results page, course
+//                     detail pages) into FG_FIXTURE_DIR, default
+//                     fixtures/<timestamp>. manifest.json maps each URL to
+//                     its snapshot file and the script that recorded it.
+// FG_FIXTURES=replay  Serve those snapshots through Playwright routing
+//                     instead of the network. Unrecorded pages get a 404 and
+//                     every other request (scripts, images, XHR) is aborted,
+//                     so the saved DOM is parsed exactly as it was captured.
+//
+// In both modes the scrapers write what they parsed to
+// <dir>/output/<name>.<mode>.json, so a replay can be diffed against the
+// recording or against a replay from another revision of the code. Replay
+// runs stop after parsing: no state files are touched and nothing is posted.
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const FIXTURE_MODE = ['record', 'replay'].includes(process.env.FG_FIXTURES)
+  ? process.env.FG_FIXTURES
+  : null;
+
+const FIXTURE_DIR = process.env.FG_FIXTURE_DIR ||
+  path.join('fixtures', new Date().toISOString().replace(/[:.]/g, '-'));
+
+const MANIFEST_FILE = path.join(FIXTURE_DIR, 'manifest.json');
+
+if (process.env.FG_FIXTURES && !FIXTURE_MODE) {
+  console.warn('⚠️ Unknown FG_FIXTURES "' + process.env.FG_FIXTURES + '" (expected record or replay) - ignoring');
+}
+
+if (FIXTURE_MODE === 'replay' && !process.env.FG_FIXTURE_DIR) {
+  console.error('FG_FIXTURES=replay needs FG_FIXTURE_DIR pointing at a recorded run');
+  process.exit(1);
+}
+
+if (FIXTURE_MODE) {
+  console.log('🎞️ Fixture ' + FIXTURE_MODE + ' mode: ' + FIXTURE_DIR);
+}
+
+const isRecording = () => FIXTURE_MODE === 'record';
+const isReplay = () => FIXTURE_MODE === 'replay';
+
+// Snapshots are keyed by URL without the fragment.
+const fixtureKey = (url) => url.split('#')[0];
+
+let manifest = null;
+
+async function loadManifest() {
+  if (manifest) return manifest;
+  try {
+    manifest = JSON.parse(await fs.readFile(MANIFEST_FILE, 'utf8'));
+  } catch {
+    manifest = {};
+  }
+  return manifest;
+}
+
+/**
+ * Route every request of the context through the recorded snapshots.
+ * No-op unless FG_FIXTURES=replay.
+ *
+ * @param {import('playwright').BrowserContext} context
+ */
+async function attachFixtures(context) {
+  if (!isReplay()) return;
+  const entries = await loadManifest();
+
+  await context.route('**/*', async (route) => {
+    const request = route.request();
+    const entry = entries[fixtureKey(request.url())];
+
+    if (entry) {
+      const body = await fs.readFile(path.join(FIXTURE_DIR, entry.file), 'utf8');
+      return route.fulfill({ status: 200, contentType: 'text/html; charset=utf-8', body });
+    }
+
+    if (request.resourceType() === 'document') {
+      console.log('🎞️ Not recorded: ' + request.url());
+      return route.fulfill({ status: 404, contentType: 'text/plain', body: 'Not recorded' });
+    }
+
+    return route.abort();
+  });
+}
+
+/**
+ * Save the current DOM of `page` as the snapshot for `url`.
+ * No-op unless FG_FIXTURES=record.
+ *
+ * @param {import('playwright').Page} page
+ * @param {string} source  script that parsed the page, e.g. 'engagements'
+ * @param {string} url     URL the scraper asked for (before any redirect)
+ */
+async function snapshotPage(page, source, url) {
+  if (!isRecording()) return;
+  try {
+    const key = fixtureKey(url);
+    const file = 'pages/' + crypto.createHash('sha1').update(key).digest('hex').slice(0, 16) + '.html';
+    await fs.mkdir(path.join(FIXTURE_DIR, 'pages'), { recursive: true });
+    await fs.writeFile(path.join(FIXTURE_DIR, file), await page.content(), 'utf8');
+
+    const entries = await loadManifest();
+    entries[key] = { file, source, finalUrl: page.url(), recordedAt: new Date().toISOString() };
+    await fs.writeFile(MANIFEST_FILE, JSON.stringify(entries, null, 2), 'utf8');
+  } catch (err) {
+    console.warn('⚠️ Could not record fixture for ' + url + ': ' + err.message);
+  }
+}
+
+// URLs recorded by a given script, in the order they were captured.
+async function listSnapshots(source) {
+  const entries = await loadManifest();
+  return Object.entries(entries)
+    .filter(([, e]) => e.source === source)
+    .sort((a, b) => a[1].recordedAt.localeCompare(b[1].recordedAt))
+    .map(([url]) => url);
+}
+
+// Write parsed scraper output next to the snapshots for diffing.
+async function writeFixtureOutput(name, data) {
+  if (!FIXTURE_MODE) return;
+  const file = path.join(FIXTURE_DIR, 'output', name + '.' + FIXTURE_MODE + '.json');
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify(data, null, 2), 'utf8');
+  console.log('🎞️ Wrote parsed output to ' + file);
+}
+
+module.exports = {
+  FIXTURE_MODE,
+  FIXTURE_DIR,
+  isRecording,
+  isReplay,
+  attachFixtures,
+  snapshotPage,
+  listSnapshots,
+  writeFixtureOutput,
+};
@@ -0,0 +1,71 @@
+// Google Sheets/Docs helpers shared by the engagements and results scrapers.
+
+const { google } = require('googleapis');
+const { cleanHorseNameForSheet } = require('./text');
+const { loadSettings } = require('./config');
+
+// Build an auth client from the GOOGLE_SERVICE_ACCOUNT JSON, or null to skip
+// the Google integration.
+async function getGoogleAuth(serviceAccountJson) {
+  if (!serviceAccountJson) {
+    console.log('⚠️ No GOOGLE_SERVICE_ACCOUNT - skipping Google integration');
+    return null;
+  }
+
+  try {
+    const credentials = JSON.parse(serviceAccountJson);
+    const auth = new google.auth.GoogleAuth({
+      credentials,
+      scopes: [
+        'https://www.googleapis.com/auth/spreadsheets',
+        'https://www.googleapis.com/auth/documents'
+      ]
+    });
+    return auth;
+  } catch (err) {
+    console.error('Failed to parse Google credentials:', err.message);
+    return null;
+  }
+}
+
+// Lookup owner from the Sélection tabs (sheets.ownerTabs). The owner column
+// is matched with or without the accent ("Propriétaire" / "Proprietaire").
+async function lookupOwner(sheets, spreadsheetId, horseName) {
+  const cleanedName = cleanHorseNameForSheet(horseName).toLowerCase();
+
+  for (const tabName of loadSettings().sheets.ownerTabs) {
+    try {
+      const response = await sheets.spreadsheets.values.get({
+        spreadsheetId,
+        range: "'" + tabName + "'!A:Z",
+      });
+
+      const rows = response.data.values || [];
+      if (rows.length === 0) continue;
+
+      const headers = rows[0].map(h => (h || '').toString().trim());
+      const nameCol = headers.findIndex(h => /^Name$/i.test(h));
+      const ownerCol = headers.findIndex(h => /^Propri[ée]taire$/i.test(h));
+
+      if (nameCol === -1 || ownerCol === -1) continue;
+
+      for (let i = 1; i < rows.length; i++) {
+        // Clean the sheet name the same way we clean the scraped name
+        const rawSheetName = (rows[i][nameCol] || '').toString().trim();
+        const sheetName = cleanHorseNameForSheet(rawSheetName).toLowerCase();
+        if (sheetName === cleanedName) {
+          return (rows[i][ownerCol] || '').toString().trim();
+        }
+      }
+    } catch (err) {
+      console.log('Could not read ' + tabName + ': ' + err.message);
+    }
+  }
+
+  return '';
+}
+
+module.exports = {
+  getGoogleAuth,
+  lookupOwner,
+};
@@ -0,0 +1,93 @@
+// iCalendar (RFC 5545) output for the calendar feed written by
+// build_dashboard_data.js.
+//
+// Timed events are written in UTC and all-day events as plain dates, so the
+// feed needs no VTIMEZONE block; calendar apps show them in local time.
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+// 20261018T143000Z
+const utcValue = (date) =>
+  date.getUTCFullYear() + pad2(date.getUTCMonth() + 1) + pad2(date.getUTCDate()) + 'T' +
+  pad2(date.getUTCHours()) + pad2(date.getUTCMinutes()) + pad2(date.getUTCSeconds()) + 'Z';
+
+// "2026-10-18" -> "20261018"
+const dateValue = (isoDate) => isoDate.replace(/-/g, '');
+
+// "2026-10-18" -> "2026-10-19"
+function nextDay(isoDate) {
+  const d = new Date(isoDate + 'T12:00:00Z');
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+}
+
+const escapeText = (text) =>
+  String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a space,
+// without splitting a multi-byte character
+function fold(line) {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const ch of line) {
+    const bytes = Buffer.byteLength(ch);
+    if (size + bytes > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += ch;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Build a calendar.
+ *
+ * An event's start is either a Date (timed, `end` a Date too) or a
+ * "YYYY-MM-DD" string (all day). `uid` must stay the same for the same event
+ * from one build to the next so calendar apps update it instead of adding a
+ * copy; `stamp` is when the event last changed.
+ *
+ * @param {{ name: string, events: { uid: string, stamp: Date, start: Date|string, end?: Date,
+ *   summary: string, description?: string, location?: string, url?: string }[] }} calendar
+ * @returns {string}
+ */
+function buildCalendar({ name, events }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//fg-engagements//calendar//FR',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:' + escapeText(name),
+  ];
+
+  for (const e of events) {
+    lines.push('BEGIN:VEVENT', 'UID:' + e.uid, 'DTSTAMP:' + utcValue(e.stamp));
+    if (typeof e.start === 'string') {
+      lines.push('DTSTART;VALUE=DATE:' + dateValue(e.start), 'DTEND;VALUE=DATE:' + dateValue(nextDay(e.start)));
+    } else {
+      lines.push('DTSTART:' + utcValue(e.start), 'DTEND:' + utcValue(e.end));
+    }
+    lines.push('SUMMARY:' + escapeText(e.summary));
+    if (e.location) lines.push('LOCATION:' + escapeText(e.location));
+    if (e.description) lines.push('DESCRIPTION:' + escapeText(e.description));
+    if (e.url) lines.push('URL:' + e.url);
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  buildCalendar,
+};
@@ -0,0 +1,51 @@
+// Stable horse and race identity from France Galop URLs.
+//
+// Display text changes (horses get renamed, races retitled, "(Sup.)" and
+// "..." suffixes come and go) but the ids in the URLs don't:
+//   https://www.france-galop.com/fr/cheval/<horseId>
+//   https://www.france-galop.com/fr/course/detail/<year>/<disc>/<raceId>
+// State files key entries by "<horseId>|<year>/<disc>/<raceId>" and only fall
+// back to the old text keys when a row has no links.
+
+const { norm } = require('./text');
+
+function horseIdFromUrl(url) {
+  const m = (url || '').match(/\/fr\/cheval\/([^/?#]+)/);
+  return m ? decodeURIComponent(m[1]) : null;
+}
+
+function raceIdFromUrl(url) {
+  const m = (url || '').match(/\/fr\/course\/detail\/(\d{4})\/([^/?#]+)\/([^/?#]+)/);
+  return m ? m[1] + '/' + m[2] + '/' + decodeURIComponent(m[3]) : null;
+}
+
+// Canonical key for one horse in one race, or null if either URL is missing.
+function entryKey(horseUrl, raceUrl) {
+  const horseId = horseIdFromUrl(horseUrl);
+  const raceId = raceIdFromUrl(raceUrl);
+  return horseId && raceId ? horseId + '|' + raceId : null;
+}
+
+// Pre-id text keys, still used for rows without links and by the migration.
+const legacyEngagementKey = (obj) =>
+  norm([obj.horse, obj.date, obj.track, obj.race, obj.dist].join(' | ')).toLowerCase();
+
+const legacyResultKey = (obj) =>
+  norm([obj.horse, obj.date, obj.hippodrome, obj.distance].join(' | ')).toLowerCase();
+
+const engagementKey = (r) => entryKey(r.horseUrl, r.raceUrl) || legacyEngagementKey(r);
+
+const resultKey = (r) => entryKey(r.horseUrl, r.raceUrl) || legacyResultKey(r);
+
+const isLegacyKey = (key) => key.includes(' | ');
+
+module.exports = {
+  horseIdFromUrl,
+  raceIdFromUrl,
+  entryKey,
+  engagementKey,
+  resultKey,
+  legacyEngagementKey,
+  legacyResultKey,
+  isLegacyKey,
+};
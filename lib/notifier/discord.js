@@ -0,0 +1,45 @@
+// Discord webhook backend. Messages are already Discord markdown.
+// Digests, results and alerts that carry `kind` and `items` are posted as
+// embeds (see embeds.js) unless DISCORD_EMBEDS=false. `mentions`
+// ({ roles, users } ids) are pinged in the first post of the message only.
+
+const { chunkLines } = require('../discord');
+const { postJson } = require('./http');
+const { renderEmbeds } = require('./embeds');
+
+const mentionText = ({ roles = [], users = [] }) =>
+  [...roles.map(id => '<@&' + id + '>'), ...users.map(id => '<@' + id + '>')].join(' ');
+
+// Ping the mentions in the first payload; every other post stays silent
+function addMentions(payloads, mentions) {
+  if (!mentions || payloads.length === 0) return payloads;
+  const [first, ...rest] = payloads;
+  return [{
+    ...first,
+    content: mentionText(mentions) + (first.content ? '\n' + first.content : ''),
+    allowed_mentions: { roles: mentions.roles || [], users: mentions.users || [] },
+  }, ...rest];
+}
+
+function createDiscord(url, { embeds = process.env.DISCORD_EMBEDS !== 'false' } = {}) {
+  return {
+    name: 'discord',
+    target: url,
+    render(message) {
+      const embedPayloads = embeds ? renderEmbeds(message) : null;
+      if (embedPayloads) return addMentions(embedPayloads, message.mentions);
+
+      const contents = message.lines
+        ? chunkLines(message.title, message.lines)
+        : [message.text];
+      return addMentions(contents.map(content => ({
+        content,
+        allowed_mentions: { parse: [] },
+        ...(message.suppressEmbeds ? { flags: 4 } : {}),
+      })), message.mentions);
+    },
+    deliver: (payload) => postJson(url, payload),
+  };
+}
+
+module.exports = { createDiscord };
@@ -0,0 +1,181 @@
+// Discord embeds for the engagements digest, results and race alerts.
+//
+// Digests and results get one embed per race day and hippodrome, one field
+// per horse. Discord caps a message at 10 embeds and 6000 characters and an
+// embed at 25 fields; a digest that doesn't fit is posted as text instead.
+
+const { cleanHorseNameForDiscord, cleanCategory, cleanDoubleParens } = require('../text');
+const { decodeStatus, formatStatus } = require('../status');
+const { formatLink } = require('../discord');
+const { parseRaceDate } = require('../schedule');
+const { formatField } = require('../race_card');
+const { formatPodium } = require('../race_result');
+
+const MAX_EMBEDS = 10;
+const MAX_FIELDS = 25;
+const MAX_CHARS = 6000;
+
+// Colour and marker per stage, most advanced first: an embed takes the
+// colour of its most advanced horse
+const STAGE_STYLES = [
+  { stages: ['declared'], colour: 0x2ecc71, marker: '🟢' },
+  { stages: ['probable', 'confirmed'], colour: 0x3498db, marker: '🔵' },
+  { stages: ['reserve'], colour: 0xe67e22, marker: '🟠' },
+  { stages: ['engaged', 'forfait1', 'forfait2', 'forfait3'], colour: 0x95a5a6, marker: '⚪' },
+  { stages: ['notConfirmed', 'notDeclared', 'eliminated', 'nonRunner'], colour: 0xe74c3c, marker: '🔴' },
+  { stages: ['unknown'], colour: 0x7f8c8d, marker: '⚫' },
+];
+
+const styleOf = (statut) => {
+  const stage = decodeStatus(statut).stage;
+  return STAGE_STYLES.find(s => s.stages.includes(stage));
+};
+
+// Results: gold for a win, silver for a place, grey otherwise
+const placeColour = (places) => {
+  if (places.includes(1)) return 0xf1c40f;
+  if (places.some(p => p === 2 || p === 3)) return 0xbdc3c7;
+  return 0x95a5a6;
+};
+
+const truncate = (s, max) => (s.length > max ? s.slice(0, max - 1) + '…' : s);
+const orDash = (s) => s || '-';
+
+// Group items by race date and hippodrome, earliest day first
+function groupByDay(items) {
+  const groups = new Map();
+  for (const item of items) {
+    const k = item.date + '|' + item.track;
+    if (!groups.has(k)) groups.set(k, { date: item.date, track: item.track, items: [] });
+    groups.get(k).items.push(item);
+  }
+  return [...groups.values()].sort((a, b) =>
+    (parseRaceDate(a.date) || '').localeCompare(parseRaceDate(b.date) || '') || (a.track || '').localeCompare(b.track || '')
+  );
+}
+
+const embedLength = (e) =>
+  (e.title || '').length + (e.description || '').length + (e.footer ? e.footer.text.length : 0)
+  + (e.fields || []).reduce((n, f) => n + f.name.length + f.value.length, 0);
+
+// Pack embeds into as few messages as the limits allow; null if one embed
+// alone is over them
+function pack(content, embeds) {
+  if (embeds.some(e => (e.fields || []).length > MAX_FIELDS || embedLength(e) > MAX_CHARS)) return null;
+
+  const payloads = [];
+  let batch = [];
+  let chars = 0;
+  for (const e of embeds) {
+    const len = embedLength(e);
+    if (batch.length && (batch.length === MAX_EMBEDS || chars + len > MAX_CHARS)) {
+      payloads.push(batch);
+      batch = [];
+      chars = 0;
+    }
+    batch.push(e);
+    chars += len;
+  }
+  if (batch.length) payloads.push(batch);
+
+  return payloads.map(batchEmbeds => ({ content, embeds: batchEmbeds, allowed_mentions: { parse: [] } }));
+}
+
+function engagementField(item) {
+  const status = item.oldStatut
+    ? formatStatus(item.oldStatut) + ' → ' + formatStatus(item.statut)
+    : formatStatus(item.statut);
+  return {
+    name: truncate(styleOf(item.statut).marker + ' ' + cleanHorseNameForDiscord(item.horse), 256),
+    value: truncate([
+      formatLink(cleanDoubleParens(item.race), item.raceUrl) + ' (' + orDash(cleanCategory(item.cat)) + ')',
+      orDash(item.dist) + ' — ' + orDash(item.purse),
+      'Statut: ' + status,
+    ].join('\n'), 1024),
+  };
+}
+
+function engagementEmbeds(message) {
+  const embeds = groupByDay(message.items).map(group => {
+    const rank = (item) => STAGE_STYLES.indexOf(styleOf(item.statut));
+    const lead = group.items.reduce((best, item) => (rank(item) < rank(best) ? item : best));
+    return {
+      title: truncate('📅 ' + group.date + ' — ' + orDash(group.track), 256),
+      color: styleOf(lead.statut).colour,
+      fields: group.items.map(engagementField),
+    };
+  });
+  return pack(message.title, embeds);
+}
+
+// Going, winning time and podium of a race result (lib/race_result.js)
+function raceDetailLines(details) {
+  const lines = [];
+  const about = [details.going && 'Terrain: ' + details.going, details.winningTime && '⏱️ ' + details.winningTime];
+  if (about.some(Boolean)) lines.push(about.filter(Boolean).join(' — '));
+  const podium = formatPodium(details);
+  if (podium) lines.push(podium);
+  return lines;
+}
+
+function resultEmbeds(message) {
+  const embeds = groupByDay(message.items).map(group => ({
+    title: truncate('🏁 ' + group.date + ' — ' + orDash(group.track), 256),
+    color: placeColour(group.items.map(r => parseInt(r.place, 10))),
+    fields: group.items.map(r => ({
+      name: truncate(cleanHorseNameForDiscord(r.horse), 256),
+      value: truncate([
+        'Place: ' + orDash(r.place),
+        orDash(r.distance) + ' — ' + orDash(cleanCategory(r.cat)),
+        ...(r.details ? raceDetailLines(r.details) : []),
+        formatLink(r.details && r.details.raceName ? '🏆 ' + r.details.raceName : 'Voir la course', r.raceUrl),
+      ].join('\n'), 1024),
+    })),
+  }));
+  return pack(message.title, embeds);
+}
+
+// "C4 — PRIX DE LA FORÊT (Handicap)"; an entry without a race name shows its
+// track and post time instead
+function raceLabel(race) {
+  const name = race.race || [race.track, race.postTime].filter(Boolean).join(' ') || '-';
+  return (race.raceNumber ? race.raceNumber + ' — ' : '') + name + (race.cat ? ' (' + race.cat + ')' : '');
+}
+
+function alertEmbeds(message) {
+  const race = message.items[0];
+  const fields = [
+    { name: '⏰ Départ', value: orDash(race.postTime) + (race.postTimeUncertain ? ' ⚠️ incertaine' : ''), inline: true },
+    { name: '📍 Hippodrome', value: orDash(race.track), inline: true },
+    { name: '🏆 Course', value: formatLink(raceLabel(race), race.raceUrl) },
+  ];
+  if (race.dist) fields.push({ name: '📏 Distance', value: race.dist.replace('.', '') + 'm', inline: true });
+  if (race.runners && race.runners.length) {
+    fields.push({ name: '👥 Partants (' + race.runners.length + ')', value: formatField(race.runners, race, 1024).join('\n') });
+  }
+
+  return pack(message.title, [{
+    title: truncate('🐴 ' + orDash(race.horse), 256),
+    url: race.raceUrl || undefined,
+    color: styleOf(race.statut || 'DP').colour,
+    fields,
+  }]);
+}
+
+const RENDERERS = {
+  engagements: engagementEmbeds,
+  results: resultEmbeds,
+  alert: alertEmbeds,
+};
+
+// Embed payloads for a message with `kind` and `items`, or null to post text
+function renderEmbeds(message) {
+  const render = RENDERERS[message.kind];
+  if (!render || !message.items || message.items.length === 0) return null;
+  return render(message);
+}
+
+module.exports = {
+  STAGE_STYLES,
+  renderEmbeds,
+};
@@ -0,0 +1,26 @@
+// JSON POST shared by the webhook backends. Failures throw an Error carrying
+// the HTTP status and, when the service asked us to slow down, retryAfter in
+// seconds (Retry-After header, or retry_after / parameters.retry_after in the
+// body as Discord and Telegram send it).
+
+async function postJson(url, body) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  if (res.ok) return res;
+
+  const text = await res.text();
+  let data = null;
+  try { data = JSON.parse(text); } catch (_) { /* plain text error */ }
+
+  const header = parseFloat(res.headers.get('retry-after'));
+  const fromBody = data && (data.retry_after ?? (data.parameters && data.parameters.retry_after));
+  const err = new Error('HTTP ' + res.status + ': ' + text.slice(0, 300));
+  err.status = res.status;
+  err.retryAfter = fromBody != null ? Number(fromBody) : (Number.isFinite(header) ? header : null);
+  throw err;
+}
+
+module.exports = { postJson };
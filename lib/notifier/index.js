@@ -0,0 +1,95 @@
+// Notifier: one interface in front of Discord, Slack, Telegram and email.
+//
+// A target is a string naming the backend and where to send:
+//   https://discord.com/api/webhooks/...    Discord webhook (any bare URL)
+//   https://hooks.slack.com/services/...    Slack incoming webhook
+//   discord:<url> / slack:<url>             same, for URLs that don't say
+//                                           which service they are (stand-ins)
+//   telegram:<chat id>                      Telegram bot, TELEGRAM_BOT_TOKEN
+//   email:<a@x.fr,b@y.fr>                   SMTP, SMTP_URL and EMAIL_FROM
+// Several targets can be given separated by whitespace; each gets every message.
+//
+// Messages are written in Discord markdown and converted per backend:
+//   { title, lines }  a digest; split into several posts where the backend needs it
+//   { text }          a single short post
+// plus suppressEmbeds to turn off link previews. Digests, results and alerts
+// also pass `kind` ('engagements', 'results', 'alert') and the structured
+// `items` behind the lines, which Discord renders as embeds.
+//
+// Nothing is posted directly: queue() writes the rendered posts to the
+// outbox in the store (without the webhook URL or address, which the file
+// must not contain) and deliverOutbox() sends them, retrying failures on
+// this run or the next.
+
+const { enqueueOutbox, listPendingOutbox } = require('../store');
+const { isDryRun, printWouldSend } = require('../dry_run');
+const { BACKENDS, parseTarget, splitTargets, createBackend } = require('./targets');
+const outbox = require('./outbox');
+
+// Every target set up in this process, by target id. deliverOutbox() only
+// sends to these: a run can't deliver to a target it has no credentials for.
+const registered = new Map();
+
+/**
+ * Build a notifier for one or more targets.
+ * @param {string|string[]} specs
+ */
+function createNotifier(specs) {
+  const backends = splitTargets(specs).map(spec => {
+    const backend = createBackend(spec);
+    if (!registered.has(backend.id)) registered.set(backend.id, backend);
+    return backend;
+  });
+
+  // Queue a message for every target. Messages queued under a key that is
+  // already in the outbox are ignored. Returns the number of posts queued.
+  function queue(message, { key = null, expiresAt = null } = {}) {
+    if (isDryRun()) {
+      printMessage(message, backends);
+      return 0;
+    }
+    return enqueueOutbox(backends.flatMap(b =>
+      b.render(message).map((payload, part) => ({ key, targetId: b.id, backend: b.name, part, payload, expiresAt }))
+    ));
+  }
+
+  return {
+    backends,
+    queue,
+    async send(message, opts) {
+      queue(message, opts);
+      return deliverOutbox();
+    },
+  };
+}
+
+// Dry runs print a message instead of queueing it
+function printMessage(message, backends) {
+  const mentions = message.mentions
+    ? [...message.mentions.roles.map(id => '<@&' + id + '>'), ...message.mentions.users.map(id => '<@' + id + '>')]
+    : [];
+  const lines = message.text ? [message.text] : [message.title, ...message.lines];
+  printWouldSend('to ' + (backends.map(b => b.name).join(' + ') || '(no target set)') + (mentions.length ? ' ' + mentions.join(' ') : ''), lines);
+}
+
+// Deliver everything due for the targets this process has set up
+async function deliverOutbox() {
+  if (isDryRun()) {
+    const waiting = listPendingOutbox([...registered.keys()]).length;
+    if (waiting) console.log('🧪 Dry run: ' + waiting + ' posts already in the outbox left undelivered');
+    return { sent: 0, waiting, failed: 0, expired: 0 };
+  }
+  const counts = await outbox.deliverOutbox(registered);
+  if (counts.sent || counts.waiting || counts.failed || counts.expired) {
+    console.log('📤 Outbox: ' + counts.sent + ' sent, ' + counts.waiting + ' waiting for retry, '
+      + counts.failed + ' failed, ' + counts.expired + ' expired');
+  }
+  return counts;
+}
+
+module.exports = {
+  BACKENDS,
+  parseTarget,
+  createNotifier,
+  deliverOutbox,
+};
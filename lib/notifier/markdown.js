@@ -0,0 +1,36 @@
+// Converts the Discord markdown our messages are written in to what each
+// backend understands. Only the subset we produce is handled: **bold** and
+// [text](url) links, possibly nested as [**text**](url).
+
+const LINK_RE = /\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g;
+const BOLD_RE = /\*\*(.+?)\*\*/g;
+
+const escapeHtml = (s) => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Slack mrkdwn: *bold*, <url|text>
+function toSlack(text) {
+  return escapeHtml(text)
+    .replace(LINK_RE, (_, label, url) => '<' + url + '|' + label.replace(/\|/g, '/') + '>')
+    .replace(BOLD_RE, '*$1*');
+}
+
+// Telegram (parse_mode HTML) and email bodies
+function toHtml(text) {
+  return escapeHtml(text)
+    .replace(LINK_RE, (_, label, url) => '<a href="' + url.replace(/"/g, '%22') + '">' + label + '</a>')
+    .replace(BOLD_RE, '<b>$1</b>');
+}
+
+// Plain text: "text (url)", no bold markers
+function toPlainText(text) {
+  return text
+    .replace(LINK_RE, (_, label, url) => label + ' (' + url + ')')
+    .replace(BOLD_RE, '$1');
+}
+
+module.exports = {
+  escapeHtml,
+  toSlack,
+  toHtml,
+  toPlainText,
+};
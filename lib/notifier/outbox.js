@@ -0,0 +1,95 @@
+// Delivers queued notifications from the outbox table in the store.
+//
+// Rows go out oldest first. When one can't be delivered its target is
+// skipped for the rest of the run, so the parts of a digest never arrive
+// out of order and the next run resumes at the part that failed. Retries
+// back off exponentially; short waits (Discord's 429 retry_after) are
+// waited out in-process, longer ones are left for a later run.
+
+const { now } = require('../clock');
+const { loadSettings } = require('../config');
+const {
+  listPendingOutbox, markOutboxSent, rescheduleOutbox, closeOutbox, pruneOutbox,
+} = require('../store');
+
+const BACKOFF_BASE_MS = 2000;                // 2s, 4s, 8s ... between attempts
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+const MAX_INLINE_WAIT_MS = 30 * 1000;        // longer waits are left to the next run
+const INLINE_TRIES = loadSettings().outbox.inlineTries;
+const GIVE_UP_AFTER_MS = loadSettings().outbox.giveUpAfterHours * 60 * 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A retry won't fix a rejected payload, a deleted webhook or a bad address
+const isPermanent = (err) =>
+  err.permanent || (err.status >= 400 && err.status < 500 && err.status !== 408 && err.status !== 429);
+
+const backoffMs = (attempts) => Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+
+// Returns 'sent', 'retry' or 'failed'
+async function deliverRow(row, backend) {
+  let attempts = row.attempts;
+  for (let tries = 1; ; tries++) {
+    attempts++;
+    try {
+      await backend.deliver(row.payload);
+      markOutboxSent(row.id, attempts);
+      return 'sent';
+    } catch (err) {
+      const error = err.message.slice(0, 500);
+      const age = now().getTime() - new Date(row.createdAt).getTime();
+      if (isPermanent(err) || age > GIVE_UP_AFTER_MS) {
+        console.error('❌ Giving up on ' + row.backend + ' message #' + row.id + ' after ' + attempts + ' attempts: ' + error);
+        closeOutbox(row.id, 'failed', { attempts, error });
+        return 'failed';
+      }
+
+      const wait = err.retryAfter != null ? Math.ceil(err.retryAfter * 1000) : backoffMs(attempts);
+      if (tries < INLINE_TRIES && wait <= MAX_INLINE_WAIT_MS) {
+        console.warn('⚠️ ' + row.backend + ' message #' + row.id + ' failed (' + error + '), retrying in ' + Math.ceil(wait / 1000) + 's');
+        await sleep(wait);
+        continue;
+      }
+
+      console.warn('⚠️ ' + row.backend + ' message #' + row.id + ' failed (' + error + '), will retry on a later run');
+      rescheduleOutbox(row.id, { attempts, nextAttemptAt: now().getTime() + wait, error });
+      return 'retry';
+    }
+  }
+}
+
+/**
+ * Deliver what is due for the given backends (keyed by target id).
+ * @returns {Promise<{ sent: number, waiting: number, failed: number, expired: number }>}
+ */
+async function deliverOutbox(backends) {
+  const counts = { sent: 0, waiting: 0, failed: 0, expired: 0 };
+  const blocked = new Set();
+
+  for (const row of listPendingOutbox([...backends.keys()])) {
+    const nowMs = now().getTime();
+    if (row.expiresAt && row.expiresAt <= nowMs) {
+      closeOutbox(row.id, 'expired');
+      counts.expired++;
+      continue;
+    }
+    if (blocked.has(row.targetId) || row.nextAttemptAt > nowMs) {
+      blocked.add(row.targetId);
+      counts.waiting++;
+      continue;
+    }
+
+    const outcome = await deliverRow(row, backends.get(row.targetId));
+    if (outcome === 'sent') counts.sent++;
+    else if (outcome === 'failed') counts.failed++;
+    else {
+      blocked.add(row.targetId);
+      counts.waiting++;
+    }
+  }
+
+  pruneOutbox();
+  return counts;
+}
+
+module.exports = { deliverOutbox };
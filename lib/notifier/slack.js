@@ -0,0 +1,27 @@
+// Slack incoming webhook backend (mrkdwn text).
+
+const { chunkLines } = require('../discord');
+const { postJson } = require('./http');
+const { toSlack } = require('./markdown');
+
+function createSlack(url) {
+  return {
+    name: 'slack',
+    target: url,
+    render(message) {
+      // Slack accepts far longer texts but collapses them behind "Show more"
+      const texts = message.lines
+        ? chunkLines(toSlack(message.title), message.lines.map(toSlack), 3500)
+        : [toSlack(message.text)];
+      return texts.map(text => ({
+        text,
+        mrkdwn: true,
+        unfurl_links: !message.suppressEmbeds,
+        unfurl_media: !message.suppressEmbeds,
+      }));
+    },
+    deliver: (payload) => postJson(url, payload),
+  };
+}
+
+module.exports = { createSlack };
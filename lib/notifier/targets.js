@@ -0,0 +1,44 @@
+// Notification targets: "<backend>:<address>" strings, or a bare webhook URL.
+
+const crypto = require('crypto');
+const { createDiscord } = require('./discord');
+const { createSlack } = require('./slack');
+const { createTelegram } = require('./telegram');
+const { createEmail } = require('./email');
+
+const BACKENDS = {
+  discord: createDiscord,
+  slack: createSlack,
+  telegram: createTelegram,
+  email: createEmail,
+};
+
+function parseTarget(spec) {
+  const m = spec.match(/^(discord|slack|telegram|email):(?!\/\/)(.+)$/i);
+  if (m) return { backend: m[1].toLowerCase(), address: m[2] };
+  if (/^mailto:/i.test(spec)) return { backend: 'email', address: spec.slice(7) };
+  if (/^https:\/\/hooks\.slack\.com\//i.test(spec)) return { backend: 'slack', address: spec };
+  if (/^https?:\/\//i.test(spec)) return { backend: 'discord', address: spec };
+  throw new Error('Unrecognised notification target: ' + spec);
+}
+
+const splitTargets = (specs) =>
+  (Array.isArray(specs) ? specs : [specs])
+    .flatMap(s => (s || '').split(/\s+/))
+    .filter(Boolean);
+
+// Stable id for a target that doesn't reveal it (webhook URLs carry tokens)
+const targetId = (spec) => crypto.createHash('sha256').update(spec).digest('hex').slice(0, 16);
+
+function createBackend(spec) {
+  const { backend, address } = parseTarget(spec);
+  return { id: targetId(spec), ...BACKENDS[backend](address) };
+}
+
+module.exports = {
+  BACKENDS,
+  parseTarget,
+  splitTargets,
+  targetId,
+  createBackend,
+};
@@ -0,0 +1,35 @@
+// Telegram Bot API backend: sendMessage with parse_mode HTML.
+// TELEGRAM_BOT_TOKEN is the bot; the target is the chat id.
+// TELEGRAM_API_URL points it at a stand-in server for testing.
+
+const { chunkLines } = require('../discord');
+const { postJson } = require('./http');
+const { toHtml } = require('./markdown');
+
+const MAX_LEN = 4000; // Telegram's limit is 4096
+
+function createTelegram(chatId, {
+  token = process.env.TELEGRAM_BOT_TOKEN,
+  apiUrl = process.env.TELEGRAM_API_URL || 'https://api.telegram.org',
+} = {}) {
+  if (!token) throw new Error('TELEGRAM_BOT_TOKEN is not set (needed for telegram:' + chatId + ')');
+  const url = apiUrl.replace(/\/+$/, '') + '/bot' + token + '/sendMessage';
+
+  return {
+    name: 'telegram',
+    target: 'telegram:' + chatId,
+    render(message) {
+      const texts = message.lines
+        ? chunkLines(toHtml(message.title), message.lines.map(toHtml), MAX_LEN)
+        : [toHtml(message.text)];
+      return texts.map(text => ({
+        text,
+        parse_mode: 'HTML',
+        disable_web_page_preview: !!message.suppressEmbeds,
+      }));
+    },
+    deliver: (payload) => postJson(url, { chat_id: chatId, ...payload }),
+  };
+}
+
+module.exports = { createTelegram };
@@ -0,0 +1,109 @@
+// When the daemon (daemon.js) runs each job.
+//
+// Like lib/schedule.js these are pure functions: the daemon passes the time,
+// when each job last ran and the DP-P races whose post times are known
+// (store.loadStoredRaces()), so a pinned clock (FG_NOW) gives the same answers.
+//
+// Race days drive the polling: alerts are checked every minute or so while a
+// race is in its alert window and at the race-day refresh rate until the
+// day's last post time, results and tracking every few minutes for a while
+// after each post time. Outside those windows the jobs only run at the
+// idle rate, and engagements at its own rate plus every digest time.
+
+const { fromParisTime, getParisDateParts } = require('./clock');
+const { formatHHMM, parseRaceDate, shouldPostNow } = require('./schedule');
+
+const MINUTE = 60 * 1000;
+
+// The instant a race starts, or null without a date or post time
+function postTimeMs(race) {
+  const date = parseRaceDate(race.date);
+  if (!date || !race.postTime) return null;
+  return fromParisTime(date, race.postTime.hour, race.postTime.minute).getTime();
+}
+
+// First race (by post time) whose start minus `at` falls in [from, to) minutes
+function raceStartingWithin(races, at, from, to) {
+  const t = at.getTime();
+  return races
+    .map(race => ({ race, start: postTimeMs(race) }))
+    .filter(({ start }) => start !== null && start - t >= from * MINUTE && start - t < to * MINUTE)
+    .sort((a, b) => a.start - b.start)[0] || null;
+}
+
+const raceLabel = ({ race }) => race.postTime.formatted + ' ' + (race.horse || '') + (race.track ? ' (' + race.track + ')' : '');
+
+// A digest time of any channel reached since `lastRun`
+function digestTimeReached(digestSchedule, lastRun, at) {
+  const pending = { lastPosted: new Date(lastRun).toISOString() };
+  for (const schedule of [digestSchedule.base, ...Object.values(digestSchedule.channels)]) {
+    const decision = shouldPostNow(pending, at, { schedule });
+    if (decision.post) return formatHHMM(decision.target) + ' ' + schedule.timezone;
+  }
+  return null;
+}
+
+/**
+ * Why `job` should run at `at`, or null if it can wait.
+ *
+ * @param {string} job  one of settings.daemon.jobs
+ * @param {Date} at
+ * @param {{
+ *   lastRuns: Object<string, number>,  epoch ms each job last started
+ *   races: object[],                   DP-P races with a postTime
+ *   pendingTracking: number,           results waiting for a tracking report
+ *   digestSchedule: { base: object, channels: object },
+ *   settings: object,                  lib/config loadSettings()
+ * }} ctx
+ * @returns {string|null}
+ */
+function dueReason(job, at, { lastRuns, races, pendingTracking, digestSchedule, settings }) {
+  const last = lastRuns[job];
+  if (last === undefined) return 'first run';
+
+  const d = settings.daemon;
+  const since = (at.getTime() - last) / MINUTE;
+  const ranAfter = (other) => lastRuns[other] !== undefined && lastRuns[other] > last;
+  const idle = since >= d.idleEveryMinutes ? 'idle check every ' + d.idleEveryMinutes + ' min' : null;
+
+  switch (job) {
+    case 'engagements': {
+      if (since >= d.engagementsEveryMinutes) return 'every ' + d.engagementsEveryMinutes + ' min';
+      const digest = digestTimeReached(digestSchedule, last, at);
+      return digest ? 'digest time ' + digest : null;
+    }
+    case 'alerts': {
+      // New DP-P races need their post times looked up
+      if (ranAfter('engagements')) return 'engagements ran';
+      const { windowEndMinutes, windowStartMinutes } = settings.alerts;
+      const next = raceStartingWithin(races, at, windowEndMinutes, windowStartMinutes + 1);
+      if (next && since >= d.alertsEveryMinutes) return 'alert window of ' + raceLabel(next);
+      // Race pages are read again for post time changes and non-runners
+      const today = getParisDateParts(at).date;
+      const later = raceStartingWithin(races.filter(r => parseRaceDate(r.date) === today), at, 0, 24 * 60);
+      if (later && since >= settings.alerts.refreshEveryMinutes) return 'race-day refresh before ' + raceLabel(later);
+      return idle;
+    }
+    case 'results': {
+      const running = raceStartingWithin(races, at, -d.busyForMinutes, 0);
+      if (running && since >= d.busyEveryMinutes) return 'after the ' + raceLabel(running) + ' start';
+      return idle;
+    }
+    case 'tracking': {
+      if (pendingTracking > 0 && since >= d.busyEveryMinutes) return pendingTracking + ' race(s) waiting for a tracking report';
+      return idle;
+    }
+    case 'dashboard': {
+      if (ranAfter('engagements')) return 'engagements ran';
+      if (ranAfter('results')) return 'results ran';
+      return null;
+    }
+    default:
+      throw new Error('Unknown daemon job "' + job + '"');
+  }
+}
+
+module.exports = {
+  postTimeMs,
+  dueReason,
+};
@@ -0,0 +1,103 @@
+// Official start time of a France Galop course detail page.
+//
+// A bare "HHhMM" anywhere on the page can be anything (a previous race, the
+// meeting's first race, a news item), so the time is looked for in order of
+// trust:
+//   high    labelled ("Départ : 14h31") in the race header
+//   medium  unlabelled in the race header, or labelled elsewhere on the page
+//   low     unlabelled elsewhere on the page
+// Times outside racing hours are skipped. The result records where it was
+// found, and the race number within the meeting ("C3") when the header has it.
+
+const { norm } = require('./text');
+
+// Racing in France starts in the morning at the earliest and evening
+// meetings end before midnight
+const EARLIEST_HOUR = 9;
+const LATEST_HOUR = 23;
+
+// Candidates for the race header, most specific first
+const HEADER_SELECTORS = [
+  '[class*="race-header"]',
+  '[class*="course-header"]',
+  '[class*="detail-course"] header',
+  'main h1',
+  'h1',
+];
+
+const LABELLED = /(?:heure\s+de\s+d[ée]part|d[ée]part)\s*(?:pr[ée]vu\s*)?(?:à|a|:)?\s*(\d{1,2})\s*[h:]\s*(\d{2})(?!\d)/gi;
+const UNLABELLED = /(?<![\d/.])(\d{1,2})\s*[h:]\s*(\d{2})(?!\d)/g;
+// "C3 - PRIX ..." or "R1C3" (not a "(C3)" category), "Course n° 3", "3e course"
+const RACE_NUMBER = /(?:^|R\d{1,2}\s*)C(\d{1,2})(?!\d)|Course\s*(?:n°|no)?\s*(\d{1,2})(?!\d)|(\d{1,2})\s*(?:e|ème|eme)\s+course/i;
+
+const plausible = (hour, minute) => hour >= EARLIEST_HOUR && hour <= LATEST_HOUR && minute >= 0 && minute <= 59;
+
+// First plausible time matched by `pattern` in `text`
+function findTime(text, pattern) {
+  for (const m of text.matchAll(pattern)) {
+    const hour = parseInt(m[1], 10);
+    const minute = parseInt(m[2], 10);
+    if (plausible(hour, minute)) return { hour, minute };
+  }
+  return null;
+}
+
+function findRaceNumber(text) {
+  const m = text.match(RACE_NUMBER);
+  return m ? 'C' + parseInt(m[1] || m[2] || m[3], 10) : null;
+}
+
+/**
+ * Start time from the texts of a course detail page.
+ *
+ * @param {{ source: string, text: string, header: boolean }[]} candidates
+ *   header candidates first, then the whole page (header: false)
+ * @returns {{ hour: number, minute: number, formatted: string, raceNumber: string|null,
+ *   source: string, confidence: 'high'|'medium'|'low' }|null}
+ */
+function parsePostTime(candidates) {
+  const headers = candidates.filter(c => c.header);
+  const raceNumber = headers.map(c => findRaceNumber(c.text)).find(Boolean) || null;
+
+  const attempts = [
+    ...headers.map(c => ({ c, pattern: LABELLED, confidence: 'high', how: 'Départ' })),
+    ...headers.map(c => ({ c, pattern: UNLABELLED, confidence: 'medium', how: 'heure seule' })),
+    ...candidates.filter(c => !c.header).map(c => ({ c, pattern: LABELLED, confidence: 'medium', how: 'Départ' })),
+    ...candidates.filter(c => !c.header).map(c => ({ c, pattern: UNLABELLED, confidence: 'low', how: 'heure seule' })),
+  ];
+
+  for (const { c, pattern, confidence, how } of attempts) {
+    const time = findTime(c.text, pattern);
+    if (!time) continue;
+    return {
+      ...time,
+      formatted: `${time.hour}h${time.minute.toString().padStart(2, '0')}`,
+      raceNumber,
+      source: c.source + ', ' + how,
+      confidence,
+    };
+  }
+  return null;
+}
+
+/**
+ * Start time of the course detail page open in `page`; see parsePostTime.
+ *
+ * @param {import('playwright').Page} page
+ */
+async function readPostTime(page) {
+  const candidates = [];
+  for (const selector of HEADER_SELECTORS) {
+    const el = page.locator(selector).first();
+    if (!(await el.count().catch(() => 0))) continue;
+    const text = norm(await el.innerText().catch(() => ''));
+    if (text) candidates.push({ source: selector, text, header: true });
+  }
+  candidates.push({ source: 'body', text: await page.locator('body').innerText(), header: false });
+  return parsePostTime(candidates);
+}
+
+module.exports = {
+  parsePostTime,
+  readPostTime,
+};
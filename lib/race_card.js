@@ -0,0 +1,152 @@
+// Race card (field of runners) of a France Galop course detail page
+// (/fr/course/detail/...).
+//
+// The runners table is found by its headers, like the trainer and results
+// tables, and each column is read by header name, so a column the page
+// doesn't show (no draw over jumps, no rating in a maiden) is just left empty.
+// Runners withdrawn after the declarations stay on the card marked "NP".
+
+const { norm, horseNameKey } = require('./text');
+const { horseIdFromUrl } = require('./ids');
+
+const COLUMNS = {
+  number: /^(N°|No\b|Num)/i,
+  horse: /^Cheval/i,
+  draw: /^Corde/i,
+  weight: /^Poids/i,
+  jockey: /^(Jockey|Monte|Cavalier)/i,
+  trainer: /^Entra[iî]n/i,
+  owner: /^Propri/i,
+  equipment: /^([OŒ]ill|[ÉE]quip)/i,
+  rating: /^(Val|VH\b)/i,
+};
+
+const NON_RUNNER = /\bNP\b|Non[- ]partant/i;
+
+const absoluteUrl = (href) =>
+  !href ? '' : href.startsWith('http') ? href : `https://www.france-galop.com${href}`;
+
+/**
+ * Rows of the first table in `page` whose header row passes `isHeader`, one
+ * object per row with the cell of each `columns` entry (matched by header
+ * name, '' when missing), the horse's link and the row's `cells` as shown.
+ * Rows without a horse are skipped; an empty list when no table matches.
+ *
+ * @param {import('playwright').Page} page
+ * @param {(header: string) => boolean} isHeader
+ * @param {Object<string, RegExp>} columns  must include `horse`
+ * @returns {Promise<object[]>}
+ */
+async function readRunnersTable(page, isHeader, columns) {
+  const allTables = page.locator('table');
+  const tableCount = await allTables.count();
+
+  let table = null;
+  for (let i = 0; i < tableCount; i++) {
+    const t = allTables.nth(i);
+    const header = norm(await t.locator('thead, tr').first().innerText().catch(() => ''));
+    if (isHeader(header)) {
+      table = t;
+      break;
+    }
+  }
+  if (!table) return [];
+
+  const headerCells = await table.locator('thead tr th, tr:first-child th, tr:first-child td').allInnerTexts();
+  const headers = headerCells.map(norm);
+  const idx = {};
+  for (const [name, pattern] of Object.entries(columns)) {
+    idx[name] = headers.findIndex(h => pattern.test(h));
+  }
+
+  const cell = (tds, i) => (i >= 0 && i < tds.length ? norm(tds[i]) : '');
+
+  const rows = table.locator('tbody tr, tr').filter({ hasNot: page.locator('th') });
+  const out = [];
+
+  for (let r = 0; r < await rows.count(); r++) {
+    const row = rows.nth(r);
+    const tds = await row.locator('td').allInnerTexts();
+    if (!tds.length) continue;
+
+    let horseUrl = '';
+    if (idx.horse >= 0) {
+      const horseLink = row.locator('td').nth(idx.horse).locator('a').first();
+      if (await horseLink.count()) horseUrl = absoluteUrl(await horseLink.getAttribute('href'));
+    }
+
+    const rec = { horseUrl };
+    for (const name of Object.keys(columns)) rec[name] = cell(tds, idx[name]);
+    rec.cells = tds.map(norm);
+    if (rec.horse) out.push(rec);
+  }
+
+  return out;
+}
+
+/**
+ * Runners of the course detail page currently open in `page`, in card order.
+ * An empty list when the page has no runners table (e.g. before the
+ * declarations).
+ *
+ * @param {import('playwright').Page} page
+ * @returns {Promise<{ number: string, horse: string, horseUrl: string, draw: string, weight: string,
+ *   jockey: string, trainer: string, owner: string, equipment: string, rating: string,
+ *   nonRunner: boolean }[]>}
+ */
+async function readRaceCard(page) {
+  const rows = await readRunnersTable(page, (header) => /Cheval/i.test(header) && /Jockey|Poids/i.test(header), COLUMNS);
+  return rows.map(({ cells, ...runner }) => ({
+    ...runner,
+    nonRunner: cells.some(text => NON_RUNNER.test(text)),
+  }));
+}
+
+// Whether a card runner is the horse of `race` (a DP-P race or engagement):
+// same horse id, or same name when either has no link
+function isRunner(runner, race) {
+  const a = horseIdFromUrl(runner.horseUrl);
+  const b = horseIdFromUrl(race.horseUrl);
+  if (a && b) return a === b;
+  return horseNameKey(runner.horse) === horseNameKey(race.horse);
+}
+
+// Our horse's entry on a card, or null
+const findRunner = (runners, race) => (runners || []).find(r => isRunner(r, race)) || null;
+
+// "3. SOME HORSE (c.5) — 58 kg — J. Dupont — 🎭 O — VH 32"
+function formatRunner(runner) {
+  if (runner.nonRunner) return (runner.number ? runner.number + '. ' : '') + '~~' + runner.horse + '~~ — NP';
+  const parts = [(runner.number ? runner.number + '. ' : '') + runner.horse + (runner.draw ? ' (c.' + runner.draw + ')' : '')];
+  if (runner.weight) parts.push(runner.weight.replace(/\s*kg$/i, '') + ' kg');
+  if (runner.jockey) parts.push(runner.jockey);
+  if (runner.equipment) parts.push('🎭 ' + runner.equipment);
+  if (runner.rating) parts.push('VH ' + runner.rating);
+  return parts.join(' — ');
+}
+
+// One line per runner, ours in bold, cut with "… +N" to fit in `maxChars`
+function formatField(runners, race, maxChars) {
+  const lines = [];
+  let size = 0;
+  for (let i = 0; i < runners.length; i++) {
+    const line = isRunner(runners[i], race) ? '**' + formatRunner(runners[i]) + '**' : formatRunner(runners[i]);
+    const more = '… +' + (runners.length - i);
+    if (size + line.length + 1 + (i < runners.length - 1 ? more.length + 1 : 0) > maxChars) {
+      lines.push(more);
+      break;
+    }
+    lines.push(line);
+    size += line.length + 1;
+  }
+  return lines;
+}
+
+module.exports = {
+  readRunnersTable,
+  readRaceCard,
+  isRunner,
+  findRunner,
+  formatRunner,
+  formatField,
+};
@@ -0,0 +1,100 @@
+// Result of a France Galop course detail page (/fr/course/detail/...) once
+// the race is run: race name, going, winning time and the finishing order.
+//
+// The trainer's "Dernières courses" table only has our horse's place, so
+// scrape_results.js reads this for the results post and the dashboard. The
+// finishing order comes from the same runners table as the race card
+// (lib/race_card.js), now with a place and a margin per horse.
+
+const { norm } = require('./text');
+const { readRunnersTable } = require('./race_card');
+
+const COLUMNS = {
+  place: /^(Place|Pl\b|Rg|Rang|Cl)/i,
+  number: /^(N°|No\b|Num)/i,
+  horse: /^Cheval/i,
+  jockey: /^(Jockey|Monte|Cavalier)/i,
+  trainer: /^Entra[iî]n/i,
+  owner: /^Propri/i,
+  weight: /^Poids/i,
+  margin: /^([ÉE]cart|Dist)/i,
+};
+
+const GOING = /(?:[ÉE]tat du terrain|Terrain)\s*:?\s*([^\n:]+?)\s*(?:\n|$)/i;
+// 1'38"52, 1'38''52, 98"52, 1:38.52
+const WINNING_TIME = /Temps(?:\s+du\s+(?:vainqueur|gagnant|1er))?\s*:?\s*(\d+\s*['’]\s*\d{1,2}\s*(?:["”]|'')\s*\d{1,2}|\d{1,3}\s*(?:["”]|'')\s*\d{1,2}|\d+:\d{2}[.,]\d{1,2})/i;
+// "C3 - PRIX DE LA FORET" -> "PRIX DE LA FORET"
+const RACE_NUMBER_PREFIX = /^(?:R\d{1,2}\s*)?C\d{1,2}\s*[-–—:]?\s*/i;
+
+const placeNumber = (place) => (/^\d+/.test(place) ? parseInt(place, 10) : null);
+
+/**
+ * The result from what a course detail page shows, or null before the race
+ * is run (no finishing order yet). Finishers come in finishing order, then
+ * the horses that didn't finish (place "NP", "TB", "DAI"...) as the page
+ * lists them.
+ *
+ * @param {object} page
+ * @param {object[]} page.finishers  rows of the runners table (COLUMNS)
+ * @param {string} [page.heading]    text of the h1
+ * @param {string} [page.body]       text of the whole page
+ * @returns {{ raceName: string, going: string, winningTime: string, finishers: { place: string,
+ *   number: string, horse: string, horseUrl: string, jockey: string, trainer: string, owner: string,
+ *   weight: string, margin: string }[] }|null}
+ */
+function parseRaceResult({ finishers, heading = '', body = '' }) {
+  if (!finishers.some(f => placeNumber(f.place) !== null)) return null;
+
+  const ranked = finishers
+    .map((f, i) => ({ f, i, n: placeNumber(f.place) }))
+    .sort((a, b) => (a.n ?? Infinity) - (b.n ?? Infinity) || a.i - b.i)
+    .map(x => x.f);
+
+  const going = body.match(GOING);
+  const time = body.match(WINNING_TIME);
+
+  return {
+    raceName: norm(heading).replace(RACE_NUMBER_PREFIX, ''),
+    going: going ? norm(going[1]) : '',
+    winningTime: time ? time[1].replace(/\s+/g, '') : '',
+    finishers: ranked,
+  };
+}
+
+/**
+ * The result shown by the course detail page open in `page`; see
+ * parseRaceResult.
+ *
+ * @param {import('playwright').Page} page
+ */
+async function readRaceResult(page) {
+  const rows = await readRunnersTable(page, (header) => /Cheval/i.test(header) && /Place|Rg|Rang|Cl/i.test(header), COLUMNS);
+  const finishers = rows.map(({ cells, ...runner }) => runner);
+  if (!finishers.some(f => placeNumber(f.place) !== null)) return null;
+
+  const heading = page.locator('h1').first();
+  return parseRaceResult({
+    finishers,
+    heading: (await heading.count().catch(() => 0)) ? await heading.innerText().catch(() => '') : '',
+    body: await page.locator('body').innerText(),
+  });
+}
+
+// Winner, second and third as [{ place, horse, ... }], fewer after a dead heat
+// or a small field
+const podium = (result) =>
+  (result ? result.finishers : []).filter(f => [1, 2, 3].includes(placeNumber(f.place)));
+
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+// "🥇 WINNER · 🥈 SECOND · 🥉 THIRD"
+const formatPodium = (result) =>
+  podium(result).map(f => MEDALS[placeNumber(f.place) - 1] + ' ' + f.horse).join(' · ');
+
+module.exports = {
+  parseRaceResult,
+  readRaceResult,
+  placeNumber,
+  podium,
+  formatPodium,
+};
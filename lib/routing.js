@@ -0,0 +1,82 @@
+// Per-owner routing: sends the rows about an owner's (or a single horse's)
+// runners to that owner's own channels as well as the main one.
+//
+// Routes come from FG_ROUTING (JSON, for setups whose webhooks live in
+// secrets) or config/routing.json:
+//   { "routes": [
+//     { "name": "wertheimer",
+//       "owners": ["Wertheimer & Frère"],
+//       "horses": ["Ceramic", "https://www.france-galop.com/fr/cheval/..."],
+//       "targets": ["$DISCORD_WEBHOOK_WERTHEIMER", "telegram:-100123"],
+//       "mentions": { "roles": ["123456789"], "users": ["987654321"] } }
+//   ] }
+// A row matches a route when its owner is one of `owners` or its horse is one
+// of `horses` (name, URL or horse id). Names are compared without case,
+// accents or punctuation, and "&" matches "et". "$NAME" targets are read
+// from the environment.
+// Mentions are Discord role/user ids and ping only in that route's posts.
+
+const fs = require('fs');
+const path = require('path');
+const { foldName } = require('./text');
+const { createNotifier } = require('./notifier');
+const { horseMatcher, resolveTargets, normalizeMentions } = require('./rules');
+
+const ROUTING_FILE = path.join('config', 'routing.json');
+
+function readRouting() {
+  if (process.env.FG_ROUTING) return JSON.parse(process.env.FG_ROUTING);
+  if (!fs.existsSync(ROUTING_FILE)) return { routes: [] };
+  try {
+    return JSON.parse(fs.readFileSync(ROUTING_FILE, 'utf8'));
+  } catch (err) {
+    throw new Error('Could not parse ' + ROUTING_FILE + ': ' + err.message);
+  }
+}
+
+/**
+ * Load the routes, each with a notifier for its targets.
+ * @returns {{ name: string, matches: (item: object) => boolean, mentions: object|null, notifier: object }[]}
+ */
+function loadRoutes() {
+  const config = readRouting();
+
+  return (config.routes || []).map((r, i) => {
+    const name = r.name || 'route' + (i + 1);
+    const owners = new Set((r.owners || []).map(foldName));
+    const isHorse = horseMatcher(r.horses || []);
+
+    const targets = resolveTargets(r.targets, 'Route ' + name);
+
+    return {
+      name,
+      mentions: normalizeMentions(r.mentions),
+      notifier: createNotifier(targets),
+      matches: (item) => (!!item.owner && owners.has(foldName(item.owner))) || isHorse(item),
+    };
+  }).filter(route => route.notifier.backends.length > 0);
+}
+
+/**
+ * Queue a message's matching items to every route that has any, with that
+ * route's mentions. `formatLine` rebuilds the text lines for the subset.
+ */
+function queueRouted(routes, message, { key = null, expiresAt = null } = {}, formatLine = null) {
+  for (const route of routes) {
+    const items = (message.items || []).filter(route.matches);
+    if (items.length === 0) continue;
+
+    route.notifier.queue({
+      ...message,
+      items,
+      ...(message.lines && formatLine ? { lines: items.map(formatLine) } : {}),
+      mentions: route.mentions,
+    }, { key: key && key + ':' + route.name, expiresAt });
+  }
+}
+
+module.exports = {
+  ROUTING_FILE,
+  loadRoutes,
+  queueRouted,
+};
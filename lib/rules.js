@@ -0,0 +1,283 @@
+// Subscription rules: who gets notified of what, beyond the main channels.
+//
+// Subscribers come from FG_RULES (JSON) or config/rules.json:
+//   { "subscribers": [
+//     { "name": "head-office",
+//       "targets": ["$DISCORD_WEBHOOK_HEAD", "email:office@example.com"],
+//       "mentions": { "roles": ["123456789"] },
+//       "events": ["declared", "result"],
+//       "filters": { "owners": ["Wertheimer & Frère"], "categories": ["Groupe"],
+//                    "minPurse": 50000, "topN": 3 },
+//       "delivery": "immediate" }
+//   ] }
+//
+// Events, and the script that raises them:
+//   newEngagement  a horse is entered in a race           scrape_engagements.js
+//   stageChange    an engagement's statut changes          scrape_engagements.js
+//   declared       a horse is declared to run (DP-P)       scrape_engagements.js
+//   postTime       a declared runner's race is about to start  scrape_race_alerts.js
+//   raceChange     its post time, jockey or runner status changes  scrape_race_alerts.js
+//   result         a result is published                   scrape_results.js
+//   tracking       a tracking report is available          check_tracking_reports.js
+//
+// Filters (all given must match; a filter an event has no data for, such as
+// minPurse on a result, is ignored for that event):
+//   horses, owners, tracks, trainers   any of (names compared loosely)
+//   categories                          category contains any of, e.g. "Groupe"
+//   minPurse                            purse of at least this many euros
+//   stages                              statut at one of these stages (lib/status.js)
+//   topN                                finished in the first N
+//
+// delivery is "immediate" (posted on the run that sees the event) or
+// "digest" (collected and posted at the digest times of config/schedule.json);
+// an object such as { "result": "immediate", "default": "digest" } sets it
+// per event.
+
+const fs = require('fs');
+const path = require('path');
+const { foldName, cleanHorseNameForSheet, cleanCategory } = require('./text');
+const { horseIdFromUrl } = require('./ids');
+const { hasStage, STAGES } = require('./status');
+const { now, getParisDateParts } = require('./clock');
+const { shouldPostNow } = require('./schedule');
+const { scheduleFor } = require('./digest_schedule');
+const { createNotifier } = require('./notifier');
+const {
+  inTransaction, getState, setState, addSubscriberDigest, listSubscriberDigest, deleteSubscriberDigest,
+} = require('./store');
+
+const RULES_FILE = path.join('config', 'rules.json');
+
+const EVENTS = {
+  newEngagement: { title: '🆕 **Nouvelles engagements**', kind: 'engagements' },
+  stageChange: { title: '🔄 **Statut mis à jour**', kind: 'engagements' },
+  declared: { title: '🏇 **PARTANTS**', kind: 'engagements' },
+  postTime: { title: '⏰ **Départs**', kind: null },
+  raceChange: { title: '⚠️ **Changements de course**', kind: null },
+  result: { title: '**NOUVEAUX RESULTATS**', kind: 'results' },
+  tracking: { title: '📊 **Rapports de tracking**', kind: null },
+};
+
+// Event title with today's Paris date: "🏇 **PARTANTS — 2026-10-18**"
+const datedTitle = (event) => EVENTS[event].title.replace(/\*\*$/, ' — ' + getParisDateParts().date + '**');
+
+// ============ SHARED MATCHING ============
+
+// Match rows by horse name, France Galop horse URL or horse id
+function horseMatcher(horses) {
+  const ids = new Set();
+  const names = new Set();
+  for (const h of horses) {
+    const id = horseIdFromUrl(h);
+    if (id) ids.add(id);
+    else if (/^\d+$/.test(h)) ids.add(h);
+    else names.add(foldName(cleanHorseNameForSheet(h)));
+  }
+  return (item) =>
+    (!!item.horseUrl && ids.has(horseIdFromUrl(item.horseUrl)))
+    || (!!item.horse && names.has(foldName(cleanHorseNameForSheet(item.horse))));
+}
+
+// "$NAME" targets are read from the environment; unset ones are skipped
+function resolveTargets(targets, label) {
+  return (targets || []).map(spec => {
+    const m = spec.match(/^\$\{?(\w+)\}?$/);
+    if (!m) return spec;
+    if (!process.env[m[1]]) {
+      console.warn('⚠️ ' + label + ': ' + m[1] + ' is not set, skipping that target');
+      return null;
+    }
+    return process.env[m[1]];
+  }).filter(Boolean);
+}
+
+function normalizeMentions(mentions) {
+  const roles = ((mentions && mentions.roles) || []).map(String);
+  const users = ((mentions && mentions.users) || []).map(String);
+  return roles.length || users.length ? { roles, users } : null;
+}
+
+// "45.000 €" -> 45000
+const parseAmount = (s) => {
+  const digits = String(s || '').replace(/[^\d]/g, '');
+  return digits ? parseInt(digits, 10) : null;
+};
+
+// Each filter returns a test that is true when the row passes or the
+// filter doesn't apply to it
+const FILTERS = {
+  horses: (list) => horseMatcher(list),
+  owners: (list) => {
+    const set = new Set(list.map(foldName));
+    return (item) => item.owner === undefined || set.has(foldName(item.owner));
+  },
+  tracks: (list) => {
+    const set = new Set(list.map(foldName));
+    return (item) => item.track === undefined || set.has(foldName(item.track));
+  },
+  trainers: (list) => (item) => item.trainer === undefined || list.includes(item.trainer),
+  categories: (list) => {
+    const wanted = list.map(foldName);
+    return (item) => item.cat === undefined || wanted.some(c => foldName(cleanCategory(item.cat)).includes(c));
+  },
+  minPurse: (min) => (item) => item.purse === undefined || (parseAmount(item.purse) || 0) >= min,
+  stages: (list) => (item) => item.statut === undefined || hasStage(item.statut, ...list),
+  topN: (n) => (item) => {
+    if (item.place === undefined) return true;
+    const place = parseInt(item.place, 10);
+    return place >= 1 && place <= n;
+  },
+};
+
+function compileFilters(filters, label) {
+  const tests = Object.entries(filters || {}).map(([name, value]) => {
+    if (!FILTERS[name]) throw new Error(label + ': unknown filter "' + name + '"');
+    if (name === 'stages') {
+      const unknown = value.filter(s => !STAGES[s]);
+      if (unknown.length) throw new Error(label + ': unknown stage(s) ' + unknown.join(', '));
+    }
+    return FILTERS[name](value);
+  });
+  return (item) => tests.every(test => test(item));
+}
+
+// ============ SUBSCRIBERS ============
+
+function readRules() {
+  if (process.env.FG_RULES) return JSON.parse(process.env.FG_RULES);
+  if (!fs.existsSync(RULES_FILE)) return { subscribers: [] };
+  try {
+    return JSON.parse(fs.readFileSync(RULES_FILE, 'utf8'));
+  } catch (err) {
+    throw new Error('Could not parse ' + RULES_FILE + ': ' + err.message);
+  }
+}
+
+/**
+ * Load the subscribers, each with a notifier for its targets.
+ * @returns {{ name: string, wants: (event: string) => boolean, deliveryFor: (event: string) => string,
+ *   matches: (item: object) => boolean, mentions: object|null, notifier: object }[]}
+ */
+function loadSubscribers() {
+  const config = readRules();
+
+  return (config.subscribers || []).map((s, i) => {
+    const name = s.name || 'subscriber' + (i + 1);
+    const label = 'Subscriber ' + name;
+
+    const events = s.events || Object.keys(EVENTS);
+    const unknown = events.filter(e => !EVENTS[e]);
+    if (unknown.length) throw new Error(label + ': unknown event(s) ' + unknown.join(', '));
+
+    const delivery = typeof s.delivery === 'object' && s.delivery !== null
+      ? s.delivery
+      : { default: s.delivery || 'immediate' };
+    for (const timing of Object.values(delivery)) {
+      if (timing !== 'immediate' && timing !== 'digest') {
+        throw new Error(label + ': delivery must be "immediate" or "digest", got "' + timing + '"');
+      }
+    }
+
+    return {
+      name,
+      mentions: normalizeMentions(s.mentions),
+      notifier: createNotifier(resolveTargets(s.targets, label)),
+      wants: (event) => events.includes(event),
+      deliveryFor: (event) => delivery[event] || delivery.default || 'immediate',
+      matches: compileFilters(s.filters, label),
+    };
+  }).filter(sub => sub.notifier.backends.length > 0);
+}
+
+/**
+ * Hand an event's rows to every subscriber that wants them: queued for
+ * delivery now, or kept for the next digest.
+ *
+ * @param {string} event  one of EVENTS
+ * @param {object[]} items  rows the event is about
+ * @param {{ formatLine: (item: object) => string, text?: string, title?: string,
+ *   kind?: string, key?: string, expiresAt?: number }} opts
+ *   `text` posts a single prepared message (alerts, tracking) instead of
+ *   `title` + one line per row; digests always use the lines.
+ */
+function notifySubscribers(subscribers, event, items, { formatLine, text = null, title = null, kind, key = null, expiresAt = null }) {
+  const spec = EVENTS[event];
+  for (const sub of subscribers) {
+    if (!sub.wants(event)) continue;
+    const matching = items.filter(sub.matches);
+    if (matching.length === 0) continue;
+
+    if (sub.deliveryFor(event) === 'digest') {
+      addSubscriberDigest(matching.map(item => ({ subscriber: sub.name, event, line: formatLine(item), item })));
+      continue;
+    }
+
+    sub.notifier.queue({
+      kind: kind === undefined ? spec.kind : kind,
+      title: title || datedTitle(event),
+      ...(text ? { text } : { lines: matching.map(formatLine) }),
+      items: matching,
+      mentions: sub.mentions,
+      suppressEmbeds: true,
+    }, { key: key && key + ':' + sub.name, expiresAt });
+  }
+}
+
+/**
+ * Post every subscriber's collected digest rows when its digest schedule
+ * (config/schedule.json, by subscriber name) says so.
+ */
+function flushSubscriberDigests(subscribers, { digestSchedule, force = false }) {
+  // { <subscriber>: ISO time of its last digest }
+  const lastPosted = getState('subscriber_digest_last_posted', {});
+
+  const at = now();
+  const due = subscribers.filter(sub =>
+    shouldPostNow({ lastPosted: lastPosted[sub.name] || null }, at, { schedule: scheduleFor(digestSchedule, sub.name), force }).post
+  );
+  const configured = new Set(subscribers.map(sub => sub.name));
+  const rows = listSubscriberDigest();
+  // Rows of subscribers no longer in the rules are dropped with the next flush
+  const orphans = rows.filter(r => !configured.has(r.subscriber));
+  if (due.length === 0 && orphans.length === 0) return 0;
+
+  const postedAt = at.toISOString();
+  let queued = 0;
+
+  inTransaction(() => {
+    const flushed = [...orphans];
+    for (const sub of due) {
+      const mine = rows.filter(r => r.subscriber === sub.name);
+      flushed.push(...mine);
+      for (const event of Object.keys(EVENTS)) {
+        const eventRows = mine.filter(r => r.event === event);
+        if (eventRows.length === 0) continue;
+        sub.notifier.queue({
+          kind: EVENTS[event].kind,
+          title: datedTitle(event),
+          lines: eventRows.map(r => r.line),
+          items: eventRows.map(r => r.item),
+          mentions: sub.mentions,
+          suppressEmbeds: true,
+        }, { key: 'subdigest:' + sub.name + ':' + postedAt + ':' + event });
+        queued++;
+      }
+      lastPosted[sub.name] = postedAt;
+    }
+    deleteSubscriberDigest(flushed.map(r => r.id));
+    setState('subscriber_digest_last_posted', lastPosted);
+  });
+  return queued;
+}
+
+module.exports = {
+  RULES_FILE,
+  EVENTS,
+  FILTERS,
+  horseMatcher,
+  resolveTargets,
+  normalizeMentions,
+  loadSubscribers,
+  notifySubscribers,
+  flushSubscriberDigests,
+};
@@ -0,0 +1,159 @@
+// Paris-time scheduling decisions shared by the scrapers.
+//
+// Everything here is a pure function of its arguments: callers pass the
+// current time (a Date, or Paris parts from clock.getParisDateParts()), so
+// the same code runs against the real clock in production and a pinned one
+// (FG_NOW) elsewhere.
+
+const { getZonedDateParts } = require('./clock');
+
+const formatHHMM = (m) => String(Math.floor(m / 60)).padStart(2, '0') + ':' + String(m % 60).padStart(2, '0');
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+// Easter Sunday (anonymous Gregorian algorithm) as "YYYY-MM-DD"
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return year + '-' + pad2(month) + '-' + pad2(day);
+}
+
+const addDays = (dateStr, days) => {
+  const d = new Date(dateStr + 'T12:00:00Z');
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+};
+
+// French public holidays of `year` as "YYYY-MM-DD"
+function frenchHolidays(year) {
+  const easter = easterSunday(year);
+  return [
+    '01-01', '05-01', '05-08', '07-14', '08-15', '11-01', '11-11', '12-25',
+  ].map(md => year + '-' + md).concat([
+    addDays(easter, 1),   // Lundi de Pâques
+    addDays(easter, 39),  // Ascension
+    addDays(easter, 50),  // Lundi de Pentecôte
+  ]).sort();
+}
+
+// Why `local` (zoned date parts) is not a posting day for `schedule`, or null
+function skipReason(schedule, local) {
+  if (schedule.weekdays && !schedule.weekdays.includes(local.weekday)) return local.weekday + ' is not a posting day';
+  if (schedule.skipWeekends && (local.weekday === 'sat' || local.weekday === 'sun')) return 'no digest at weekends';
+  if (schedule.skipHolidays && frenchHolidays(parseInt(local.date.slice(0, 4), 10)).includes(local.date)) return local.date + ' is a public holiday';
+  if ((schedule.skipDates || []).includes(local.date)) return local.date + ' is in skipDates';
+  return null;
+}
+
+// Decide whether to flush a pending digest on this run.
+// `schedule` is { timezone, times: [{ hour, minute }], weekdays, skipWeekends,
+// skipHolidays, skipDates } (see lib/digest_schedule.js). Posts if a time has
+// already passed today and we haven't yet posted for it — so GitHub Actions
+// cron delays don't cause missed posts. On days the schedule skips nothing is
+// posted and changes wait for the next posting day.
+// Returns { post: boolean, reason: string, target: number|null }.
+function shouldPostNow(pending, at, { schedule, force = false }) {
+  if (force) {
+    return { post: true, reason: 'force/manual override', target: null };
+  }
+
+  const local = getZonedDateParts(at, schedule.timezone);
+
+  const skip = skipReason(schedule, local);
+  if (skip) {
+    return { post: false, reason: skip, target: null };
+  }
+
+  const passedTargets = schedule.times
+    .map(t => t.hour * 60 + t.minute)
+    .filter(t => local.minutesSinceMidnight >= t);
+
+  if (passedTargets.length === 0) {
+    return { post: false, reason: 'no target reached yet today', target: null };
+  }
+
+  const mostRecentTarget = Math.max(...passedTargets);
+
+  if (!pending.lastPosted) {
+    return { post: true, reason: 'no prior post recorded', target: mostRecentTarget };
+  }
+
+  const lastPostedLocal = getZonedDateParts(new Date(pending.lastPosted), schedule.timezone);
+
+  if (lastPostedLocal.date < local.date) {
+    return { post: true, reason: 'last post was on an earlier day', target: mostRecentTarget };
+  }
+
+  if (lastPostedLocal.date === local.date && lastPostedLocal.minutesSinceMidnight < mostRecentTarget) {
+    return { post: true, reason: 'last post today was before current target window', target: mostRecentTarget };
+  }
+
+  return { post: false, reason: 'already posted for the most recent target', target: mostRecentTarget };
+}
+
+// "30/10/2025" -> "2025-10-30" (comparable with getParisDateParts().date)
+function parseRaceDate(dateStr) {
+  const match = (dateStr || '').match(/(\d{2})\/(\d{2})\/(\d{4})/);
+  if (!match) return null;
+
+  const [, day, month, year] = match;
+  return year + '-' + month + '-' + day;
+}
+
+const raceMinutes = (race) => race.postTime.hour * 60 + race.postTime.minute;
+
+// Keep races that have a post time and haven't started yet in Paris.
+function filterPastRaces(races, parisTime) {
+  return races.filter(race => {
+    const raceDate = parseRaceDate(race.date);
+    if (!raceDate) return false;
+
+    // Skip races without post time data
+    if (!race.postTime) return false;
+
+    // If race is on a future date, keep it
+    if (raceDate > parisTime.date) return true;
+
+    // If race is today, check if post time has passed
+    if (raceDate === parisTime.date) {
+      return raceMinutes(race) > parisTime.minutesSinceMidnight;
+    }
+
+    // Race is in the past
+    return false;
+  });
+}
+
+// Minutes until the race if `parisTime` falls inside the alert window
+// [post - windowStart, post - windowEnd) on race day, otherwise null.
+function alertWindowMinutes(race, parisTime, { windowStart, windowEnd }) {
+  if (!race.postTime || parseRaceDate(race.date) !== parisTime.date) return null;
+
+  const minutesUntilRace = raceMinutes(race) - parisTime.minutesSinceMidnight;
+  if (minutesUntilRace <= windowStart && minutesUntilRace > windowEnd) {
+    return minutesUntilRace;
+  }
+  return null;
+}
+
+module.exports = {
+  formatHHMM,
+  frenchHolidays,
+  skipReason,
+  shouldPostNow,
+  parseRaceDate,
+  filterPastRaces,
+  alertWindowMinutes,
+};
@@ -0,0 +1,94 @@
+// France Galop engagement statuses ("DP-P/516", "F1-P/741", "DN-P/3637(Sup.)").
+//
+// A status is <code>-<discipline>/<number>, optionally followed by "(Sup.)"
+// when the horse was supplemented into the race. The code says where the
+// horse stands in the entry process; the number is France Galop's own
+// reference and is kept as a separate field.
+//
+// The meanings of AP, NL and PB are inferred from when they show up relative
+// to race day in our own history; France Galop doesn't document them.
+
+// Stages in the order a horse moves through them
+const STAGES = {
+  engaged:      { label: 'Engagé',           phase: 'entry' },
+  forfait1:     { label: '1er forfait',      phase: 'entry' },
+  forfait2:     { label: '2e forfait',       phase: 'entry' },
+  forfait3:     { label: '3e forfait',       phase: 'entry' },
+  confirmed:    { label: 'Validé',           phase: 'entry' },
+  probable:     { label: 'Partant probable', phase: 'entry' },
+  reserve:      { label: 'Remplaçant',       phase: 'entry' },
+  declared:     { label: 'Déclaré partant',  phase: 'runner' },
+  notConfirmed: { label: 'Non validé',       phase: 'out' },
+  notDeclared:  { label: 'Non déclaré',      phase: 'out' },
+  eliminated:   { label: 'Non retenu',       phase: 'out' },
+  nonRunner:    { label: 'Non-partant',      phase: 'out' },
+  unknown:      { label: '',                 phase: 'unknown' },
+};
+
+const CODES = {
+  EN: 'engaged',
+  F1: 'forfait1',
+  F2: 'forfait2',
+  F3: 'forfait3',
+  VA: 'confirmed',
+  PB: 'probable',
+  AP: 'reserve',
+  DP: 'declared',
+  NV: 'notConfirmed',
+  ND: 'notDeclared',
+  NL: 'eliminated',
+  NP: 'nonRunner',
+  DN: 'nonRunner',
+};
+
+/**
+ * Split a raw statut into its parts.
+ * @returns {{ raw: string, code: string, discipline: string, number: number|null,
+ *   supplemented: boolean, stage: string, label: string, phase: string }}
+ */
+function decodeStatus(raw) {
+  const text = (raw || '').trim();
+  const m = text.match(/^([A-Z0-9]{2})(?:-([A-Z]))?(?:\s*\/\s*(\d+))?/i);
+  const code = m ? m[1].toUpperCase() : '';
+  const stage = CODES[code] || 'unknown';
+
+  return {
+    raw: text,
+    code,
+    discipline: m && m[2] ? m[2].toUpperCase() : '',
+    number: m && m[3] ? parseInt(m[3], 10) : null,
+    supplemented: /\(Sup\.?\)/i.test(text),
+    stage,
+    // Unknown codes show as themselves
+    label: STAGES[stage].label || text.replace(/\/\d+/g, '').trim(),
+    phase: STAGES[stage].phase,
+  };
+}
+
+const stageOf = (raw) => decodeStatus(raw).stage;
+
+// True if the statut is at one of the given stages, e.g. hasStage(s, 'declared')
+const hasStage = (raw, ...stages) => stages.includes(stageOf(raw));
+
+const isDeclared = (raw) => hasStage(raw, 'declared');
+
+// Withdrawn, not declared or not kept: the horse won't run this race
+const isOut = (raw) => decodeStatus(raw).phase === 'out';
+
+// Human-readable statut for Discord, Sheets and the dashboard: "Déclaré partant (Sup.)"
+function formatStatus(raw) {
+  if (!raw) return '';
+  const s = decodeStatus(raw);
+  return s.label + (s.supplemented ? ' (Sup.)' : '');
+}
+
+module.exports = {
+  STAGES,
+  CODES,
+  decodeStatus,
+  stageOf,
+  hasStage,
+  isDeclared,
+  isOut,
+  formatStatus,
+};
@@ -0,0 +1,1047 @@
+// SQLite state store shared by all scripts (data/fg.db, or FG_DB_FILE).
+//
+// Replaces the flat JSON files in data/. Nothing is truncated any more:
+//   engagements         latest row per (trainer, key) — was seen.json
+//   status_transitions  append-only log of statut changes
+//   results             one row per horse per race — was seen_results.json
+//                       + race_history.json
+//   race_results        race name, going, winning time and finishing order
+//                       per race URL (lib/race_result.js)
+//   post_times          post time per race URL, where it was read and how
+//                       sure that is (lib/post_time.js) — was stored_races.json
+//   race_cards          field of runners per race URL (lib/race_card.js)
+//   race_changes        post time, non-runner and jockey changes seen on race day
+//   alerts_sent         pre-race alerts already posted — was sent_alerts.json
+//   tracking_reports    tracking queue and posted reports — was
+//                       pending_tracking.json + posted_tracking.json
+//   tracking_sectionals per-horse data of each tracking report PDF
+//                       (lib/tracking_pdf.js)
+//   partants_posted     DP-P rows already written to Sheets/Docs
+//   outbox              every outgoing notification until it is delivered
+//   subscriber_digest   rows waiting for a subscriber's next digest (lib/rules.js)
+//   state               small JSON values: pending digest, last run, DP-P list
+//
+// A new database starts empty. The JSON files of older versions are only
+// imported on purpose: by store_branch.js before the workflows' `data`
+// branch exists, or by hand with migrate_json_to_sqlite.js (see
+// importJsonState).
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { now } = require('./clock');
+const { resultKey, horseIdFromUrl, raceIdFromUrl } = require('./ids');
+const { parseRaceDate } = require('./schedule');
+const { horseNameKey } = require('./text');
+const { loadSettings } = require('./config');
+const { isDryRun, throwawayCopy } = require('./dry_run');
+
+const DATA_DIR = loadSettings().paths.dataDir;
+const DB_FILE = process.env.FG_DB_FILE || loadSettings().paths.dbFile;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS engagements (
+    trainer     TEXT NOT NULL,
+    key         TEXT NOT NULL,
+    horse       TEXT,
+    horse_url   TEXT,
+    date        TEXT,
+    track       TEXT,
+    race        TEXT,
+    race_url    TEXT,
+    cat         TEXT,
+    purse       TEXT,
+    disc        TEXT,
+    dist        TEXT,
+    owner       TEXT,
+    statut      TEXT,
+    last_seen   INTEGER,
+    PRIMARY KEY (trainer, key)
+  );
+
+  CREATE TABLE IF NOT EXISTS status_transitions (
+    id          INTEGER PRIMARY KEY AUTOINCREMENT,
+    trainer     TEXT NOT NULL,
+    key         TEXT NOT NULL,
+    old_statut  TEXT,
+    new_statut  TEXT NOT NULL,
+    observed_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS status_transitions_key ON status_transitions (trainer, key);
+
+  CREATE TABLE IF NOT EXISTS results (
+    key         TEXT PRIMARY KEY,
+    horse       TEXT,
+    horse_url   TEXT,
+    date        TEXT,
+    track       TEXT,
+    race        TEXT,
+    race_url    TEXT,
+    cat         TEXT,
+    distance    TEXT,
+    position    TEXT,
+    jockey      TEXT,
+    gain        TEXT,
+    owner       TEXT,
+    scraped_at  TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS race_results (
+    race_url     TEXT PRIMARY KEY,
+    race_name    TEXT,
+    going        TEXT,
+    winning_time TEXT,
+    finishers    TEXT NOT NULL,
+    fetched_at   TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS post_times (
+    race_url    TEXT PRIMARY KEY,
+    hour        INTEGER NOT NULL,
+    minute      INTEGER NOT NULL,
+    formatted   TEXT NOT NULL,
+    fetched_at  TEXT,
+    race_number TEXT,
+    source      TEXT,
+    confidence  TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS race_cards (
+    race_url    TEXT PRIMARY KEY,
+    runners     TEXT NOT NULL,
+    fetched_at  TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS race_changes (
+    id          INTEGER PRIMARY KEY AUTOINCREMENT,
+    race_url    TEXT NOT NULL,
+    horse       TEXT,
+    horse_url   TEXT,
+    field       TEXT NOT NULL,
+    old_value   TEXT,
+    new_value   TEXT,
+    observed_at TEXT
+  );
+  CREATE INDEX IF NOT EXISTS race_changes_race ON race_changes (race_url);
+
+  CREATE TABLE IF NOT EXISTS alerts_sent (
+    key         TEXT PRIMARY KEY,
+    race_url    TEXT,
+    sent_at     TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS tracking_reports (
+    race_url     TEXT PRIMARY KEY,
+    horse        TEXT,
+    date         TEXT,
+    hippodrome   TEXT,
+    added_at     INTEGER,
+    status       TEXT NOT NULL DEFAULT 'pending',
+    tracking_url TEXT,
+    posted_at    TEXT,
+    pdf_file     TEXT
+  );
+
+  -- horse_key is horseNameKey() of the name (lib/text.js): the PDFs have
+  -- no links, so runs of the same horse are matched by name
+  CREATE TABLE IF NOT EXISTS tracking_sectionals (
+    race_url         TEXT NOT NULL,
+    horse_key        TEXT NOT NULL,
+    horse            TEXT,
+    place            TEXT,
+    number           TEXT,
+    sectionals       TEXT NOT NULL,
+    top_speed        REAL,
+    distance_covered REAL,
+    last_splits      TEXT NOT NULL,
+    parsed_at        TEXT,
+    PRIMARY KEY (race_url, horse_key)
+  );
+  CREATE INDEX IF NOT EXISTS tracking_sectionals_horse ON tracking_sectionals (horse_key, parsed_at);
+
+  CREATE TABLE IF NOT EXISTS partants_posted (
+    key         TEXT PRIMARY KEY,
+    posted_at   TEXT
+  );
+
+  -- One row per post per target. target_id is a hash: webhook URLs are
+  -- secrets and this file is committed.
+  CREATE TABLE IF NOT EXISTS outbox (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    msg_key         TEXT,
+    target_id       TEXT NOT NULL,
+    backend         TEXT NOT NULL,
+    part            INTEGER NOT NULL DEFAULT 0,
+    payload         TEXT NOT NULL,
+    status          TEXT NOT NULL DEFAULT 'pending',
+    attempts        INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at INTEGER NOT NULL,
+    expires_at      INTEGER,
+    last_error      TEXT,
+    created_at      TEXT,
+    sent_at         TEXT
+  );
+  CREATE UNIQUE INDEX IF NOT EXISTS outbox_msg ON outbox (msg_key, target_id, part);
+  CREATE INDEX IF NOT EXISTS outbox_status ON outbox (status, id);
+
+  CREATE TABLE IF NOT EXISTS subscriber_digest (
+    id          INTEGER PRIMARY KEY AUTOINCREMENT,
+    subscriber  TEXT NOT NULL,
+    event       TEXT NOT NULL,
+    line        TEXT NOT NULL,
+    item        TEXT NOT NULL,
+    added_at    TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS state (
+    name        TEXT PRIMARY KEY,
+    value       TEXT NOT NULL
+  );
+`;
+
+// Columns added to a table after it was first created: CREATE TABLE IF NOT
+// EXISTS leaves an existing table as it is, so they are added on open
+const ADDED_COLUMNS = [
+  ['post_times', 'race_number', 'TEXT'],
+  ['post_times', 'source', 'TEXT'],
+  ['post_times', 'confidence', 'TEXT'],
+  ['tracking_reports', 'pdf_file', 'TEXT'],
+];
+
+function addMissingColumns() {
+  for (const [table, column, type] of ADDED_COLUMNS) {
+    const columns = db.prepare('PRAGMA table_info(' + table + ')').all().map(c => c.name);
+    if (!columns.includes(column)) db.exec('ALTER TABLE ' + table + ' ADD COLUMN ' + column + ' ' + type);
+  }
+}
+
+let db = null;
+
+// Open (and on first use create) the store
+function openStore() {
+  if (db) return db;
+
+  const isNew = !fs.existsSync(DB_FILE);
+  fs.mkdirSync(path.dirname(DB_FILE), { recursive: true });
+  // A dry run works on a copy, so none of its writes reach DB_FILE
+  db = new Database(isDryRun() ? throwawayCopy(DB_FILE) : DB_FILE);
+  db.exec(SCHEMA);
+  addMissingColumns();
+
+  if (isNew) console.log('🗄️ Created ' + DB_FILE + (isDryRun() ? ' (dry run copy)' : ''));
+  return db;
+}
+
+function closeStore() {
+  if (db) {
+    db.close();
+    db = null;
+  }
+}
+
+// Run fn in one transaction: all of its writes land, or none do
+function inTransaction(fn) {
+  return openStore().transaction(fn)();
+}
+
+// ============ STATE (small JSON values) ============
+
+function getState(name, defaultValue) {
+  const row = openStore().prepare('SELECT value FROM state WHERE name = ?').get(name);
+  return row ? JSON.parse(row.value) : defaultValue;
+}
+
+function setState(name, value) {
+  openStore()
+    .prepare('INSERT INTO state (name, value) VALUES (?, ?) ON CONFLICT (name) DO UPDATE SET value = excluded.value')
+    .run(name, JSON.stringify(value));
+}
+
+// ============ ENGAGEMENTS ============
+
+const entryFromRow = (row) => ({
+  statut: row.statut,
+  last: row.last_seen,
+  horse: row.horse,
+  horseUrl: row.horse_url,
+  date: row.date,
+  track: row.track,
+  race: row.race,
+  raceUrl: row.race_url,
+  cat: row.cat,
+  purse: row.purse,
+  disc: row.disc,
+  dist: row.dist,
+  owner: row.owner,
+});
+
+// Map(trainerId -> Map(key -> entry)), same shape seen.json used to load into
+function loadEngagements() {
+  const byTrainer = new Map();
+  for (const row of openStore().prepare('SELECT * FROM engagements').all()) {
+    if (!byTrainer.has(row.trainer)) byTrainer.set(row.trainer, new Map());
+    byTrainer.get(row.trainer).set(row.key, entryFromRow(row));
+  }
+  return byTrainer;
+}
+
+/**
+ * Write every engagement plus this run's status transitions in one
+ * transaction, so a crash can't leave a transition without its engagement.
+ *
+ * @param {Map<string, Map<string, object>>} byTrainer
+ * @param {object} [changes]
+ * @param {{ trainer: string, key: string, oldStatut: string|null, newStatut: string }[]} [changes.transitions]
+ *   statut changes seen this run; oldStatut is null for a first sighting
+ * @param {{ trainer: string, from: string, to: string }[]} [changes.renamed]
+ *   engagements moved from a text key to an id key, whose history moves with them
+ */
+function saveEngagements(byTrainer, { transitions = [], renamed = [] } = {}) {
+  const store = openStore();
+  const upsert = store.prepare(`
+    INSERT INTO engagements (trainer, key, horse, horse_url, date, track, race, race_url, cat, purse, disc, dist, owner, statut, last_seen)
+    VALUES (@trainer, @key, @horse, @horseUrl, @date, @track, @race, @raceUrl, @cat, @purse, @disc, @dist, @owner, @statut, @last)
+    ON CONFLICT (trainer, key) DO UPDATE SET
+      horse = excluded.horse, horse_url = excluded.horse_url, date = excluded.date, track = excluded.track,
+      race = excluded.race, race_url = excluded.race_url, cat = excluded.cat, purse = excluded.purse,
+      disc = excluded.disc, dist = excluded.dist, owner = excluded.owner, statut = excluded.statut,
+      last_seen = excluded.last_seen
+  `);
+  const remove = store.prepare('DELETE FROM engagements WHERE trainer = ? AND key = ?');
+  const insertTransition = store.prepare(`
+    INSERT INTO status_transitions (trainer, key, old_statut, new_statut, observed_at)
+    VALUES (@trainer, @key, @oldStatut, @newStatut, @observedAt)
+  `);
+  const renameTransitions = store.prepare('UPDATE status_transitions SET key = @to WHERE trainer = @trainer AND key = @from');
+
+  store.transaction(() => {
+    for (const r of renamed) renameTransitions.run(r);
+    for (const [trainer, map] of byTrainer) {
+      const existing = store.prepare('SELECT key FROM engagements WHERE trainer = ?').all(trainer);
+      for (const { key } of existing) {
+        if (!map.has(key)) remove.run(trainer, key);
+      }
+      for (const [key, e] of map) {
+        upsert.run({
+          trainer, key,
+          horse: e.horse || null, horseUrl: e.horseUrl || null, date: e.date || null,
+          track: e.track || null, race: e.race || null, raceUrl: e.raceUrl || null,
+          cat: e.cat || null, purse: e.purse || null, disc: e.disc || null, dist: e.dist || null,
+          owner: e.owner || null, statut: e.statut || null, last: e.last || null,
+        });
+      }
+    }
+    for (const t of transitions) {
+      insertTransition.run({ observedAt: now().getTime(), ...t, oldStatut: t.oldStatut || null });
+    }
+  })();
+}
+
+function listEngagements() {
+  return openStore()
+    .prepare('SELECT * FROM engagements ORDER BY date, trainer, key')
+    .all()
+    .map(row => ({ trainer: row.trainer, key: row.key, ...entryFromRow(row) }));
+}
+
+// ============ STATUS HISTORY ============
+
+const transitionFromRow = (row) => ({
+  oldStatut: row.old_statut,
+  newStatut: row.new_statut,
+  observedAt: row.observed_at,
+});
+
+// Map(trainerId -> Map(key -> transitions oldest first))
+function loadTransitions() {
+  const byTrainer = new Map();
+  for (const row of openStore().prepare('SELECT * FROM status_transitions ORDER BY observed_at, id').all()) {
+    if (!byTrainer.has(row.trainer)) byTrainer.set(row.trainer, new Map());
+    const byKey = byTrainer.get(row.trainer);
+    if (!byKey.has(row.key)) byKey.set(row.key, []);
+    byKey.get(row.key).push(transitionFromRow(row));
+  }
+  return byTrainer;
+}
+
+/**
+ * Status changes observed since `sinceMs`, oldest first, each with the
+ * engagement it belongs to (as it is now).
+ * @returns {{ trainer: string, key: string, oldStatut: string|null, newStatut: string, observedAt: number }[]}
+ */
+function listTransitionsSince(sinceMs) {
+  return openStore().prepare(`
+    SELECT e.*, t.old_statut, t.new_statut, t.observed_at
+    FROM status_transitions t
+    JOIN engagements e ON e.trainer = t.trainer AND e.key = t.key
+    WHERE t.observed_at >= ?
+    ORDER BY t.observed_at, t.id
+  `).all(sinceMs).map(row => ({
+    trainer: row.trainer,
+    key: row.key,
+    ...entryFromRow(row),
+    ...transitionFromRow(row),
+  }));
+}
+
+/**
+ * Engagements matching a horse and/or race, each with its status timeline.
+ * `horse` and `race` are a France Galop URL, a bare id, or part of the name.
+ */
+function statusTimeline({ horse, race } = {}) {
+  const where = [];
+  const params = {};
+  if (horse) {
+    params.horseId = horseIdFromUrl(horse) || horse;
+    params.horseName = '%' + horse + '%';
+    where.push("(e.key LIKE @horseId || '|%' OR e.horse LIKE @horseName)");
+  }
+  if (race) {
+    params.raceId = raceIdFromUrl(race) || race;
+    params.raceName = '%' + race + '%';
+    where.push("(e.key LIKE '%/' || @raceId OR e.key LIKE '%|' || @raceId OR e.race LIKE @raceName)");
+  }
+
+  const rows = openStore().prepare(`
+    SELECT e.trainer, e.key, e.horse, e.horse_url, e.date, e.track, e.race, e.race_url, e.statut,
+           t.old_statut, t.new_statut, t.observed_at
+    FROM engagements e
+    JOIN status_transitions t ON t.trainer = e.trainer AND t.key = e.key
+    ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+    ORDER BY e.trainer, e.key, t.observed_at, t.id
+  `).all(params);
+
+  const timelines = new Map();
+  for (const row of rows) {
+    const id = row.trainer + '\n' + row.key;
+    if (!timelines.has(id)) {
+      timelines.set(id, {
+        trainer: row.trainer,
+        key: row.key,
+        horse: row.horse,
+        horseUrl: row.horse_url,
+        date: row.date,
+        track: row.track,
+        race: row.race,
+        raceUrl: row.race_url,
+        statut: row.statut,
+        transitions: [],
+      });
+    }
+    timelines.get(id).transitions.push(transitionFromRow(row));
+  }
+  return [...timelines.values()].sort((a, b) => (parseRaceDate(a.date) || '').localeCompare(parseRaceDate(b.date) || ''));
+}
+
+// ============ PARTANTS WRITTEN TO SHEETS ============
+
+function loadPostedPartants() {
+  return new Set(openStore().prepare('SELECT key FROM partants_posted').all().map(r => r.key));
+}
+
+function savePostedPartants(set) {
+  const store = openStore();
+  const insert = store.prepare('INSERT OR IGNORE INTO partants_posted (key, posted_at) VALUES (?, ?)');
+  const at = now().toISOString();
+  store.transaction(() => {
+    for (const key of set) insert.run(key, at);
+  })();
+}
+
+// ============ DP-P RACES AND POST TIMES ============
+
+// The DP-P list is { lastUpdate, trainers: { <id>: { label, lastUpdate, races } } }
+function loadDPPRaces() {
+  return getState('dpp_races', null);
+}
+
+function saveDPPRaces(data) {
+  setState('dpp_races', data);
+}
+
+// One list of races tagged with their trainer id
+function flattenDPPRaces(dppData) {
+  if (!dppData) return [];
+  if (!dppData.trainers) return dppData.races || [];
+  const races = [];
+  for (const [trainerId, t] of Object.entries(dppData.trainers)) {
+    for (const race of (t.races || [])) {
+      races.push({ ...race, trainer: race.trainer || trainerId });
+    }
+  }
+  return races;
+}
+
+// Post times per race URL. Times stored before lib/post_time.js have no
+// raceNumber, source or confidence (null).
+function getPostTimes() {
+  const byUrl = new Map();
+  for (const row of openStore().prepare('SELECT * FROM post_times').all()) {
+    byUrl.set(row.race_url, {
+      hour: row.hour,
+      minute: row.minute,
+      formatted: row.formatted,
+      raceNumber: row.race_number,
+      source: row.source,
+      confidence: row.confidence,
+    });
+  }
+  return byUrl;
+}
+
+function savePostTime(raceUrl, postTime) {
+  openStore().prepare(`
+    INSERT INTO post_times (race_url, hour, minute, formatted, fetched_at, race_number, source, confidence)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (race_url) DO UPDATE SET hour = excluded.hour, minute = excluded.minute,
+      formatted = excluded.formatted, fetched_at = excluded.fetched_at, race_number = excluded.race_number,
+      source = excluded.source, confidence = excluded.confidence
+  `).run(raceUrl, postTime.hour, postTime.minute, postTime.formatted, now().toISOString(),
+    postTime.raceNumber || null, postTime.source || null, postTime.confidence || null);
+}
+
+// Runners per race URL, as lib/race_card.js reads them
+function getRaceCards() {
+  const byUrl = new Map();
+  for (const row of openStore().prepare('SELECT race_url, runners FROM race_cards').all()) {
+    byUrl.set(row.race_url, JSON.parse(row.runners));
+  }
+  return byUrl;
+}
+
+// When each race card was last read, as epoch ms per race URL
+function getRaceCardTimes() {
+  const byUrl = new Map();
+  for (const row of openStore().prepare('SELECT race_url, fetched_at FROM race_cards').all()) {
+    byUrl.set(row.race_url, row.fetched_at ? Date.parse(row.fetched_at) : 0);
+  }
+  return byUrl;
+}
+
+function saveRaceCard(raceUrl, runners) {
+  openStore().prepare(`
+    INSERT INTO race_cards (race_url, runners, fetched_at) VALUES (?, ?, ?)
+    ON CONFLICT (race_url) DO UPDATE SET runners = excluded.runners, fetched_at = excluded.fetched_at
+  `).run(raceUrl, JSON.stringify(runners), now().toISOString());
+}
+
+// Current DP-P races that have a post time — what stored_races.json held —
+// with their field of runners ([] until the card is read)
+function loadStoredRaces() {
+  const dpp = loadDPPRaces();
+  const postTimes = getPostTimes();
+  const cards = getRaceCards();
+  const races = flattenDPPRaces(dpp)
+    .filter(r => r.raceUrl && postTimes.has(r.raceUrl))
+    .map(r => ({ ...r, postTime: postTimes.get(r.raceUrl), runners: cards.get(r.raceUrl) || [] }));
+  return { lastUpdate: dpp ? dpp.lastUpdate : null, races };
+}
+
+// Changes seen when a race page is read again: field is 'postTime',
+// 'nonRunner' or 'jockey'
+function recordRaceChanges(changes) {
+  const insert = openStore().prepare(`
+    INSERT INTO race_changes (race_url, horse, horse_url, field, old_value, new_value, observed_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  const at = now().toISOString();
+  inTransaction(() => {
+    for (const c of changes) {
+      insert.run(c.raceUrl, c.horse || null, c.horseUrl || null, c.field, c.oldValue ?? null, c.newValue ?? null, at);
+    }
+  });
+}
+
+// ============ RACE ALERTS ============
+
+function loadSentAlerts() {
+  return new Set(openStore().prepare('SELECT key FROM alerts_sent').all().map(r => r.key));
+}
+
+function markAlertSent(key, raceUrl) {
+  openStore()
+    .prepare('INSERT OR IGNORE INTO alerts_sent (key, race_url, sent_at) VALUES (?, ?, ?)')
+    .run(key, raceUrl || null, now().toISOString());
+}
+
+// Let an alert be sent again, e.g. at a race's new post time. Alerts sent
+// before id keys were recorded by race URL.
+function unmarkAlertSent(key, raceUrl) {
+  openStore().prepare('DELETE FROM alerts_sent WHERE key IN (?, ?)').run(key, raceUrl || key);
+}
+
+// ============ RESULTS ============
+
+function hasResult(...keys) {
+  const stmt = openStore().prepare('SELECT 1 FROM results WHERE key = ?');
+  return keys.some(k => stmt.get(k));
+}
+
+function saveResult(key, r) {
+  openStore().prepare(`
+    INSERT INTO results (key, horse, horse_url, date, track, race, race_url, cat, distance, position, jockey, gain, owner, scraped_at)
+    VALUES (@key, @horse, @horseUrl, @date, @track, @race, @raceUrl, @cat, @distance, @position, @jockey, @gain, @owner, @scrapedAt)
+    ON CONFLICT (key) DO UPDATE SET
+      horse = excluded.horse, horse_url = excluded.horse_url, date = excluded.date, track = excluded.track,
+      race = excluded.race, race_url = excluded.race_url, cat = excluded.cat, distance = excluded.distance,
+      position = excluded.position, jockey = excluded.jockey, gain = excluded.gain, owner = excluded.owner,
+      scraped_at = excluded.scraped_at
+  `).run({
+    key,
+    horse: r.horse || null, horseUrl: r.horseUrl || null, date: r.date || null, track: r.track || null,
+    race: r.race || null, raceUrl: r.raceUrl || null, cat: r.cat || null, distance: r.distance || null,
+    position: r.position || null, jockey: r.jockey || null, gain: r.gain || null, owner: r.owner || null,
+    scrapedAt: r.scrapedAt || now().toISOString(),
+  });
+}
+
+// Keys of results first stored (or re-posted) since `sinceIso`
+function listResultKeysSince(sinceIso) {
+  return new Set(openStore().prepare('SELECT key FROM results WHERE scraped_at >= ?').all(sinceIso).map(row => row.key));
+}
+
+// Results with race details, most recently scraped first — what
+// race_history.json held (rows imported from seen_results.json carry only a
+// date and are left out).
+function listResults() {
+  return openStore()
+    .prepare('SELECT * FROM results WHERE horse IS NOT NULL ORDER BY scraped_at DESC, rowid DESC')
+    .all()
+    .map(row => ({
+      key: row.key,
+      horse: row.horse,
+      date: row.date,
+      track: row.track,
+      race: row.race || '',
+      cat: row.cat || '',
+      distance: row.distance,
+      position: row.position,
+      jockey: row.jockey || '',
+      gain: row.gain || '',
+      owner: row.owner || '',
+      raceUrl: row.race_url,
+      horseUrl: row.horse_url,
+      scrapedAt: row.scraped_at,
+    }));
+}
+
+// Race details per race URL, as lib/race_result.js reads them
+function getRaceResults() {
+  const byUrl = new Map();
+  for (const row of openStore().prepare('SELECT * FROM race_results').all()) {
+    byUrl.set(row.race_url, {
+      raceName: row.race_name || '',
+      going: row.going || '',
+      winningTime: row.winning_time || '',
+      finishers: JSON.parse(row.finishers),
+    });
+  }
+  return byUrl;
+}
+
+function saveRaceResult(raceUrl, result) {
+  openStore().prepare(`
+    INSERT INTO race_results (race_url, race_name, going, winning_time, finishers, fetched_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT (race_url) DO UPDATE SET race_name = excluded.race_name, going = excluded.going,
+      winning_time = excluded.winning_time, finishers = excluded.finishers, fetched_at = excluded.fetched_at
+  `).run(raceUrl, result.raceName || null, result.going || null, result.winningTime || null,
+    JSON.stringify(result.finishers || []), now().toISOString());
+}
+
+// ============ TRACKING REPORTS ============
+
+// Queue a race for the tracking checker; races already queued or posted are ignored.
+function queueTracking(race) {
+  openStore().prepare(`
+    INSERT OR IGNORE INTO tracking_reports (race_url, horse, date, hippodrome, added_at, status)
+    VALUES (@raceUrl, @horse, @date, @hippodrome, @addedAt, 'pending')
+  `).run({ addedAt: now().getTime(), ...race });
+}
+
+function listPendingTracking() {
+  return openStore()
+    .prepare("SELECT * FROM tracking_reports WHERE status = 'pending' ORDER BY added_at")
+    .all()
+    .map(row => ({ raceUrl: row.race_url, horse: row.horse, date: row.date, hippodrome: row.hippodrome, addedAt: row.added_at }));
+}
+
+function countPendingTracking() {
+  return openStore().prepare("SELECT COUNT(*) AS n FROM tracking_reports WHERE status = 'pending'").get().n;
+}
+
+function markTrackingPosted(raceUrl, trackingUrl, pdfFile = null) {
+  openStore()
+    .prepare("UPDATE tracking_reports SET status = 'posted', tracking_url = ?, posted_at = ?, pdf_file = ? WHERE race_url = ?")
+    .run(trackingUrl, now().toISOString(), pdfFile, raceUrl);
+}
+
+// Every horse of a parsed tracking report; a report parsed again replaces
+// the race's rows
+function saveTrackingSectionals(raceUrl, horses) {
+  const store = openStore();
+  store.prepare('DELETE FROM tracking_sectionals WHERE race_url = ?').run(raceUrl);
+  const insert = store.prepare(`
+    INSERT OR REPLACE INTO tracking_sectionals
+      (race_url, horse_key, horse, place, number, sectionals, top_speed, distance_covered, last_splits, parsed_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const parsedAt = now().toISOString();
+  for (const h of horses) {
+    insert.run(raceUrl, horseNameKey(h.horse), h.horse, h.place, h.number, JSON.stringify(h.sectionals),
+      h.topSpeed, h.distanceCovered, JSON.stringify(h.lastSplits), parsedAt);
+  }
+}
+
+// Race distance as the results table shows it ("1.600") in metres, or null
+const metres = (distance) => (distance && /\d/.test(distance) ? parseInt(distance.replace(/\D/g, ''), 10) : null);
+
+// Distance in metres of a race we have a result for, or null
+function getRaceDistance(raceUrl) {
+  const row = openStore()
+    .prepare("SELECT distance FROM results WHERE race_url = ? AND distance IS NOT NULL AND distance != '' LIMIT 1")
+    .get(raceUrl);
+  return row ? metres(row.distance) : null;
+}
+
+// Tracking data of a horse (by name) in every report parsed, newest first,
+// with the race's date and track when it came through the tracking queue and
+// its distance (raceDistance, metres) when we have its result
+function listHorseTracking(horse) {
+  return openStore()
+    .prepare(`
+      SELECT s.*, t.date, t.hippodrome,
+        (SELECT r.distance FROM results r
+          WHERE r.race_url = s.race_url AND r.distance IS NOT NULL AND r.distance != '' LIMIT 1) AS race_distance
+      FROM tracking_sectionals s
+      LEFT JOIN tracking_reports t ON t.race_url = s.race_url
+      WHERE s.horse_key = ? ORDER BY s.parsed_at DESC
+    `)
+    .all(horseNameKey(horse))
+    .map(row => ({
+      raceUrl: row.race_url,
+      horse: row.horse,
+      date: row.date || '',
+      hippodrome: row.hippodrome || '',
+      raceDistance: metres(row.race_distance),
+      place: row.place,
+      number: row.number,
+      sectionals: JSON.parse(row.sectionals),
+      topSpeed: row.top_speed,
+      distanceCovered: row.distance_covered,
+      lastSplits: JSON.parse(row.last_splits),
+      parsedAt: row.parsed_at,
+    }));
+}
+
+function markTrackingExpired(raceUrl) {
+  openStore().prepare("UPDATE tracking_reports SET status = 'expired' WHERE race_url = ?").run(raceUrl);
+}
+
+// ============ OUTBOX ============
+
+// Rows already queued under the same msg_key for the same target are ignored.
+// Returns how many were added.
+function enqueueOutbox(rows) {
+  const insert = openStore().prepare(`
+    INSERT OR IGNORE INTO outbox (msg_key, target_id, backend, part, payload, next_attempt_at, expires_at, created_at)
+    VALUES (@key, @targetId, @backend, @part, @payload, @nextAttemptAt, @expiresAt, @createdAt)
+  `);
+  const createdAt = now();
+  return inTransaction(() => rows.reduce((n, r) => n + insert.run({
+    key: r.key || null,
+    targetId: r.targetId,
+    backend: r.backend,
+    part: r.part || 0,
+    payload: JSON.stringify(r.payload),
+    nextAttemptAt: createdAt.getTime(),
+    expiresAt: r.expiresAt || null,
+    createdAt: createdAt.toISOString(),
+  }).changes, 0));
+}
+
+const outboxFromRow = (row) => ({
+  id: row.id,
+  key: row.msg_key,
+  targetId: row.target_id,
+  backend: row.backend,
+  part: row.part,
+  payload: JSON.parse(row.payload),
+  attempts: row.attempts,
+  nextAttemptAt: row.next_attempt_at,
+  expiresAt: row.expires_at,
+  lastError: row.last_error,
+  createdAt: row.created_at,
+});
+
+// Undelivered rows for the given targets, oldest first
+function listPendingOutbox(targetIds) {
+  if (!targetIds.length) return [];
+  return openStore()
+    .prepare("SELECT * FROM outbox WHERE status = 'pending' AND target_id IN (" + targetIds.map(() => '?').join(', ') + ') ORDER BY id')
+    .all(...targetIds)
+    .map(outboxFromRow);
+}
+
+function markOutboxSent(id, attempts) {
+  openStore()
+    .prepare("UPDATE outbox SET status = 'sent', attempts = ?, sent_at = ?, last_error = NULL WHERE id = ?")
+    .run(attempts, now().toISOString(), id);
+}
+
+function rescheduleOutbox(id, { attempts, nextAttemptAt, error }) {
+  openStore()
+    .prepare('UPDATE outbox SET attempts = ?, next_attempt_at = ?, last_error = ? WHERE id = ?')
+    .run(attempts, nextAttemptAt, error, id);
+}
+
+// Give up on a row: status 'failed' (won't succeed) or 'expired' (too late to matter)
+function closeOutbox(id, status, { attempts, error = null } = {}) {
+  openStore()
+    .prepare('UPDATE outbox SET status = ?, attempts = COALESCE(?, attempts), last_error = COALESCE(?, last_error) WHERE id = ?')
+    .run(status, attempts ?? null, error, id);
+}
+
+// Drop undelivered posts whose key starts with `keyPrefix` (routed and
+// subscriber copies included) once they no longer apply
+function expireOutbox(keyPrefix, reason) {
+  return openStore()
+    .prepare("UPDATE outbox SET status = 'expired', last_error = ? WHERE status = 'pending' AND substr(msg_key, 1, length(?)) = ?")
+    .run(reason, keyPrefix, keyPrefix).changes;
+}
+
+function countOutbox() {
+  const counts = { pending: 0, sent: 0, failed: 0, expired: 0 };
+  for (const row of openStore().prepare('SELECT status, COUNT(*) AS n FROM outbox GROUP BY status').all()) {
+    counts[row.status] = row.n;
+  }
+  return counts;
+}
+
+// Delivered rows only matter for a while; drop them after `days`
+function pruneOutbox(days = loadSettings().outbox.keepSentDays) {
+  const cutoff = new Date(now().getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+  return openStore().prepare("DELETE FROM outbox WHERE status = 'sent' AND sent_at < ?").run(cutoff).changes;
+}
+
+// ============ SUBSCRIBER DIGESTS ============
+
+function addSubscriberDigest(rows) {
+  const insert = openStore().prepare(
+    'INSERT INTO subscriber_digest (subscriber, event, line, item, added_at) VALUES (?, ?, ?, ?, ?)'
+  );
+  const addedAt = now().toISOString();
+  inTransaction(() => {
+    for (const r of rows) insert.run(r.subscriber, r.event, r.line, JSON.stringify(r.item), addedAt);
+  });
+}
+
+function listSubscriberDigest() {
+  return openStore()
+    .prepare('SELECT * FROM subscriber_digest ORDER BY id')
+    .all()
+    .map(row => ({ id: row.id, subscriber: row.subscriber, event: row.event, line: row.line, item: JSON.parse(row.item), addedAt: row.added_at }));
+}
+
+function deleteSubscriberDigest(ids) {
+  const del = openStore().prepare('DELETE FROM subscriber_digest WHERE id = ?');
+  inTransaction(() => {
+    for (const id of ids) del.run(id);
+  });
+}
+
+// ============ JSON IMPORT ============
+
+function readJSON(dir, name) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Import the legacy JSON state files from `dir`. Safe to run more than once:
+ * rows already in the store are kept, JSON only fills gaps.
+ *
+ * @returns {Record<string, number>} rows imported per file
+ */
+function importJsonState(dir = DATA_DIR, { legacyTrainerId = 'default' } = {}) {
+  const store = openStore();
+  const counts = {};
+
+  store.transaction(() => {
+    const seen = readJSON(dir, 'seen.json');
+    if (seen) {
+      const byTrainer = Array.isArray(seen) ? { [legacyTrainerId]: seen } : seen;
+      const insert = store.prepare(`
+        INSERT OR IGNORE INTO engagements (trainer, key, horse, horse_url, date, track, race, race_url, cat, purse, disc, dist, owner, statut, last_seen)
+        VALUES (@trainer, @key, @horse, @horseUrl, @date, @track, @race, @raceUrl, @cat, @purse, @disc, @dist, @owner, @statut, @last)
+      `);
+      const insertTransition = store.prepare(`
+        INSERT INTO status_transitions (trainer, key, old_statut, new_statut, observed_at) VALUES (?, ?, NULL, ?, ?)
+      `);
+      counts['seen.json'] = 0;
+      for (const [trainer, entries] of Object.entries(byTrainer)) {
+        for (const [key, v] of entries) {
+          // Legacy text keys carry the display fields: "horse | date | track | race | dist"
+          const [horse, date, track, race, dist] = key.includes(' | ') ? key.split(' | ') : [];
+          const imported = insert.run({
+            trainer, key,
+            horse: v.horse || horse || null, horseUrl: v.horseUrl || null, date: v.date || date || null,
+            track: v.track || track || null, race: v.race || race || null, raceUrl: v.raceUrl || null,
+            cat: v.cat || null, purse: v.purse || null, disc: v.disc || null, dist: v.dist || dist || null,
+            owner: v.owner || null, statut: v.statut || null, last: v.last || null,
+          }).changes;
+          // The JSON only knew the latest statut: start the history there
+          if (imported && v.statut) {
+            insertTransition.run(trainer, key, v.statut, v.last || now().getTime());
+          }
+          counts['seen.json'] += imported;
+        }
+      }
+    }
+
+    const pending = readJSON(dir, 'pending_discord.json');
+    if (pending && getState('pending_discord', null) === null) {
+      setState('pending_discord', pending.partants ? { [legacyTrainerId]: pending } : pending);
+      counts['pending_discord.json'] = 1;
+    }
+
+    const lastRun = readJSON(dir, 'last_run.json');
+    if (lastRun && getState('last_run', null) === null) {
+      setState('last_run', lastRun.date);
+      counts['last_run.json'] = 1;
+    }
+
+    const dpp = readJSON(dir, 'dpp_races.json');
+    if (dpp && loadDPPRaces() === null) {
+      saveDPPRaces(dpp.trainers ? dpp : {
+        lastUpdate: dpp.lastUpdate,
+        trainers: { [legacyTrainerId]: { label: '', lastUpdate: dpp.lastUpdate, races: dpp.races || [] } },
+      });
+      counts['dpp_races.json'] = flattenDPPRaces(dpp).length;
+    }
+
+    const partants = readJSON(dir, 'posted_partants.json') || [];
+    const insertPartant = store.prepare('INSERT OR IGNORE INTO partants_posted (key) VALUES (?)');
+    counts['posted_partants.json'] = partants.reduce((n, k) => n + insertPartant.run(k).changes, 0);
+
+    // race_history.json first so its detailed rows win over bare seen_results keys
+    const history = readJSON(dir, 'race_history.json') || [];
+    const insertResult = store.prepare(`
+      INSERT OR IGNORE INTO results (key, horse, horse_url, date, track, race, race_url, cat, distance, position, jockey, gain, scraped_at)
+      VALUES (@key, @horse, @horseUrl, @date, @track, NULL, @raceUrl, @cat, @distance, @position, @jockey, @gain, @scrapedAt)
+    `);
+    counts['race_history.json'] = 0;
+    for (const r of history) {
+      counts['race_history.json'] += insertResult.run({
+        key: resultKey({ horse: r.horse, horseUrl: r.horseUrl, raceUrl: r.raceUrl, date: r.date, hippodrome: r.track, distance: r.distance }),
+        horse: r.horse || null, horseUrl: r.horseUrl || null, date: r.date || null, track: r.track || null,
+        raceUrl: r.raceUrl || null,
+        // race_history.json stored the category in "race"
+        cat: r.race || null,
+        distance: r.distance || null, position: r.position || null, jockey: r.jockey || null,
+        gain: r.gain || null, scrapedAt: r.scrapedAt || null,
+      }).changes;
+    }
+
+    const seenResults = readJSON(dir, 'seen_results.json') || [];
+    const insertSeenResult = store.prepare('INSERT OR IGNORE INTO results (key, date, scraped_at) VALUES (?, ?, ?)');
+    counts['seen_results.json'] = 0;
+    for (const [key, v] of seenResults) {
+      const at = v.timestamp ? new Date(v.timestamp).toISOString() : null;
+      counts['seen_results.json'] += insertSeenResult.run(key, v.date || null, at).changes;
+    }
+
+    const stored = readJSON(dir, 'stored_races.json');
+    const insertPostTime = store.prepare(`
+      INSERT OR IGNORE INTO post_times (race_url, hour, minute, formatted) VALUES (?, ?, ?, ?)
+    `);
+    counts['stored_races.json'] = 0;
+    for (const r of (stored && stored.races) || []) {
+      if (!r.raceUrl || !r.postTime) continue;
+      counts['stored_races.json'] += insertPostTime.run(r.raceUrl, r.postTime.hour, r.postTime.minute, r.postTime.formatted).changes;
+    }
+
+    const sentAlerts = readJSON(dir, 'sent_alerts.json') || [];
+    const insertAlert = store.prepare('INSERT OR IGNORE INTO alerts_sent (key, race_url) VALUES (?, ?)');
+    counts['sent_alerts.json'] = sentAlerts.reduce(
+      (n, key) => n + insertAlert.run(key, key.startsWith('http') ? key : null).changes, 0);
+
+    const postedTracking = readJSON(dir, 'posted_tracking.json') || [];
+    const insertPosted = store.prepare("INSERT OR IGNORE INTO tracking_reports (race_url, status) VALUES (?, 'posted')");
+    counts['posted_tracking.json'] = postedTracking.reduce((n, url) => n + insertPosted.run(url).changes, 0);
+
+    const pendingTracking = readJSON(dir, 'pending_tracking.json') || [];
+    const insertPending = store.prepare(`
+      INSERT OR IGNORE INTO tracking_reports (race_url, horse, date, hippodrome, added_at, status)
+      VALUES (@raceUrl, @horse, @date, @hippodrome, @addedAt, 'pending')
+    `);
+    counts['pending_tracking.json'] = pendingTracking.reduce((n, r) => n + insertPending.run({
+      raceUrl: r.raceUrl, horse: r.horse || null, date: r.date || null,
+      hippodrome: r.hippodrome || null, addedAt: r.addedAt || null,
+    }).changes, 0);
+  })();
+
+  for (const [file, n] of Object.entries(counts)) {
+    console.log('  - ' + file + ': ' + n + ' imported');
+  }
+  return counts;
+}
+
+module.exports = {
+  DB_FILE,
+  openStore,
+  closeStore,
+  inTransaction,
+  getState,
+  setState,
+  loadEngagements,
+  saveEngagements,
+  listEngagements,
+  loadTransitions,
+  listTransitionsSince,
+  statusTimeline,
+  loadPostedPartants,
+  savePostedPartants,
+  loadDPPRaces,
+  saveDPPRaces,
+  flattenDPPRaces,
+  getPostTimes,
+  savePostTime,
+  getRaceCards,
+  getRaceCardTimes,
+  saveRaceCard,
+  loadStoredRaces,
+  recordRaceChanges,
+  loadSentAlerts,
+  markAlertSent,
+  unmarkAlertSent,
+  hasResult,
+  saveResult,
+  listResultKeysSince,
+  listResults,
+  getRaceResults,
+  saveRaceResult,
+  queueTracking,
+  listPendingTracking,
+  countPendingTracking,
+  markTrackingPosted,
+  saveTrackingSectionals,
+  listHorseTracking,
+  getRaceDistance,
+  markTrackingExpired,
+  enqueueOutbox,
+  listPendingOutbox,
+  markOutboxSent,
+  rescheduleOutbox,
+  closeOutbox,
+  expireOutbox,
+  countOutbox,
+  pruneOutbox,
+  addSubscriberDigest,
+  listSubscriberDigest,
+  deleteSubscriberDigest,
+  importJsonState,
+};
@@ -0,0 +1,192 @@
+// Text dump of the store, and the three-way merge of two dumps.
+//
+// The workflows keep the store on the `data` branch as this dump instead of
+// committing data/fg.db (see store_branch.js): text diffs, and two runs that
+// changed the store at the same time can be merged row by row.
+//
+// One JSON value per line. Each table starts with a header line
+//   {"t":"outbox","key":["id"],"autoincrement":true}
+// followed by its rows ordered by primary key
+//   {"t":"outbox","r":{"id":1,"msg_key":"digest:...",...}}
+
+const { openStore } = require('./store');
+
+// Rows that are the same message even when both runs gave them a new id
+const NATURAL_KEYS = { outbox: ['msg_key', 'target_id', 'part'] };
+
+function tableNames(store) {
+  return store
+    .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name")
+    .all()
+    .map(t => t.name);
+}
+
+function tableInfo(store, table) {
+  const columns = store.prepare('PRAGMA table_info(' + table + ')').all();
+  const key = columns.filter(c => c.pk > 0).sort((a, b) => a.pk - b.pk).map(c => c.name);
+  const { sql } = store.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+  return { key, autoincrement: /AUTOINCREMENT/i.test(sql), columns: columns.map(c => c.name) };
+}
+
+/**
+ * The whole store as dump text.
+ * @returns {string}
+ */
+function dumpStore() {
+  const store = openStore();
+  const lines = [];
+  for (const table of tableNames(store)) {
+    const { key, autoincrement } = tableInfo(store, table);
+    lines.push(JSON.stringify({ t: table, key, autoincrement }));
+    for (const row of store.prepare('SELECT * FROM ' + table + ' ORDER BY ' + key.join(', ')).all()) {
+      lines.push(JSON.stringify({ t: table, r: row }));
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Replace the store's contents with a dump, in one transaction. Columns the
+ * dump has and the schema doesn't are dropped.
+ *
+ * @returns {number} rows loaded
+ */
+function loadDump(text) {
+  const store = openStore();
+  const tables = new Map(tableNames(store).map(t => [t, tableInfo(store, t)]));
+  let count = 0;
+
+  store.transaction(() => {
+    for (const table of tables.keys()) store.prepare('DELETE FROM ' + table).run();
+    for (const { table, row } of parseRows(text)) {
+      const info = tables.get(table);
+      if (!info) continue;
+      const columns = Object.keys(row).filter(c => info.columns.includes(c));
+      store
+        .prepare('INSERT INTO ' + table + ' (' + columns.join(', ') + ') VALUES (' + columns.map(c => '@' + c).join(', ') + ')')
+        .run(Object.fromEntries(columns.map(c => [c, row[c]])));
+      count++;
+    }
+  })();
+  return count;
+}
+
+function* parseRows(text) {
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    const value = JSON.parse(line);
+    if (value.r) yield { table: value.t, row: value.r };
+  }
+}
+
+// Map(table -> { key, autoincrement, rows: Map(key text -> row) })
+function parseDump(text) {
+  const tables = new Map();
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    const value = JSON.parse(line);
+    if (!value.r) {
+      tables.set(value.t, { key: value.key, autoincrement: value.autoincrement, rows: new Map() });
+      continue;
+    }
+    const table = tables.get(value.t);
+    table.rows.set(rowKey(table.key, value.r), value.r);
+  }
+  return tables;
+}
+
+const rowKey = (key, row) => JSON.stringify(key.map(c => row[c]));
+
+const sameRow = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Both runs changed the same row. A post one of them sent (or gave up on)
+// stays closed, so it isn't sent again; otherwise the row that is still
+// there wins, ours over theirs.
+function pickRow(table, ours, theirs) {
+  if (!ours || !theirs) return ours || theirs;
+  if (table === 'outbox' && ours.status === 'pending' && theirs.status !== 'pending') return theirs;
+  return ours;
+}
+
+/**
+ * Three-way merge of dumps: the changes `ours` made since `base` applied on
+ * top of `theirs`.
+ *
+ * Rows match by primary key. Rows both sides added to an AUTOINCREMENT table
+ * can share an id: when they do, ours are renumbered after theirs, in their
+ * order. An outbox row ours added for a message theirs already holds is
+ * merged into theirs.
+ *
+ * @param {string} base    dump both sides started from ('' for none)
+ * @param {string} ours
+ * @param {string} theirs
+ * @returns {string} merged dump
+ */
+function mergeDumps(base, ours, theirs) {
+  const [b, o, t] = [parseDump(base), parseDump(ours), parseDump(theirs)];
+  const lines = [];
+
+  for (const name of [...new Set([...t.keys(), ...o.keys()])].sort()) {
+    const empty = { ...(t.get(name) || o.get(name)), rows: new Map() };
+    const baseRows = (b.get(name) || empty).rows;
+    const ourRows = (o.get(name) || empty).rows;
+    const { key, autoincrement, rows: theirRows } = t.get(name) || empty;
+    const merged = new Map(theirRows);
+    const added = [];
+
+    for (const k of new Set([...baseRows.keys(), ...ourRows.keys()])) {
+      const [was, mine, yours] = [baseRows.get(k), ourRows.get(k), theirRows.get(k)];
+      if (sameRow(mine, was)) continue;
+      if (autoincrement && !was) {
+        added.push(mine);
+        continue;
+      }
+      const row = sameRow(yours, was) ? mine : pickRow(name, mine, yours);
+      if (row) merged.set(k, row);
+      else merged.delete(k);
+    }
+
+    const natural = NATURAL_KEYS[name];
+    const byNatural = new Map();
+    if (natural) {
+      for (const [k, row] of merged) {
+        if (row[natural[0]] != null) byNatural.set(rowKey(natural, row), k);
+      }
+    }
+    const collides = added.some(row => merged.has(rowKey(key, row)));
+    let nextId = [...merged.values(), ...baseRows.values()].reduce((max, row) => Math.max(max, row[key[0]]), 0) + 1;
+
+    for (const row of added.sort((x, y) => x[key[0]] - y[key[0]])) {
+      const same = natural && row[natural[0]] != null && byNatural.get(rowKey(natural, row));
+      if (same) {
+        const theirsRow = merged.get(same);
+        merged.set(same, { ...pickRow(name, row, theirsRow), [key[0]]: theirsRow[key[0]] });
+        continue;
+      }
+      const placed = collides ? { ...row, [key[0]]: nextId++ } : row;
+      merged.set(rowKey(key, placed), placed);
+    }
+
+    lines.push(JSON.stringify({ t: name, key, autoincrement }));
+    const sorted = [...merged.values()].sort((x, y) => compareKeys(key, x, y));
+    for (const row of sorted) lines.push(JSON.stringify({ t: name, r: row }));
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Same order as the ORDER BY of dumpStore: ids by value, text keys by character
+function compareKeys(key, x, y) {
+  for (const c of key) {
+    const [a, b] = [x[c], y[c]];
+    if (a === b) continue;
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a) < String(b) ? -1 : 1;
+  }
+  return 0;
+}
+
+module.exports = {
+  dumpStore,
+  loadDump,
+  mergeDumps,
+};
@@ -0,0 +1,100 @@
+// Name, category and status cleaning shared by the scrapers and the dashboard.
+
+const norm = (s) =>
+  (s ?? '')
+    .replace(/\s+/g, ' ')
+    .replace(/[']/g, "'")
+    .trim();
+
+// Clean horse name for Google Sheets: "COCO VANILLE F. 2 a. ... (Sup.)" -> "Coco Vanille"
+const cleanHorseNameForSheet = (name) => {
+  if (!name) return '';
+
+  let cleaned = name;
+
+  // Remove (Sup.), (sup.), etc. and everything after
+  cleaned = cleaned.replace(/\s*\(Sup\.?\).*$/i, '');
+
+  // Remove ... and everything after
+  cleaned = cleaned.replace(/\s*\.\.\..*$/, '');
+
+  // Remove everything from first country code onwards (GB, IRE, FR, etc.)
+  cleaned = cleaned.replace(/\s+(GB|IRE|FR|USA|AUS|GER|ITY|JPN|NZ|ARG|BRZ|CAN|CHI|DEN|HK|IND|KOR|MAC|MEX|NOR|PER|POL|POR|SAF|SIN|SPA|SWE|SWI|TUR|UAE|URU)\b.*/i, '');
+  cleaned = cleaned.replace(/\s*\([A-Z]{2,3}\).*$/i, '');
+
+  // Remove PS. variations anywhere
+  cleaned = cleaned.replace(/\.?P\.?S\./gi, '');
+
+  // Remove sex/age pattern: M. 2 A., F 3 a., H. 4 A, F. 2, etc.
+  cleaned = cleaned.replace(/\s+[MFH]\.?\s*\d+\s*[Aa]?\.?\s*$/i, '');
+
+  // Clean up extra spaces
+  cleaned = cleaned.replace(/\s+/g, ' ').trim();
+
+  // Title case
+  cleaned = cleaned
+    .toLowerCase()
+    .split(' ')
+    .map(word => {
+      // Keep Roman numerals uppercase
+      if (/^(i|ii|iii|iv|v|vi|vii|viii|ix|x|xi|xii)$/i.test(word)) {
+        return word.toUpperCase();
+      }
+      return word.charAt(0).toUpperCase() + word.slice(1);
+    })
+    .join(' ');
+
+  return cleaned;
+};
+
+// Clean horse name for Discord: remove PS. but keep country/sex/age
+const cleanHorseNameForDiscord = (name) => {
+  if (!name) return '';
+  return name.replace(/\.PS\./g, '.').replace(/PS\./g, '').trim();
+};
+
+// Clean status: remove /1234 numbers
+const cleanStatus = (status) => {
+  if (!status) return '';
+  return status.replace(/\/\d+/g, '').trim();
+};
+
+// Collapse ((...)) to (...) and shorten "Classe 2" to "C2"
+const collapseParens = (str) => {
+  let cleaned = str;
+  while (cleaned.includes('((') || cleaned.includes('))')) {
+    cleaned = cleaned.replace(/\(\(/g, '(').replace(/\)\)/g, ')');
+  }
+  return cleaned.replace(/Classe\s*(\d)/gi, 'C$1');
+};
+
+// Clean category: ((Classe 2)) -> (C2), ((Maiden)) -> (Maiden)
+const cleanCategory = (cat) => (cat ? collapseParens(cat) : '');
+
+// Clean double parentheses from any string (for race names)
+const cleanDoubleParens = (str) => (str ? collapseParens(str) : '');
+
+// Fold a name for comparison: no case, accents or punctuation, "&" as "et"
+const foldName = (s) =>
+  (s || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' et ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+// Key of a horse's name across pages without links (results table, race
+// card, tracking PDF): capitals, without the "(IRE)" suffix
+const horseNameKey = (name) => norm(name).replace(/\s*\(.*$/, '').toUpperCase();
+
+module.exports = {
+  norm,
+  foldName,
+  horseNameKey,
+  cleanHorseNameForSheet,
+  cleanHorseNameForDiscord,
+  cleanStatus,
+  cleanCategory,
+  cleanDoubleParens,
+};
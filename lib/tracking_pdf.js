@@ -0,0 +1,191 @@
+// Tracking report PDFs ("last_times" files linked from a course detail page
+// once the race is run): download, text extraction and one record per horse.
+//
+// The report's text comes one table row per line (see pdfText): a header row
+// naming the columns, then a row per horse starting with its place, saddle
+// number and name. Columns are read by header name, as in the page tables:
+//   sectionals   one per segment ("200m 400m ..." or "1800-1600 1600-1400 ...")
+//   topSpeed     "Vmax", "Vit. max", "Vitesse max" (km/h)
+//   distance     "Dist. parcourue", "Distance" (metres covered)
+//   last splits  "Derniers 600m", "Last 400m"...
+// When the report has no "last" columns but 200 m segments, the last 600,
+// 400 and 200 m are added up from the last sectionals.
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+// The package's index.js reads a test PDF when it is required directly
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const { norm } = require('./text');
+
+const LAST_DISTANCES = [600, 400, 200];
+
+// Column labels in a header row, in the order they appear
+const HEADER_TOKEN = /(derniers?|last)\s*(\d{3,4})\s*m?|(v(?:it(?:esse)?)?\.?\s*max)|(dist(?:ance|\.)?(?:\s*parcourue)?)|(\d{1,4}\s*-\s*\d{1,4}|\d{3,4}\s*m)\b/gi;
+// Horse row: place (or NP, DAI, TB...), saddle number, name in capitals, values
+const HORSE_ROW = /^(\d{1,2}|NP|DAI|TB|ARR|RET|DES)\s+(\d{1,2})\s+([A-ZÀ-Ý][A-ZÀ-Ý'’ .()-]*?)\s+(?=\d)(.+)$/;
+// 1'12"34, 1'12''34, 72"34, 12.34, 12,34, 1612
+const VALUE = /\d+'\d{2}(?:"|'')\d{1,2}|\d+(?:"|'')\d{1,2}|\d+[.,]\d+|\d+/g;
+
+// "1'12"34" -> 72.34, "12,3" -> 12.3
+function parseNumber(text) {
+  const m = text.match(/^(?:(\d+)')?(\d+)(?:"|'')(\d{1,2})$/);
+  if (m) return (m[1] ? parseInt(m[1], 10) * 60 : 0) + parseInt(m[2], 10) + parseInt(m[3], 10) / Math.pow(10, m[3].length);
+  return parseFloat(text.replace(',', '.'));
+}
+
+// 72.34 -> 1'12"34, 35.1 -> 35"10
+function formatSeconds(seconds) {
+  const hundredths = Math.round(seconds * 100);
+  const minutes = Math.floor(hundredths / 6000);
+  const rest = hundredths - minutes * 6000;
+  const secs = Math.floor(rest / 100) + '"' + String(rest % 100).padStart(2, '0');
+  return minutes ? minutes + "'" + secs.padStart(5, '0') : secs;
+}
+
+function headerColumns(line) {
+  const columns = [];
+  for (const m of line.matchAll(HEADER_TOKEN)) {
+    if (m[2]) columns.push({ type: 'last', distance: parseInt(m[2], 10) });
+    else if (m[3]) columns.push({ type: 'topSpeed' });
+    else if (m[4]) columns.push({ type: 'distance' });
+    else columns.push({ type: 'sectional', label: m[5].replace(/\s+/g, '') });
+  }
+  return columns;
+}
+
+// Length in metres of each segment when they all have the same, else null
+function segmentLength(labels) {
+  const bounds = labels.map(l => l.match(/\d+/g).map(Number));
+  const lengths = bounds.every(b => b.length === 2)
+    ? bounds.map(b => Math.abs(b[0] - b[1]))
+    : bounds.slice(1).map((b, i) => b[0] - bounds[i][0]);
+  return lengths.length && lengths.every(l => l === lengths[0]) ? lengths[0] : null;
+}
+
+/**
+ * Per-horse data from the text of a tracking report, in the report's order.
+ * Columns the report doesn't have are left null (or empty); an empty list
+ * when no header or horse row is recognised.
+ *
+ * @param {string} text
+ * @returns {{ place: string, number: string, horse: string, sectionals: { label: string, seconds: number }[],
+ *   topSpeed: number|null, distanceCovered: number|null, lastSplits: Object<string, number> }[]}
+ */
+function parseTrackingText(text) {
+  const lines = text.split('\n').map(norm).filter(Boolean);
+  const header = lines.map(headerColumns).find(cols => cols.filter(c => c.type === 'sectional').length >= 2);
+  if (!header) return [];
+
+  const segment = segmentLength(header.filter(c => c.type === 'sectional').map(c => c.label));
+  const horses = [];
+
+  for (const line of lines) {
+    const m = line.match(HORSE_ROW);
+    if (!m) continue;
+    const values = m[4].replace(/km\s*\/\s*h|\bm\b/gi, ' ').match(VALUE) || [];
+    // A row short of values (a horse pulled up) can't be matched to the columns
+    const complete = values.length === header.length;
+
+    const horse = {
+      place: m[1],
+      number: m[2],
+      horse: m[3].trim(),
+      sectionals: [],
+      topSpeed: null,
+      distanceCovered: null,
+      lastSplits: {},
+    };
+    if (complete) {
+      header.forEach((col, i) => {
+        const value = parseNumber(values[i]);
+        if (col.type === 'sectional') horse.sectionals.push({ label: col.label, seconds: value });
+        else if (col.type === 'topSpeed') horse.topSpeed = value;
+        else if (col.type === 'distance') horse.distanceCovered = value;
+        else horse.lastSplits[col.distance] = value;
+      });
+    }
+
+    if (segment && Object.keys(horse.lastSplits).length === 0) {
+      for (const distance of LAST_DISTANCES) {
+        const count = distance / segment;
+        if (Number.isInteger(count) && count <= horse.sectionals.length) {
+          const total = horse.sectionals.slice(-count).reduce((sum, s) => sum + s.seconds, 0);
+          horse.lastSplits[distance] = Math.round(total * 100) / 100;
+        }
+      }
+    }
+    horses.push(horse);
+  }
+
+  return horses;
+}
+
+// pdf-parse's own page render runs the text items of a line together, so a
+// table whose cells are separate items would read "13ÉTOILE FILANTE15.20":
+// keep them a space apart
+function renderPage(pageData) {
+  return pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false }).then(({ items }) => {
+    let lastY = null;
+    let text = '';
+    for (const item of items) {
+      const y = item.transform[5];
+      if (lastY !== null) text += y === lastY ? ' ' : '\n';
+      text += item.str;
+      lastY = y;
+    }
+    return text;
+  });
+}
+
+/**
+ * Text of a PDF, one line per line of the page, the items of a line
+ * separated by a space.
+ *
+ * @param {Buffer|Uint8Array} pdf
+ * @returns {Promise<string>}
+ */
+async function pdfText(pdf) {
+  // pdf.js reads the Buffer's whole backing memory, which a small Buffer
+  // shares with others: hand it a copy of its own
+  const { text } = await pdfParse(new Uint8Array(pdf), { pagerender: renderPage });
+  return text;
+}
+
+/**
+ * Download the tracking report at `url` with the page's session and parse
+ * it. The PDF is written to `archiveDir` unless `archiveDir` is null (dry
+ * runs).
+ *
+ * @param {import('playwright').Page} page  logged-in page
+ * @param {string} url
+ * @param {{ archiveDir: string|null, name: string }} opts  `name` becomes the
+ *   start of the file name (date and horse), a hash of `url` the end
+ * @returns {Promise<{ file: string|null, horses: ReturnType<typeof parseTrackingText> }>}
+ */
+async function fetchTrackingReport(page, url, { archiveDir, name }) {
+  const response = await page.context().request.get(url, { timeout: 60000 });
+  if (!response.ok()) throw new Error('HTTP ' + response.status() + ' for ' + url);
+  const pdf = await response.body();
+  if (pdf.subarray(0, 5).toString() !== '%PDF-') throw new Error('Not a PDF: ' + url);
+
+  let file = null;
+  if (archiveDir) {
+    const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 8);
+    const slug = name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^A-Za-z0-9-]+/g, '-').replace(/^-+|-+$/g, '').toLowerCase();
+    file = path.join(archiveDir, slug + '_' + hash + '.pdf');
+    await fs.mkdir(archiveDir, { recursive: true });
+    await fs.writeFile(file, pdf);
+  }
+
+  return { file, horses: parseTrackingText(await pdfText(pdf)) };
+}
+
+module.exports = {
+  LAST_DISTANCES,
+  segmentLength,
+  parseTrackingText,
+  pdfText,
+  fetchTrackingReport,
+  formatSeconds,
+};
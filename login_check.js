@@ -0,0 +1,49 @@
+// login_check.js
+// Checks the France Galop login the scrapers depend on: reuses the saved
+// session if it is still accepted, otherwise logs in with
+// FRANCE_GALOP_EMAIL / FRANCE_GALOP_PASSWORD and saves a new one. With a
+// trainer configured (TRAINERS or TRAINER_URL) it also opens the first
+// trainer page, which is where "Accès refusé" shows up.
+//
+// Usage: node login_check.js    exits 1 if France Galop won't let us in
+
+const { chromium } = require('playwright');
+const { ensureLoggedIn, loadSessionStorageState, SESSION_FILE } = require('./lib/fg_login');
+const { loadSettings, loadTrainers } = require('./lib/config');
+
+async function main() {
+  const settings = loadSettings();
+  let targetUrl;
+  try {
+    const trainers = loadTrainers();
+    targetUrl = trainers.length ? trainers[0].url : undefined;
+  } catch (err) {
+    console.warn('⚠️ ' + err.message + ' - checking the account page only');
+  }
+
+  const storageState = await loadSessionStorageState();
+  console.log(storageState ? '🍪 Saved session found in ' + SESSION_FILE : '🍪 No saved session, will log in');
+
+  const browser = await chromium.launch({ headless: true });
+  try {
+    const ctx = await browser.newContext({ userAgent: settings.browser.userAgent, storageState });
+    const page = await ctx.newPage();
+    await ensureLoggedIn(page, ctx, {
+      email: process.env.FRANCE_GALOP_EMAIL,
+      password: process.env.FRANCE_GALOP_PASSWORD,
+      targetUrl,
+    });
+    console.log('✅ Logged in to France Galop' + (targetUrl ? ' and the trainer page opens' : '') + ' (' + page.url() + ')');
+  } catch (err) {
+    console.error('❌ Login failed: ' + err.message);
+    process.exitCode = 1;
+  } finally {
+    await browser.close();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main };
@@ -0,0 +1,27 @@
+// migrate_json_to_sqlite.js
+// Imports the JSON state files in data/ into the SQLite store (data/fg.db).
+// The workflows do this once, when store_branch.js finds no `data` branch
+// yet; nothing imports them by itself any more. Rows already in the store
+// are kept, so running it twice is harmless.
+//
+// seen.json and pending_discord.json written before multi-trainer support
+// belong to one trainer: pass its id (default "default").
+//
+// Usage: node migrate_json_to_sqlite.js [--legacy-trainer <id>]
+
+const { DB_FILE, importJsonState, closeStore } = require('./lib/store');
+
+const argIndex = process.argv.indexOf('--legacy-trainer');
+const legacyTrainerId = argIndex !== -1 ? process.argv[argIndex + 1] : 'default';
+
+if (!legacyTrainerId) {
+  console.error('--legacy-trainer needs a trainer id');
+  process.exit(1);
+}
+
+console.log('Importing JSON state into ' + DB_FILE + '...\n');
+
+importJsonState(undefined, { legacyTrainerId });
+closeStore();
+
+console.log('\nDone!');
@@ -0,0 +1,174 @@
+// migrate_state_ids.js
+// One-off migration of data/ state files from text keys
+// ("horse | date | track | race | dist") to the URL-derived ids in lib/ids.js.
+// Entries whose horse/race URLs can't be recovered keep their text key; the
+// scrapers still recognise those and re-key them the next time they're seen.
+//
+// Usage: node migrate_state_ids.js [--dry-run]
+
+const fs = require('fs/promises');
+const path = require('path');
+const { cleanHorseNameForSheet } = require('./lib/text');
+const { entryKey, legacyEngagementKey, legacyResultKey, isLegacyKey } = require('./lib/ids');
+
+const DATA_DIR = 'data';
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const file = (name) => path.join(DATA_DIR, name);
+
+async function loadJSON(name, defaultValue) {
+  try {
+    return JSON.parse(await fs.readFile(file(name), 'utf8'));
+  } catch {
+    return defaultValue;
+  }
+}
+
+async function saveJSON(name, data) {
+  if (DRY_RUN) return;
+  await fs.writeFile(file(name), JSON.stringify(data, null, 2), 'utf8');
+}
+
+// Legacy engagement key -> { horseUrl, raceUrl } from every file that has links
+function collectEngagementLinks(seen, dpp, stored) {
+  const links = new Map();
+  const add = (key, horseUrl, raceUrl) => {
+    if (horseUrl && raceUrl && !links.has(key)) links.set(key, { horseUrl, raceUrl });
+  };
+
+  for (const entries of Object.values(seen)) {
+    for (const [key, value] of entries) add(key, value.horseUrl, value.raceUrl);
+  }
+  const dppRaces = dpp.trainers
+    ? Object.values(dpp.trainers).flatMap(t => t.races || [])
+    : (dpp.races || []);
+  for (const r of [...dppRaces, ...(stored.races || [])]) {
+    add(legacyEngagementKey(r), r.horseUrl, r.raceUrl);
+  }
+  return links;
+}
+
+function migrateSeen(seen, links, stats) {
+  const out = {};
+  for (const [trainerId, entries] of Object.entries(seen)) {
+    const migrated = new Map();
+    for (const [key, value] of entries) {
+      if (!isLegacyKey(key)) { migrated.set(key, value); continue; }
+
+      // Keep the display fields the key used to carry
+      const [horse, date, track, race, dist] = key.split(' | ');
+      const link = links.get(key) || {};
+      const entry = { horse, date, track, race, dist, ...link, ...value };
+      const newKey = entryKey(entry.horseUrl, entry.raceUrl);
+
+      if (newKey) stats.seen++; else stats.seenKept++;
+      migrated.set(newKey || key, entry);
+    }
+    out[trainerId] = Array.from(migrated.entries());
+  }
+  return out;
+}
+
+function remapKeys(keys, links, stats, counter) {
+  return keys.map(key => {
+    const link = links.get(key);
+    const newKey = link && entryKey(link.horseUrl, link.raceUrl);
+    if (newKey) stats[counter]++;
+    return newKey || key;
+  });
+}
+
+function migratePending(pending, links, stats) {
+  const byTrainer = pending.partants ? { default: pending } : pending;
+  for (const p of Object.values(byTrainer)) {
+    for (const bucket of ['partants', 'newEngagements', 'statusUpdates']) {
+      const migrated = {};
+      for (const [key, r] of Object.entries(p[bucket] || {})) {
+        const newKey = entryKey(r.horseUrl, r.raceUrl);
+        if (newKey && newKey !== key) stats.pending++;
+        migrated[newKey || key] = r;
+      }
+      p[bucket] = migrated;
+    }
+  }
+  return pending;
+}
+
+// seen_results.json values have no links, so match against race_history.json
+// (which stores the cleaned horse name alongside both URLs).
+function migrateSeenResults(seenResults, raceHistory, stats) {
+  const links = new Map();
+  for (const r of raceHistory) {
+    const key = legacyResultKey({
+      horse: cleanHorseNameForSheet(r.horse),
+      date: r.date,
+      hippodrome: r.track,
+      distance: r.distance,
+    });
+    if (r.horseUrl && r.raceUrl) links.set(key, r);
+  }
+
+  return seenResults.map(([key, value]) => {
+    if (!isLegacyKey(key)) return [key, value];
+    const [horse, date, track, distance] = key.split(' | ');
+    const cleanedKey = legacyResultKey({ horse: cleanHorseNameForSheet(horse), date, hippodrome: track, distance });
+    const link = links.get(cleanedKey);
+    const newKey = link && entryKey(link.horseUrl, link.raceUrl);
+    if (newKey) stats.results++; else stats.resultsKept++;
+    return [newKey || key, value];
+  });
+}
+
+// sent_alerts.json holds race URLs; re-key those where exactly one of our
+// horses ran in the race.
+function migrateSentAlerts(sentAlerts, races, stats) {
+  const horsesByRace = new Map();
+  for (const r of races) {
+    if (!r.raceUrl || !r.horseUrl) continue;
+    if (!horsesByRace.has(r.raceUrl)) horsesByRace.set(r.raceUrl, new Set());
+    horsesByRace.get(r.raceUrl).add(r.horseUrl);
+  }
+
+  return sentAlerts.map(raceUrl => {
+    const horses = horsesByRace.get(raceUrl);
+    if (!horses || horses.size !== 1) { stats.alertsKept++; return raceUrl; }
+    stats.alerts++;
+    return entryKey([...horses][0], raceUrl);
+  });
+}
+
+(async function() {
+  console.log('Migrating state files to URL ids' + (DRY_RUN ? ' (dry run)' : '') + '...\n');
+
+  const seenRaw = await loadJSON('seen.json', {});
+  const seen = Array.isArray(seenRaw) ? { default: seenRaw } : seenRaw;
+  const dpp = await loadJSON('dpp_races.json', {});
+  const stored = await loadJSON('stored_races.json', { races: [] });
+  const raceHistory = await loadJSON('race_history.json', []);
+
+  const stats = { seen: 0, seenKept: 0, partants: 0, pending: 0, results: 0, resultsKept: 0, alerts: 0, alertsKept: 0 };
+  const links = collectEngagementLinks(seen, dpp, stored);
+
+  const migratedSeen = migrateSeen(seen, links, stats);
+  await saveJSON('seen.json', Array.isArray(seenRaw) ? migratedSeen.default : migratedSeen);
+
+  const partants = await loadJSON('posted_partants.json', []);
+  await saveJSON('posted_partants.json', remapKeys(partants, links, stats, 'partants'));
+
+  const pending = await loadJSON('pending_discord.json', null);
+  if (pending) await saveJSON('pending_discord.json', migratePending(pending, links, stats));
+
+  const seenResults = await loadJSON('seen_results.json', []);
+  await saveJSON('seen_results.json', migrateSeenResults(seenResults, raceHistory, stats));
+
+  const sentAlerts = await loadJSON('sent_alerts.json', []);
+  const allRaces = [...(stored.races || []), ...raceHistory, ...[...links.values()]];
+  await saveJSON('sent_alerts.json', migrateSentAlerts(sentAlerts, allRaces, stats));
+
+  console.log('seen.json:            ' + stats.seen + ' re-keyed, ' + stats.seenKept + ' kept (no links)');
+  console.log('posted_partants.json: ' + stats.partants + ' re-keyed');
+  console.log('pending_discord.json: ' + stats.pending + ' re-keyed');
+  console.log('seen_results.json:    ' + stats.results + ' re-keyed, ' + stats.resultsKept + ' kept (not in race history)');
+  console.log('sent_alerts.json:     ' + stats.alerts + ' re-keyed, ' + stats.alertsKept + ' kept (race URL only)');
+  console.log('\nDone!');
+})();
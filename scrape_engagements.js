@@ -1,15 +1,33 @@
-// Node 18+ / 20+; CommonJS. ENV: TRAINER_URL, DISCORD_WEBHOOK_URL, MANUAL_RUN (optional)
+// Node 18+ / 20+; CommonJS. ENV: TRAINERS or TRAINER_URL, DISCORD_WEBHOOK_URL, MANUAL_RUN (optional)
 // Google Sheets/Docs integration: GOOGLE_SERVICE_ACCOUNT, SPREADSHEET_ID, DOC_ID
 // France Galop login: FRANCE_GALOP_EMAIL, FRANCE_GALOP_PASSWORD
 
-const { chromium } = require('playwright');
-const fs = require('fs/promises');
-const path = require('path');
 const { google } = require('googleapis');
-const { ensureLoggedIn, loadSessionStorageState } = require('./lib/fg_login');
+const { norm, cleanHorseNameForSheet, cleanHorseNameForDiscord, cleanCategory, cleanDoubleParens } = require('./lib/text');
+const { isDeclared, formatStatus } = require('./lib/status');
+const { formatLink } = require('./lib/discord');
+const { createNotifier, deliverOutbox } = require('./lib/notifier');
+const { loadRoutes, queueRouted } = require('./lib/routing');
+const { loadSubscribers, notifySubscribers, flushSubscriberDigests } = require('./lib/rules');
+const { getGoogleAuth, lookupOwner } = require('./lib/google');
+const { isDryRun, printWouldSend } = require('./lib/dry_run');
+const { loadSettings, loadTrainers } = require('./lib/config');
+const { engagementKey, legacyEngagementKey } = require('./lib/ids');
+const { ensureLoggedIn, LoginError } = require('./lib/fg_login');
+const { openPage } = require('./lib/browser');
+const { isReplay, snapshotPage, writeFixtureOutput } = require('./lib/fixtures');
+const { now, getParisDateParts, getZonedDateParts, parseSince } = require('./lib/clock');
+const { formatHHMM, shouldPostNow } = require('./lib/schedule');
+const { loadDigestSchedule, scheduleFor, describeSchedule } = require('./lib/digest_schedule');
+const {
+  openStore, inTransaction, getState, setState, loadEngagements, saveEngagements,
+  loadPostedPartants, savePostedPartants, loadDPPRaces, saveDPPRaces, listTransitionsSince,
+} = require('./lib/store');
+
+const settings = loadSettings();
+const UPDATES_TAB = settings.sheets.updatesTab;
+const PAGE_TRIES = settings.browser.pageTries.engagements;
 
-const TRAINER_URL = process.env.TRAINER_URL;
-const WEBHOOK = process.env.DISCORD_WEBHOOK_URL;
 const MANUAL_RUN = process.env.MANUAL_RUN === 'true';
 const FORCE_POST = process.env.FORCE_POST === 'true';
 
@@ -22,8 +40,23 @@ const GOOGLE_SERVICE_ACCOUNT = process.env.GOOGLE_SERVICE_ACCOUNT;
 const SPREADSHEET_ID = process.env.SPREADSHEET_ID;
 const DOC_ID = process.env.DOC_ID;
 
-if (!TRAINER_URL || !WEBHOOK) {
-  console.error('Missing TRAINER_URL or DISCORD_WEBHOOK_URL');
+// Trainers to monitor: TRAINERS or TRAINER_URL, see loadTrainers() in lib/config.js
+let TRAINERS;
+try {
+  TRAINERS = loadTrainers();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+if (TRAINERS.length === 0) {
+  console.error('Missing TRAINERS or TRAINER_URL');
+  process.exit(1);
+}
+
+const missingWebhook = TRAINERS.filter(t => !t.webhook);
+if (missingWebhook.length && !isReplay() && !isDryRun()) {
+  console.error('Missing DISCORD_WEBHOOK_URL (no webhook for: ' + missingWebhook.map(t => t.id).join(', ') + ')');
   process.exit(1);
 }
 
@@ -39,306 +72,105 @@ if (FORCE_POST) {
   console.log('🔧 FORCE POST - will post all current engagements for testing');
 }
 
-const STORE_DIR = 'data';
-const STORE_FILE = path.join(STORE_DIR, 'seen.json');
-const LAST_RUN_FILE = path.join(STORE_DIR, 'last_run.json');
-const PARTANTS_FILE = path.join(STORE_DIR, 'posted_partants.json');
-const PENDING_FILE = path.join(STORE_DIR, 'pending_discord.json');
-
-// Paris times when Discord summary should be posted (timezone-aware, handles DST).
-// Each run posts if any target has already passed today and we haven't yet posted
-// for that target — so GitHub Actions cron delays no longer cause missed posts.
-const POST_TARGETS_PARIS = [
-  { hour: 10, minute: 40 },
-  { hour: 12, minute: 40 },
-];
-
-function getParisDateParts(date) {
-  const d = date || new Date();
-  const parts = {};
-  new Intl.DateTimeFormat('en-GB', {
-    timeZone: 'Europe/Paris',
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-    hour12: false,
-  }).formatToParts(d).forEach(p => { parts[p.type] = p.value; });
-  const hour = parseInt(parts.hour);
-  const minute = parseInt(parts.minute);
-  return {
-    date: parts.year + '-' + parts.month + '-' + parts.day,
-    hour,
-    minute,
-    minutesSinceMidnight: hour * 60 + minute,
-  };
-}
-
-const formatHHMM = (m) => String(Math.floor(m / 60)).padStart(2, '0') + ':' + String(m % 60).padStart(2, '0');
-
-// Decide whether to flush pending Discord posts on this run.
-// Returns { post: boolean, reason: string, target: number|null }.
-function shouldPostNow(pending, parisNow) {
-  if (FORCE_POST || MANUAL_RUN) {
-    return { post: true, reason: 'force/manual override', target: null };
-  }
-
-  const passedTargets = POST_TARGETS_PARIS
-    .map(t => t.hour * 60 + t.minute)
-    .filter(t => parisNow.minutesSinceMidnight >= t);
-
-  if (passedTargets.length === 0) {
-    return { post: false, reason: 'no target reached yet today', target: null };
-  }
-
-  const mostRecentTarget = Math.max(...passedTargets);
-
-  if (!pending.lastPosted) {
-    return { post: true, reason: 'no prior post recorded', target: mostRecentTarget };
-  }
-
-  const lastPostedParis = getParisDateParts(new Date(pending.lastPosted));
-
-  if (lastPostedParis.date < parisNow.date) {
-    return { post: true, reason: 'last post was on an earlier Paris day', target: mostRecentTarget };
-  }
-
-  if (lastPostedParis.date === parisNow.date && lastPostedParis.minutesSinceMidnight < mostRecentTarget) {
-    return { post: true, reason: 'last post today was before current target window', target: mostRecentTarget };
-  }
-
-  return { post: false, reason: 'already posted for the most recent target', target: mostRecentTarget };
-}
-
-const norm = (s) =>
-  (s ?? '')
-    .replace(/\s+/g, ' ')
-    .replace(/[']/g, "'")
-    .trim();
-
-const keyify = (obj) =>
-  norm([obj.horse, obj.date, obj.track, obj.race, obj.dist].join(' | ')).toLowerCase();
-
-// Clean horse name for Google Sheets: "COCO VANILLE F. 2 a. ... (Sup.)" -> "Coco Vanille"
-const cleanHorseNameForSheet = (name) => {
-  if (!name) return '';
-  
-  let cleaned = name;
-  
-  // Remove (Sup.), (sup.), etc. and everything after
-  cleaned = cleaned.replace(/\s*\(Sup\.?\).*$/i, '');
-  
-  // Remove ... and everything after
-  cleaned = cleaned.replace(/\s*\.\.\..*$/, '');
-  
-  // Remove everything from first country code onwards (GB, IRE, FR, etc.)
-  cleaned = cleaned.replace(/\s+(GB|IRE|FR|USA|AUS|GER|ITY|JPN|NZ|ARG|BRZ|CAN|CHI|DEN|HK|IND|KOR|MAC|MEX|NOR|PER|POL|POR|SAF|SIN|SPA|SWE|SWI|TUR|UAE|URU)\b.*/i, '');
-  cleaned = cleaned.replace(/\s*\([A-Z]{2,3}\).*$/i, '');
-  
-  // Remove PS. variations anywhere
-  cleaned = cleaned.replace(/\.?P\.?S\./gi, '');
-  
-  // Remove sex/age pattern: M. 2 A., F 3 a., H. 4 A, F. 2, etc.
-  // This handles: "F. 2 a.", "M 3 A", "H. 4", etc.
-  cleaned = cleaned.replace(/\s+[MFH]\.?\s*\d+\s*[Aa]?\.?\s*$/i, '');
-  
-  // Clean up extra spaces
-  cleaned = cleaned.replace(/\s+/g, ' ').trim();
-  
-  // Title case
-  cleaned = cleaned
-    .toLowerCase()
-    .split(' ')
-    .map(word => {
-      // Keep Roman numerals uppercase
-      if (/^(i|ii|iii|iv|v|vi|vii|viii|ix|x|xi|xii)$/i.test(word)) {
-        return word.toUpperCase();
-      }
-      return word.charAt(0).toUpperCase() + word.slice(1);
-    })
-    .join(' ');
-  
-  return cleaned;
-};
-
-// Clean status: remove /1234 numbers
-const cleanStatus = (status) => {
-  if (!status) return '';
-  return status.replace(/\/\d+/g, '').trim();
-};
-
-// Clean category: ((Classe 2)) -> (C2), ((Maiden)) -> (Maiden)
-const cleanCategory = (cat) => {
-  if (!cat) return '';
-  let cleaned = cat;
-  // Remove double parentheses - keep doing it until none left
-  while (cleaned.includes('((') || cleaned.includes('))')) {
-    cleaned = cleaned.replace(/\(\(/g, '(').replace(/\)\)/g, ')');
-  }
-  // Shorten Classe to C
-  cleaned = cleaned.replace(/Classe\s*(\d)/gi, 'C$1');
-  return cleaned;
-};
-
-// Clean double parentheses from any string (for race names)
-const cleanDoubleParens = (str) => {
-  if (!str) return '';
-  let cleaned = str;
-  // Keep replacing until no more double parens
-  let prevLength = 0;
-  while (cleaned.length !== prevLength) {
-    prevLength = cleaned.length;
-    cleaned = cleaned.replace(/\(\(/g, '(').replace(/\)\)/g, ')');
-  }
-  // Also shorten Classe to C in race names
-  cleaned = cleaned.replace(/Classe\s*(\d)/gi, 'C$1');
-  return cleaned;
-};
-
-// Clean horse name for Discord: remove PS. but keep country/sex/age
-const cleanHorseNameForDiscord = (name) => {
-  if (!name) return '';
-  return name.replace(/\.PS\./g, '.').replace(/PS\./g, '').trim();
-};
-
-// Format name with optional hyperlink for Discord
-const formatLink = (text, url) => {
-  if (url && url.startsWith('http')) {
-    return '[' + text + '](' + url + ')';
-  }
-  return text;
-};
-
-async function loadSeen() {
+// FG_SINCE (`fg engagements --since`): put every change recorded since then
+// back into the digest and post it now
+let SINCE = null;
+if (process.env.FG_SINCE) {
   try {
-    const txt = await fs.readFile(STORE_FILE, 'utf8');
-    return new Map(JSON.parse(txt));
-  } catch {
-    await fs.mkdir(STORE_DIR, { recursive: true });
-    return new Map();
+    SINCE = parseSince(process.env.FG_SINCE);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
   }
+  console.log('🔁 Replaying changes since ' + SINCE.toISOString());
 }
 
-async function saveSeen(map) {
-  const arr = Array.from(map.entries());
-  const trimmed = arr.slice(-3000);
-  await fs.writeFile(STORE_FILE, JSON.stringify(trimmed, null, 2), 'utf8');
-}
-
-async function loadLastRun() {
-  try {
-    const txt = await fs.readFile(LAST_RUN_FILE, 'utf8');
-    const data = JSON.parse(txt);
-    return data.date;
-  } catch {
-    return null;
+// When each trainer's digest is posted: config/schedule.json (10:40 and
+// 12:40 Paris by default). See shouldPostNow() in lib/schedule.js for how
+// late cron runs are handled.
+const digestSchedule = loadDigestSchedule();
+
+// One digest line; status updates show where the statut came from
+const digestLine = (r) =>
+  '• ' + formatLink(cleanHorseNameForDiscord(r.horse), r.horseUrl) + ' — ' + r.date + ' — ' + r.track + ' — ' + formatLink(cleanDoubleParens(r.race), r.raceUrl) + ' (' + (cleanCategory(r.cat) || '-') + ') — ' + (r.dist || '-') + ' — Statut: ' + (r.oldStatut ? formatStatus(r.oldStatut) + ' → ' : '') + formatStatus(r.statut);
+
+const emptyPending = () => ({ partants: {}, newEngagements: {}, statusUpdates: {}, lastPosted: null });
+
+// What a pending digest keeps of a row
+const pendingEntry = (r) => ({ horse: r.horse, horseUrl: r.horseUrl, date: r.date, track: r.track, race: r.race, raceUrl: r.raceUrl, cat: r.cat, dist: r.dist, purse: r.purse, owner: r.owner, statut: r.statut });
+
+// Pending digest per trainer: { <trainerId>: { partants, newEngagements, statusUpdates, lastPosted } }
+const loadPending = () => getState('pending_discord', {});
+const savePending = (pending) => setState('pending_discord', pending);
+
+// Add the changes recorded in the status history since `since` to the pending
+// digests, as the runs that saw them did: a first sighting is a new
+// engagement, a later change a statut update from the first statut of the
+// period, and a horse now declared a partant. Returns how many were added.
+function replayPending(pendingByTrainer, since) {
+  const byEngagement = new Map();
+  for (const t of listTransitionsSince(since.getTime())) {
+    if (!TRAINERS.some(tr => tr.id === t.trainer)) continue;
+    const id = t.trainer + '\n' + t.key;
+    if (!byEngagement.has(id)) byEngagement.set(id, { first: t, last: t });
+    byEngagement.get(id).last = t;
   }
-}
 
-async function saveLastRun(date) {
-  await fs.writeFile(LAST_RUN_FILE, JSON.stringify({ date }, null, 2), 'utf8');
-}
+  let replayed = 0;
+  for (const { first, last } of byEngagement.values()) {
+    // Changed and changed back: nothing to report
+    if (first.oldStatut !== null && first.oldStatut === last.newStatut) continue;
+    replayed++;
 
-async function loadPostedPartants() {
-  try {
-    const txt = await fs.readFile(PARTANTS_FILE, 'utf8');
-    return new Set(JSON.parse(txt));
-  } catch {
-    return new Set();
+    if (!pendingByTrainer[first.trainer]) pendingByTrainer[first.trainer] = emptyPending();
+    const pending = pendingByTrainer[first.trainer];
+    const r = { ...last, statut: last.newStatut };
+    const k = first.key;
+
+    if (pending.newEngagements[k]) {
+      pending.newEngagements[k].statut = r.statut;
+    } else if (pending.statusUpdates[k]) {
+      pending.statusUpdates[k].statut = r.statut;
+    } else if (first.oldStatut === null) {
+      pending.newEngagements[k] = pendingEntry(r);
+    } else {
+      pending.statusUpdates[k] = { ...pendingEntry(r), oldStatut: first.oldStatut };
+    }
+    if (isDeclared(r.statut)) pending.partants[k] = pendingEntry(r);
   }
-}
 
-async function savePostedPartants(set) {
-  const arr = Array.from(set).slice(-1000);
-  await fs.writeFile(PARTANTS_FILE, JSON.stringify(arr, null, 2), 'utf8');
+  console.log('🔁 Replayed ' + replayed + ' engagements changed since ' + since.toISOString());
+  return replayed;
 }
 
-async function loadPending() {
-  try {
-    const txt = await fs.readFile(PENDING_FILE, 'utf8');
-    return JSON.parse(txt);
-  } catch {
-    return { partants: {}, newEngagements: {}, statusUpdates: {}, lastPosted: null };
+// DP-P races for the race alerts system:
+//   { lastUpdate, trainers: { <trainerId>: { label, lastUpdate, races } } }
+// Trainers whose scrape failed this run keep their previous races.
+function updateDPPRaces(racesByTrainer) {
+  const timestamp = now().toISOString();
+  const previous = (loadDPPRaces() || {}).trainers || {};
+
+  const trainers = {};
+  let total = 0;
+  for (const t of TRAINERS) {
+    if (racesByTrainer.has(t.id)) {
+      trainers[t.id] = { label: t.label, lastUpdate: timestamp, races: racesByTrainer.get(t.id) };
+    } else if (previous[t.id]) {
+      trainers[t.id] = previous[t.id];
+    } else {
+      continue;
+    }
+    total += trainers[t.id].races.length;
   }
-}
 
-async function savePending(pending) {
-  await fs.writeFile(PENDING_FILE, JSON.stringify(pending, null, 2), 'utf8');
-}
-
-async function saveDPPRaces(races) {
-  const dppFile = path.join(STORE_DIR, 'dpp_races.json');
-  const timestamp = new Date().toISOString();
-  await fs.writeFile(dppFile, JSON.stringify({ 
-    lastUpdate: timestamp, 
-    races: races 
-  }, null, 2), 'utf8');
-  console.log('💾 Saved ' + races.length + ' DP-P races for race alerts system');
+  saveDPPRaces({ lastUpdate: timestamp, trainers });
+  console.log('💾 Saved ' + total + ' DP-P races for race alerts system');
 }
 
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
 // ============ GOOGLE SHEETS/DOCS INTEGRATION ============
 
-async function getGoogleAuth() {
-  if (!GOOGLE_SERVICE_ACCOUNT) {
-    console.log('⚠️ No GOOGLE_SERVICE_ACCOUNT - skipping Google integration');
-    return null;
-  }
-  
-  try {
-    const credentials = JSON.parse(GOOGLE_SERVICE_ACCOUNT);
-    const auth = new google.auth.GoogleAuth({
-      credentials,
-      scopes: [
-        'https://www.googleapis.com/auth/spreadsheets',
-        'https://www.googleapis.com/auth/documents'
-      ]
-    });
-    return auth;
-  } catch (err) {
-    console.error('Failed to parse Google credentials:', err.message);
-    return null;
-  }
-}
-
-// Lookup owner from Sélection 2025/2026 tabs
-async function lookupOwner(sheets, horseName) {
-  const cleanedName = cleanHorseNameForSheet(horseName).toLowerCase();
-  
-  for (const tabName of ['Sélection 2026', 'Sélection 2025']) {
-    try {
-      const response = await sheets.spreadsheets.values.get({
-        spreadsheetId: SPREADSHEET_ID,
-        range: "'" + tabName + "'!A:Z",
-      });
-      
-      const rows = response.data.values || [];
-      if (rows.length === 0) continue;
-      
-      const headers = rows[0].map(h => (h || '').toString().trim());
-      const nameCol = headers.findIndex(h => /^Name$/i.test(h));
-      const ownerCol = headers.findIndex(h => /^Propriétaire$/i.test(h));
-      
-      if (nameCol === -1 || ownerCol === -1) continue;
-      
-      for (let i = 1; i < rows.length; i++) {
-        // Clean the sheet name the same way we clean the scraped name
-        const rawSheetName = (rows[i][nameCol] || '').toString().trim();
-        const sheetName = cleanHorseNameForSheet(rawSheetName).toLowerCase();
-        if (sheetName === cleanedName) {
-          return (rows[i][ownerCol] || '').toString().trim();
-        }
-      }
-    } catch (err) {
-      console.log('Could not read ' + tabName + ': ' + err.message);
-    }
-  }
-  
-  return '';
-}
-
 // Create a unique key for deduplication: postDate + horse + raceDate + track
 const createSheetKey = (postDate, horseName, notes) => {
   // Extract race date and track from notes: "19/12/2025 — CHANTILLY — ..."
@@ -348,9 +180,13 @@ const createSheetKey = (postDate, horseName, notes) => {
   return postDate + '|' + horseName.toLowerCase() + '|' + raceDate + '|' + track;
 };
 
-// Write rows to "Mises à jour" tab - UPDATE existing or INSERT new, with deduplication
+// Write rows to the updates tab ("Mises à jour") - UPDATE existing or INSERT new, with deduplication
 async function writeToSheet(sheets, rowsToAdd) {
   if (!rowsToAdd.length) return;
+  if (isDryRun()) {
+    printWouldSend('to the "' + UPDATES_TAB + '" tab', rowsToAdd.map(row => row.map(c => (c && typeof c === 'object' ? c.text : c)).join(' | ')));
+    return;
+  }
   
   try {
     const spreadsheet = await sheets.spreadsheets.get({
@@ -358,21 +194,21 @@ async function writeToSheet(sheets, rowsToAdd) {
     });
     
     const misesSheet = spreadsheet.data.sheets.find(
-      s => s.properties.title === 'Mises à jour'
+      s => s.properties.title === UPDATES_TAB
     );
     
     if (!misesSheet) {
-      console.error('Could not find "Mises à jour" tab');
+      console.error('Could not find "' + UPDATES_TAB + '" tab');
       return;
     }
     
     const sheetId = misesSheet.properties.sheetId;
-    const currentDate = formatDate(new Date());
+    const currentDate = formatDate(now());
     
     // Read existing data to find rows to update
     const existingData = await sheets.spreadsheets.values.get({
       spreadsheetId: SPREADSHEET_ID,
-      range: "'Mises à jour'!A:E"
+      range: "'" + UPDATES_TAB + "'!A:E"
     });
     
     const existingRows = existingData.data.values || [];
@@ -422,7 +258,7 @@ async function writeToSheet(sheets, rowsToAdd) {
       
       await sheets.spreadsheets.values.update({
         spreadsheetId: SPREADSHEET_ID,
-        range: "'Mises à jour'!A" + rowIndex + ":E" + rowIndex,
+        range: "'" + UPDATES_TAB + "'!A" + rowIndex + ":E" + rowIndex,
         valueInputOption: 'RAW',
         requestBody: {
           values: [valuesForSheet]
@@ -495,7 +331,7 @@ async function writeToSheet(sheets, rowsToAdd) {
       // Write data to row 2
       await sheets.spreadsheets.values.update({
         spreadsheetId: SPREADSHEET_ID,
-        range: "'Mises à jour'!A2:E" + (1 + rowsToInsert.length),
+        range: "'" + UPDATES_TAB + "'!A2:E" + (1 + rowsToInsert.length),
         valueInputOption: 'RAW',
         requestBody: {
           values: valuesForSheet
@@ -571,6 +407,10 @@ async function writeToSheet(sheets, rowsToAdd) {
 // Write to Google Doc - UPDATE today's section if exists, or INSERT AT TOP
 async function appendToDoc(docs, entries) {
   if (!entries || entries.length === 0) return;
+  if (isDryRun()) {
+    printWouldSend('to the Doc', entries.map(e => e.horseName + ' | ' + e.owner + ' | ' + e.changeType + ' | ' + e.notes));
+    return;
+  }
   
   try {
     const doc = await docs.documents.get({ documentId: DOC_ID });
@@ -578,8 +418,8 @@ async function appendToDoc(docs, entries) {
     // Format date like "16 December 2025"
     const months = ['January', 'February', 'March', 'April', 'May', 'June', 
                     'July', 'August', 'September', 'October', 'November', 'December'];
-    const now = new Date();
-    const docDate = now.getDate() + ' ' + months[now.getMonth()] + ' ' + now.getFullYear();
+    const today = now();
+    const docDate = today.getDate() + ' ' + months[today.getMonth()] + ' ' + today.getFullYear();
     const todayHeader = docDate + ' — France Galop';
     
     // Search for today's section in the document
@@ -831,7 +671,7 @@ async function appendToDoc(docs, entries) {
 
 // Format date as DD/MM/YY
 const formatDate = (date) => {
-  const d = date || new Date();
+  const d = date || now();
   const day = String(d.getDate()).padStart(2, '0');
   const month = String(d.getMonth() + 1).padStart(2, '0');
   const year = String(d.getFullYear()).slice(-2);
@@ -845,28 +685,39 @@ const sheetHyperlink = (text, url) => {
 
 // ============ SCRAPING ============
 
+// Scrape every configured trainer in one browser session.
+// Returns Map(trainerId -> rows); a trainer whose page failed to load is left
+// out so its previous state is kept untouched.
 async function scrape() {
-  const browser = await chromium.launch({ headless: true });
-  const storageState = await loadSessionStorageState();
-  const ctx = await browser.newContext({
-    userAgent:
-      'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 Chrome/120 Safari/537.36',
-    storageState,
-  });
-  const page = await ctx.newPage();
-  page.setDefaultTimeout(60000);  // Increased to 60 seconds
+  const { ctx, page, close } = await openPage({ timeout: 60000 });
+
+  const byTrainer = new Map();
+  try {
+    for (const trainer of TRAINERS) {
+      console.log('\n👤 Trainer: ' + (trainer.label || trainer.id) + ' (' + trainer.url + ')');
+      try {
+        byTrainer.set(trainer.id, await scrapeTrainer(ctx, page, trainer));
+      } catch (err) {
+        if (err instanceof LoginError) throw err;
+        console.error('❌ Scrape failed for ' + trainer.id + ': ' + err.message);
+      }
+    }
+  } finally {
+    await close();
+  }
+  return byTrainer;
+}
 
-  // Retry page load up to 5 times with increasing delays
-  let loaded = false;
-  for (let attempt = 1; attempt <= 5; attempt++) {
+async function scrapeTrainer(ctx, page, trainer) {
+  // Retry page load with increasing delays (browser.pageTries.engagements)
+  for (let attempt = 1; attempt <= PAGE_TRIES; attempt++) {
     try {
-      console.log('Loading page (attempt ' + attempt + '/5)...');
-      await page.goto(TRAINER_URL, { waitUntil: 'domcontentloaded', timeout: 90000 });
-      loaded = true;
+      console.log('Loading page (attempt ' + attempt + '/' + PAGE_TRIES + ')...');
+      await page.goto(trainer.url, { waitUntil: 'domcontentloaded', timeout: 90000 });
       break;
     } catch (err) {
       console.log('Attempt ' + attempt + ' failed: ' + err.message);
-      if (attempt === 5) throw err;
+      if (attempt === PAGE_TRIES) throw err;
       const delay = attempt * 10000;  // 10s, 20s, 30s, 40s delays
       console.log('Waiting ' + (delay/1000) + 's before retry...');
       await new Promise(r => setTimeout(r, delay));
@@ -887,18 +738,16 @@ async function scrape() {
   console.log('Page URL: ' + page.url());
 
   // Auth: if the trainer URL redirected to CIAM, ensureLoggedIn drives the
-  // two-step flow and navigates back to TRAINER_URL. With a cached session
-  // it's a no-op. Any failure exits loudly — CI turns red and Discord alerts.
+  // two-step flow and navigates back to the trainer URL. With a cached session
+  // it's a no-op. Any failure ends the run loudly — CI turns red and Discord alerts.
   try {
     await ensureLoggedIn(page, ctx, {
       email: FG_EMAIL,
       password: FG_PASSWORD,
-      targetUrl: TRAINER_URL,
+      targetUrl: trainer.url,
     });
   } catch (err) {
-    console.error('❌ France Galop login failed: ' + err.message);
-    await browser.close();
-    process.exit(1);
+    throw new LoginError(err);
   }
 
   const tab = page.locator('text=Engagements');
@@ -938,7 +787,6 @@ async function scrape() {
   }
   if (!table) {
     console.log('No Engagements table found.');
-    await browser.close();
     return [];
   }
 
@@ -973,6 +821,8 @@ async function scrape() {
     await page.waitForTimeout(2000);
   }
 
+  await snapshotPage(page, 'engagements', trainer.url);
+
   const headerCells = await table.locator('thead tr th, tr:first-child th, tr:first-child td').allInnerTexts();
   const headers = headerCells.map(norm);
   const idx = {
@@ -1037,6 +887,7 @@ async function scrape() {
       disc: cell(tds, idx.disc),
       dist: cell(tds, idx.dist),
       owner: cell(tds, idx.owner),
+      trainer: trainer.id,
     };
     
     if (rec.horse && rec.date && (rec.race || rec.track)) {
@@ -1048,94 +899,125 @@ async function scrape() {
   
   console.log('Scraped ' + out.length + ' valid engagements (skipped ' + skippedCount + ' invalid/empty rows)');
 
-  await browser.close();
   return out;
 }
 
-function chunkLines(header, lines, maxLen = 1800) {
-  const chunks = [];
-  let buf = [];
-  let len = header.length + 1;
-  for (const ln of lines) {
-    if (len + ln.length + 1 > maxLen) {
-      chunks.push(header + '\n' + buf.join('\n'));
-      buf = [ln];
-      len = header.length + 1 + ln.length + 1;
-    } else {
-      buf.push(ln);
-      len += ln.length + 1;
-    }
+async function main() {
+  const rowsByTrainer = await scrape();
+
+  await writeFixtureOutput('engagements', Object.fromEntries(rowsByTrainer));
+  if (isReplay()) return;
+
+  if (rowsByTrainer.size === 0) {
+    throw new Error('No trainer page could be scraped');
   }
-  if (buf.length) chunks.push(header + '\n' + buf.join('\n'));
-  return chunks;
-}
 
-(async () => {
-  const seen = await loadSeen();
-  const postedPartants = await loadPostedPartants();
-  const lastRunDate = await loadLastRun();
-  const today = new Date().toISOString().slice(0, 10);
+  openStore();
+  const seenByTrainer = loadEngagements();
+  const postedPartants = loadPostedPartants();
+  const lastRunDate = getState('last_run', null);
+  const today = getParisDateParts().date;
   const isFirstRunToday = lastRunDate !== today;
   
   if (isFirstRunToday) {
     console.log('✨ First run of the day - will post all PARTANTS');
   }
-  
-  const rows = await scrape();
 
-  const runSeen = new Set();
-  const unique = [];
-  for (const r of rows) {
-    const k = keyify(r);
-    if (!runSeen.has(k)) { runSeen.add(k); unique.push(r); }
-  }
+  // Per-trainer diff against that trainer's own seen map
+  const changes = new Map();
+  const allCurrentDPPByTrainer = new Map();
+  const transitions = [];
+  const renamed = [];
+
+  for (const [trainerId, rows] of rowsByTrainer) {
+    if (!seenByTrainer.has(trainerId)) seenByTrainer.set(trainerId, new Map());
+    const seen = seenByTrainer.get(trainerId);
+
+    const runSeen = new Set();
+    const unique = [];
+    for (const r of rows) {
+      const k = engagementKey(r);
+      if (!runSeen.has(k)) { runSeen.add(k); unique.push(r); }
+    }
 
-  const newRows = [];
-  const changedRows = [];
+    const newRows = [];
+    const changedRows = [];
 
-  for (const r of unique) {
-    const k = keyify(r);
-    const prev = seen.get(k);
-    
-    if (FORCE_POST) {
-      newRows.push(r);
-      seen.set(k, { statut: r.statut, last: Date.now(), horseUrl: r.horseUrl, raceUrl: r.raceUrl });
-    } else if (!prev) {
-      newRows.push(r);
-      seen.set(k, { statut: r.statut, last: Date.now(), horseUrl: r.horseUrl, raceUrl: r.raceUrl });
-    } else if (prev.statut !== r.statut) {
-      changedRows.push({ ...r, oldStatut: prev.statut });
-      seen.set(k, { statut: r.statut, last: Date.now(), horseUrl: r.horseUrl, raceUrl: r.raceUrl });
+    for (const r of unique) {
+      const k = engagementKey(r);
+      // Entries not yet migrated to id keys are picked up under their text key
+      const legacyKey = legacyEngagementKey(r);
+      const prev = seen.get(k) || seen.get(legacyKey);
+      if (legacyKey !== k && !seen.has(k) && seen.has(legacyKey)) {
+        renamed.push({ trainer: trainerId, from: legacyKey, to: k });
+      }
+      if (legacyKey !== k) seen.delete(legacyKey);
+
+      // Status history: the first sighting and every change after it
+      if (!prev || prev.statut !== r.statut) {
+        transitions.push({ trainer: trainerId, key: k, oldStatut: prev ? prev.statut : null, newStatut: r.statut });
+      }
+
+      const entry = {
+        statut: r.statut,
+        last: now().getTime(),
+        horse: r.horse,
+        horseUrl: r.horseUrl,
+        date: r.date,
+        track: r.track,
+        race: r.race,
+        raceUrl: r.raceUrl,
+        cat: r.cat,
+        purse: r.purse,
+        disc: r.disc,
+        dist: r.dist,
+        owner: r.owner,
+      };
+      
+      if (FORCE_POST) {
+        newRows.push(r);
+        seen.set(k, entry);
+      } else if (!prev) {
+        newRows.push(r);
+        seen.set(k, entry);
+      } else if (prev.statut !== r.statut) {
+        changedRows.push({ ...r, oldStatut: prev.statut });
+        seen.set(k, entry);
+      } else {
+        seen.set(k, entry);
+      }
+    }
+
+    // On first run of the day, include ALL current DP-P horses for Discord
+    // On subsequent runs, only include NEW or CHANGED to DP-P
+    let declaredParticipants = [];
+    if (isFirstRunToday) {
+      declaredParticipants = unique.filter(r => isDeclared(r.statut));
     } else {
-      seen.set(k, { statut: prev.statut, last: Date.now(), horseUrl: r.horseUrl, raceUrl: r.raceUrl });
+      const newDPP = newRows.filter(r => isDeclared(r.statut));
+      const changedToDPP = changedRows.filter(r => isDeclared(r.statut));
+      declaredParticipants = [...newDPP, ...changedToDPP];
     }
-  }
 
-  // On first run of the day, include ALL current DP-P horses for Discord
-  // On subsequent runs, only include NEW or CHANGED to DP-P
-  let declaredParticipants = [];
-  if (isFirstRunToday) {
-    declaredParticipants = unique.filter(r => /^DP-P/i.test(r.statut));
-  } else {
-    const newDPP = newRows.filter(r => /^DP-P/i.test(r.statut));
-    const changedToDPP = changedRows.filter(r => /^DP-P/i.test(r.statut));
-    declaredParticipants = [...newDPP, ...changedToDPP];
+    const allCurrentDPP = unique.filter(r => isDeclared(r.statut));
+    allCurrentDPPByTrainer.set(trainerId, allCurrentDPP);
+    changes.set(trainerId, { newRows, changedRows, declaredParticipants, allCurrentDPP });
   }
-  
-  const allCurrentDPP = unique.filter(r => /^DP-P/i.test(r.statut));
-  await saveDPPRaces(allCurrentDPP);
-  
+
   // ============ GOOGLE SHEETS/DOCS INTEGRATION ============
   
-  const auth = await getGoogleAuth();
+  // The rows are put together here and written once the store has committed
+  const auth = await getGoogleAuth(GOOGLE_SERVICE_ACCOUNT);
   let sheets = null;
   let docs = null;
+  const sheetRows = [];
+  const docEntries = [];
   
   if (auth && SPREADSHEET_ID) {
     sheets = google.sheets({ version: 'v4', auth });
     docs = DOC_ID ? google.docs({ version: 'v1', auth }) : null;
     
-    const currentDate = formatDate(new Date());
+    const currentDate = formatDate(now());
     
     // Collect all entries for deduplication
     // Key: horse + raceDate + track, Value: { entry data, isPartant }
@@ -1159,8 +1041,8 @@ function chunkLines(header, lines, maxLen = 1800) {
       }
       
       const cleanedName = cleanHorseNameForSheet(r.horse);
-      const owner = await lookupOwner(sheets, r.horse);
-      const cleanedStatus = cleanStatus(r.statut);
+      const owner = await lookupOwner(sheets, SPREADSHEET_ID, r.horse);
+      const cleanedStatus = formatStatus(r.statut);
       const notes = cleanDoubleParens(r.date + ' — ' + r.track + ' — ' + r.race + ' (' + (cleanCategory(r.cat) || '-') + ') — ' + (r.dist || '-') + ' — Statut: ' + cleanedStatus);
       
       entriesMap.set(key, {
@@ -1173,31 +1055,30 @@ function chunkLines(header, lines, maxLen = 1800) {
       });
     };
     
-    // Process new engagements
-    for (const r of newRows) {
-      const isPartant = /^DP-P/i.test(r.statut);
-      await addOrUpdateEntry(r, isPartant);
-    }
-    
-    // Process status changes (use final status only, no arrows)
-    for (const r of changedRows) {
-      const isPartant = /^DP-P/i.test(r.statut);
-      await addOrUpdateEntry(r, isPartant);
-    }
-    
-    // Process Partants (DP-P) - these always take priority
-    for (const r of allCurrentDPP) {
-      const partantKey = keyify(r);
-      if (!postedPartants.has(partantKey)) {
-        await addOrUpdateEntry(r, true);
-        postedPartants.add(partantKey);
+    for (const { newRows, changedRows, allCurrentDPP } of changes.values()) {
+      // Process new engagements
+      for (const r of newRows) {
+        const isPartant = isDeclared(r.statut);
+        await addOrUpdateEntry(r, isPartant);
+      }
+      
+      // Process status changes (use final status only, no arrows)
+      for (const r of changedRows) {
+        const isPartant = isDeclared(r.statut);
+        await addOrUpdateEntry(r, isPartant);
+      }
+      
+      // Process Partants (DP-P) - these always take priority
+      for (const r of allCurrentDPP) {
+        const partantKey = engagementKey(r);
+        if (!postedPartants.has(partantKey) && !postedPartants.has(legacyEngagementKey(r))) {
+          await addOrUpdateEntry(r, true);
+          postedPartants.add(partantKey);
+        }
       }
     }
     
     // Convert map to arrays for Sheet and Doc
-    const sheetRows = [];
-    const docEntries = [];
-    
     for (const [key, entry] of entriesMap) {
       sheetRows.push([
         currentDate,
@@ -1215,140 +1096,171 @@ function chunkLines(header, lines, maxLen = 1800) {
         raceUrl: entry.raceUrl
       });
     }
-    
-    // Write to Google Sheet
-    if (sheetRows.length > 0) {
-      await writeToSheet(sheets, sheetRows);
-    }
-    
-    // Write to Google Doc
-    if (docs && docEntries.length > 0) {
-      await appendToDoc(docs, docEntries);
-    }
-    
-    await savePostedPartants(postedPartants);
   }
   
-  // ============ ACCUMULATE PENDING DISCORD CHANGES ============
+  // Everything this run found is handed over in one transaction: the DP-P
+  // list, the partants going to Sheets/Docs, pending changes, subscriber
+  // posts, queued digests and the engagements seen. A crash before it
+  // commits leaves the store as it was, so the next run finds the same
+  // changes again and queues them once.
+  inTransaction(() => {
+    updateDPPRaces(allCurrentDPPByTrainer);
+    if (sheets) savePostedPartants(postedPartants);
+
+    // ============ ACCUMULATE PENDING DISCORD CHANGES ============
+
+    const pendingByTrainer = loadPending();
+    let pendingChanged = false;
+
+    for (const [trainerId, { newRows, changedRows, declaredParticipants }] of changes) {
+      if (!pendingByTrainer[trainerId]) pendingByTrainer[trainerId] = emptyPending();
+      const pending = pendingByTrainer[trainerId];
+
+      // Add declared participants (partants)
+      for (const r of declaredParticipants) {
+        const k = engagementKey(r);
+        pending.partants[k] = pendingEntry(r);
+        pendingChanged = true;
+      }
 
-  const pending = await loadPending();
-  let pendingChanged = false;
+      // Add new engagements
+      for (const r of newRows) {
+        const k = engagementKey(r);
+        // Don't add as new if already tracked as a status update
+        if (!pending.statusUpdates[k]) {
+          pending.newEngagements[k] = pendingEntry(r);
+          pendingChanged = true;
+        }
+      }
 
-  // Add declared participants (partants)
-  for (const r of declaredParticipants) {
-    const k = keyify(r);
-    pending.partants[k] = { horse: r.horse, horseUrl: r.horseUrl, date: r.date, track: r.track, race: r.race, raceUrl: r.raceUrl, cat: r.cat, dist: r.dist, statut: r.statut };
-    pendingChanged = true;
-  }
+      // Add status updates
+      for (const r of changedRows) {
+        const k = engagementKey(r);
+        if (pending.newEngagements[k]) {
+          // Was new this accumulation period — just update status in place
+          pending.newEngagements[k].statut = r.statut;
+        } else if (pending.statusUpdates[k]) {
+          // Already had a status update — keep original oldStatut, update to latest statut
+          pending.statusUpdates[k].statut = r.statut;
+        } else {
+          pending.statusUpdates[k] = { ...pendingEntry(r), oldStatut: r.oldStatut };
+        }
+        pendingChanged = true;
+      }
+    }
 
-  // Add new engagements
-  for (const r of newRows) {
-    const k = keyify(r);
-    // Don't add as new if already tracked as a status update
-    if (!pending.statusUpdates[k]) {
-      pending.newEngagements[k] = { horse: r.horse, horseUrl: r.horseUrl, date: r.date, track: r.track, race: r.race, raceUrl: r.raceUrl, cat: r.cat, dist: r.dist, statut: r.statut };
+    if (SINCE && replayPending(pendingByTrainer, SINCE)) {
       pendingChanged = true;
     }
-  }
 
-  // Add status updates
-  for (const r of changedRows) {
-    const k = keyify(r);
-    if (pending.newEngagements[k]) {
-      // Was new this accumulation period — just update status in place
-      pending.newEngagements[k].statut = r.statut;
-    } else if (pending.statusUpdates[k]) {
-      // Already had a status update — keep original oldStatut, update to latest statut
-      pending.statusUpdates[k].statut = r.statut;
-    } else {
-      pending.statusUpdates[k] = { horse: r.horse, horseUrl: r.horseUrl, date: r.date, track: r.track, race: r.race, raceUrl: r.raceUrl, cat: r.cat, dist: r.dist, statut: r.statut, oldStatut: r.oldStatut };
+    if (pendingChanged) {
+      savePending(pendingByTrainer);
     }
-    pendingChanged = true;
-  }
 
-  if (pendingChanged) {
-    await savePending(pending);
-  }
-
-  const pendingPartantCount = Object.keys(pending.partants).length;
-  const pendingNewCount = Object.keys(pending.newEngagements).length;
-  const pendingUpdateCount = Object.keys(pending.statusUpdates).length;
-  console.log('📋 Pending Discord: ' + pendingPartantCount + ' partants, ' + pendingNewCount + ' new, ' + pendingUpdateCount + ' updates');
+    // ============ SUBSCRIPTION RULES ============
 
-  // ============ CHECK IF POSTING TIME ============
+    const subscribers = loadSubscribers();
+    for (const [trainerId, { newRows, changedRows, declaredParticipants }] of changes) {
+      const tagged = (rows) => rows.map(r => ({ ...r, trainer: trainerId }));
+      notifySubscribers(subscribers, 'newEngagement', tagged(newRows), { formatLine: digestLine });
+      notifySubscribers(subscribers, 'stageChange', tagged(changedRows), { formatLine: digestLine });
+      notifySubscribers(subscribers, 'declared', tagged(declaredParticipants), { formatLine: digestLine });
+    }
 
-  const parisNow = getParisDateParts();
-  const decision = shouldPostNow(pending, parisNow);
-  const nowLabel = formatHHMM(parisNow.minutesSinceMidnight) + ' Paris';
-  const targetsLabel = POST_TARGETS_PARIS.map(t => formatHHMM(t.hour * 60 + t.minute) + ' Paris').join(', ');
+    // ============ POST EACH TRAINER'S DIGEST TO ITS WEBHOOK ============
 
-  if (!decision.post) {
-    console.log('⏰ Skipping Discord post (' + nowLabel + '): ' + decision.reason + '. Targets: ' + targetsLabel);
-    await saveSeen(seen);
-    await saveLastRun(today);
-    process.exit(0);
-  }
+    const runAt = now();
 
-  console.log('📨 Posting now (' + nowLabel + '): ' + decision.reason + (decision.target !== null ? ' [target ' + formatHHMM(decision.target) + ' Paris]' : '') + ' — compiling Discord summary...');
+    // Set up every trainer's targets, even those not posting now, so digests
+    // left in the outbox by an earlier run are delivered too
+    const notifiers = new Map(TRAINERS.map(t => [t.id, createNotifier(t.webhook)]));
+    const routes = loadRoutes();
 
-  // ============ POST ACCUMULATED CHANGES TO DISCORD ============
+    for (const trainer of TRAINERS) {
+      const pending = pendingByTrainer[trainer.id] || emptyPending();
+      const tag = TRAINERS.length > 1 ? ' — ' + trainer.label : '';
 
-  const pendingPartants = Object.values(pending.partants);
-  const pendingNew = Object.values(pending.newEngagements);
-  const pendingUpdates = Object.values(pending.statusUpdates);
+      const pendingPartantCount = Object.keys(pending.partants).length;
+      const pendingNewCount = Object.keys(pending.newEngagements).length;
+      const pendingUpdateCount = Object.keys(pending.statusUpdates).length;
+      console.log('\n📋 Pending Discord [' + trainer.id + ']: ' + pendingPartantCount + ' partants, ' + pendingNewCount + ' new, ' + pendingUpdateCount + ' updates');
 
-  if (pendingPartants.length === 0 && pendingNew.length === 0 && pendingUpdates.length === 0) {
-    console.log('📭 Posting hour but nothing pending — no Discord post needed.');
-    await saveSeen(seen);
-    await saveLastRun(today);
-    process.exit(0);
-  }
+      // ============ CHECK IF POSTING TIME ============
 
-  const linesDPP = pendingPartants.map(
-    r => '• ' + formatLink(cleanHorseNameForDiscord(r.horse), r.horseUrl) + ' — ' + r.date + ' — ' + r.track + ' — ' + formatLink(cleanDoubleParens(r.race), r.raceUrl) + ' (' + (cleanCategory(r.cat) || '-') + ') — ' + (r.dist || '-') + ' — Statut: ' + cleanStatus(r.statut)
-  );
+      const schedule = scheduleFor(digestSchedule, trainer.id);
+      const decision = shouldPostNow(pending, runAt, { schedule, force: FORCE_POST || MANUAL_RUN || !!SINCE });
+      const nowLabel = formatHHMM(getZonedDateParts(runAt, schedule.timezone).minutesSinceMidnight) + ' ' + schedule.timezone;
 
-  const linesNew = pendingNew.map(
-    r => '• ' + formatLink(cleanHorseNameForDiscord(r.horse), r.horseUrl) + ' — ' + r.date + ' — ' + r.track + ' — ' + formatLink(cleanDoubleParens(r.race), r.raceUrl) + ' (' + (cleanCategory(r.cat) || '-') + ') — ' + (r.dist || '-') + ' — Statut: ' + cleanStatus(r.statut)
-  );
+      if (!decision.post) {
+        console.log('⏰ Skipping Discord post (' + nowLabel + '): ' + decision.reason + '. Targets: ' + describeSchedule(schedule));
+        continue;
+      }
 
-  const linesUpd = pendingUpdates.map(
-    r => '• ' + formatLink(cleanHorseNameForDiscord(r.horse), r.horseUrl) + ' — ' + r.date + ' — ' + r.track + ' — ' + formatLink(cleanDoubleParens(r.race), r.raceUrl) + ' (' + (cleanCategory(r.cat) || '-') + ') — ' + (r.dist || '-') + ' — Statut: ' + cleanStatus(r.oldStatut) + ' → ' + cleanStatus(r.statut)
-  );
+      console.log('📨 Posting now (' + nowLabel + '): ' + decision.reason + (decision.target !== null ? ' [target ' + formatHHMM(decision.target) + ']' : '') + ' — compiling Discord summary...');
 
-  const payloads = [];
+      // ============ POST ACCUMULATED CHANGES TO DISCORD ============
 
-  if (linesDPP.length) {
-    payloads.push(...chunkLines('🏇 **PARTANTS — ' + today + '**', linesDPP));
-  }
+      const pendingPartants = Object.values(pending.partants);
+      const pendingNew = Object.values(pending.newEngagements);
+      const pendingUpdates = Object.values(pending.statusUpdates);
 
-  if (linesNew.length) {
-    payloads.push(...chunkLines('🆕 **Nouvelles engagements — ' + today + '**', linesNew));
-  }
+      if (pendingPartants.length === 0 && pendingNew.length === 0 && pendingUpdates.length === 0) {
+        console.log('📭 Posting hour but nothing pending — no Discord post needed.');
+        continue;
+      }
 
-  if (linesUpd.length) {
-    payloads.push(...chunkLines('🔄 **Statut mis à jour — ' + today + '**', linesUpd));
-  }
+      const linesDPP = pendingPartants.map(digestLine);
+      const linesNew = pendingNew.map(digestLine);
+      const linesUpd = pendingUpdates.map(digestLine);
+
+      const sections = [
+        { title: '🏇 **PARTANTS' + tag + ' — ' + today + '**', lines: linesDPP, items: pendingPartants },
+        { title: '🆕 **Nouvelles engagements' + tag + ' — ' + today + '**', lines: linesNew, items: pendingNew },
+        { title: '🔄 **Statut mis à jour' + tag + ' — ' + today + '**', lines: linesUpd, items: pendingUpdates },
+      ].filter(section => section.lines.length);
+
+      // The outbox takes over the changes: the digest is queued and pending
+      // cleared in the same transaction, so a crash can neither lose nor
+      // repeat it
+      const postedAt = now().toISOString();
+      sections.forEach((section, i) => {
+        const message = { kind: 'engagements', ...section, suppressEmbeds: true };
+        const key = 'digest:' + trainer.id + ':' + postedAt + ':' + i;
+        notifiers.get(trainer.id).queue(message, { key });
+        queueRouted(routes, message, { key }, digestLine);
+      });
+      pendingByTrainer[trainer.id] = { ...emptyPending(), lastPosted: postedAt };
+      savePending(pendingByTrainer);
+      console.log('✅ Queued ' + pendingPartants.length + ' declared participants + ' + pendingNew.length + ' new + ' + pendingUpdates.length + ' updated engagements for ' + trainer.id);
+    }
 
-  for (const content of payloads) {
-    const res = await fetch(WEBHOOK, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        content,
-        allowed_mentions: { parse: [] },
-        flags: 4  // Suppress embeds
-      }),
+    const subscriberDigests = flushSubscriberDigests(subscribers, {
+      digestSchedule, force: FORCE_POST || MANUAL_RUN,
     });
-    if (!res.ok) {
-      console.error('Discord webhook failed', await res.text());
-      process.exit(2);
-    }
+    if (subscriberDigests) console.log('✅ Queued ' + subscriberDigests + ' subscriber digest messages');
+
+    saveEngagements(seenByTrainer, { transitions, renamed });
+    setState('last_run', today);
+  });
+
+  // Written only now: after a crash before the commit, the next run writes
+  // these rows instead of writing them a second time
+  if (sheetRows.length > 0) {
+    await writeToSheet(sheets, sheetRows);
+  }
+  if (docs && docEntries.length > 0) {
+    await appendToDoc(docs, docEntries);
   }
 
-  // Clear pending after successful post, record when we last posted
-  await savePending({ partants: {}, newEngagements: {}, statusUpdates: {}, lastPosted: new Date().toISOString() });
-  await saveSeen(seen);
-  await saveLastRun(today);
-  console.log('✅ Posted ' + pendingPartants.length + ' declared participants + ' + pendingNew.length + ' new + ' + pendingUpdates.length + ' updated engagements');
-})();
+  // Anything not delivered stays in the outbox for the next run
+  await deliverOutbox();
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error('❌ ' + err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { main };
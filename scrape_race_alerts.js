@@ -2,9 +2,28 @@
 // France Galop login: FRANCE_GALOP_EMAIL, FRANCE_GALOP_PASSWORD
 
 const { chromium } = require('playwright');
-const fs = require('fs/promises');
-const path = require('path');
-const { ensureLoggedIn, loadSessionStorageState } = require('./lib/fg_login');
+const { ensureLoggedIn, LoginError } = require('./lib/fg_login');
+const { openPage } = require('./lib/browser');
+const { isReplay, attachFixtures, snapshotPage, listSnapshots, writeFixtureOutput } = require('./lib/fixtures');
+const { now, getParisDateParts } = require('./lib/clock');
+const { filterPastRaces, alertWindowMinutes, parseRaceDate } = require('./lib/schedule');
+const { postTimeMs } = require('./lib/polling');
+const { engagementKey } = require('./lib/ids');
+const {
+  openStore, inTransaction, loadDPPRaces, flattenDPPRaces, getPostTimes, savePostTime,
+  getRaceCards, getRaceCardTimes, saveRaceCard, loadStoredRaces, recordRaceChanges,
+  loadSentAlerts, markAlertSent, unmarkAlertSent, expireOutbox,
+} = require('./lib/store');
+const { readRaceCard, findRunner, formatField } = require('./lib/race_card');
+const { readPostTime } = require('./lib/post_time');
+const { formatLink } = require('./lib/discord');
+const { createNotifier, deliverOutbox } = require('./lib/notifier');
+const { loadRoutes, queueRouted } = require('./lib/routing');
+const { loadSubscribers, notifySubscribers } = require('./lib/rules');
+const { isDryRun } = require('./lib/dry_run');
+const { loadSettings } = require('./lib/config');
+
+const settings = loadSettings();
 
 const WEBHOOK = process.env.DISCORD_WEBHOOK_RACE_ALERTS;
 
@@ -12,177 +31,70 @@ const WEBHOOK = process.env.DISCORD_WEBHOOK_RACE_ALERTS;
 const FG_EMAIL = process.env.FRANCE_GALOP_EMAIL;
 const FG_PASSWORD = process.env.FRANCE_GALOP_PASSWORD;
 
-if (!WEBHOOK) {
+if (!WEBHOOK && !isReplay() && !isDryRun()) {
   console.error('Missing DISCORD_WEBHOOK_RACE_ALERTS');
   process.exit(1);
 }
 
+const notifier = createNotifier(WEBHOOK);
+const routes = loadRoutes();
+const subscribers = loadSubscribers();
+
 if (!FG_EMAIL || !FG_PASSWORD) {
   console.warn('⚠️ Missing FRANCE_GALOP_EMAIL or FRANCE_GALOP_PASSWORD - login may fail');
 }
 
-const STORE_DIR = 'data';
-const ALERTS_FILE = path.join(STORE_DIR, 'sent_alerts.json');
-const RACES_FILE = path.join(STORE_DIR, 'stored_races.json');
-const DPP_FILE = path.join(STORE_DIR, 'dpp_races.json');
-
-// Alert window: send alerts between these times before race
+// Alert window: send alerts between these times before race (alerts.* settings)
 // cron-job.org triggers every 5 min with ~1s jitter, workflow takes ~2-3 min to start
-const ALERT_WINDOW_START = 20; // Start alerting 20 min before race
-const ALERT_WINDOW_END = 5;    // Stop alerting 5 min before race
-
-const norm = (s) =>
-  (s ?? '')
-    .replace(/\s+/g, ' ')
-    .replace(/[']/g, "'")
-    .trim();
-
-async function loadSentAlerts() {
-  try {
-    const txt = await fs.readFile(ALERTS_FILE, 'utf8');
-    return new Set(JSON.parse(txt));
-  } catch {
-    await fs.mkdir(STORE_DIR, { recursive: true });
-    return new Set();
-  }
-}
-
-async function saveSentAlerts(set) {
-  const arr = Array.from(set).slice(-200); // keep last 200
-  await fs.writeFile(ALERTS_FILE, JSON.stringify(arr, null, 2), 'utf8');
-}
+const ALERT_WINDOW_START = settings.alerts.windowStartMinutes; // Start alerting (default 20 min before race)
+const ALERT_WINDOW_END = settings.alerts.windowEndMinutes;     // Stop alerting (default 5 min before race)
 
-async function loadStoredRaces() {
-  try {
-    const txt = await fs.readFile(RACES_FILE, 'utf8');
-    return JSON.parse(txt);
-  } catch {
-    return { lastUpdate: null, races: [] };
-  }
-}
-
-async function saveStoredRaces(data) {
-  await fs.mkdir(STORE_DIR, { recursive: true });
-  await fs.writeFile(RACES_FILE, JSON.stringify(data, null, 2), 'utf8');
-}
-
-// Get current time in Paris timezone
-function getParisTime() {
-  const now = new Date();
-  const parisTime = new Intl.DateTimeFormat('en-GB', {
-    timeZone: 'Europe/Paris',
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-    hour12: false,
-  }).formatToParts(now);
-
-  const parts = {};
-  parisTime.forEach(p => { parts[p.type] = p.value; });
-  
-  return {
-    date: `${parts.year}-${parts.month}-${parts.day}`,
-    hour: parseInt(parts.hour),
-    minute: parseInt(parts.minute),
-    formatted: `${parts.hour}:${parts.minute.padStart(2, '0')}`,
-    timestamp: now.toISOString(),
-  };
-}
+// Race day: re-read each DP-P race page this often until the off
+const REFRESH_EVERY_MINUTES = settings.alerts.refreshEveryMinutes;
 
-async function shouldUpdateRaceData() {
+function shouldUpdateRaceData() {
   // Check if we have DPP races that need post times fetched
-  let dppRaces = [];
-  try {
-    const dppTxt = await fs.readFile(DPP_FILE, 'utf8');
-    const dppData = JSON.parse(dppTxt);
-    dppRaces = dppData.races || [];
-  } catch {
-    console.log('📋 dpp_races.json not found - nothing to update');
+  const dppData = loadDPPRaces();
+  if (!dppData) {
+    console.log('📋 No DP-P races stored yet - nothing to update');
     return false;
   }
 
+  const dppRaces = flattenDPPRaces(dppData);
   if (dppRaces.length === 0) {
-    console.log('📋 No races in dpp_races.json');
+    console.log('📋 No DP-P races stored');
     return false;
   }
 
-  console.log(`📋 Found ${dppRaces.length} DP-P races in dpp_races.json`);
-
-  // Check if stored_races.json has these races with post times
-  let storedRaces = [];
-  try {
-    const storedTxt = await fs.readFile(RACES_FILE, 'utf8');
-    const storedData = JSON.parse(storedTxt);
-    storedRaces = storedData.races || [];
-  } catch {
-    console.log('📋 stored_races.json not found or empty - will update');
-    return true;
-  }
+  console.log(`📋 Found ${dppRaces.length} DP-P races`);
 
-  // Check if ALL DPP races are in stored_races with post times (not just today's)
-  const storedUrls = new Set(storedRaces.filter(r => r.postTime).map(r => r.raceUrl));
-  const missingRaces = dppRaces.filter(r => r.raceUrl && !storedUrls.has(r.raceUrl));
+  // Check if ALL DPP races have post times and race cards (not just today's)
+  const postTimes = getPostTimes();
+  const cards = getRaceCards();
+  const missingRaces = dppRaces.filter(r => r.raceUrl && !(postTimes.has(r.raceUrl) && cards.has(r.raceUrl)));
 
   if (missingRaces.length > 0) {
-    console.log(`📋 ${missingRaces.length} races missing post times - will update`);
+    console.log(`📋 ${missingRaces.length} races missing post times or race cards - will update`);
     return true;
   }
 
-  console.log('📋 All races already have post times - using stored data');
+  console.log('📋 All races already have post times and race cards - using stored data');
   return false;
 }
 
-function parseRaceDate(dateStr) {
-  // Parse "30/10/2025" format
-  const match = dateStr.match(/(\d{2})\/(\d{2})\/(\d{4})/);
-  if (!match) return null;
-  
-  const [, day, month, year] = match;
-  return new Date(parseInt(year), parseInt(month) - 1, parseInt(day));
-}
-
-function filterPastRaces(races, parisTime) {
-  const today = new Date(parisTime.date);
-  const currentMinutes = parisTime.hour * 60 + parisTime.minute;
-
-  return races.filter(race => {
-    const raceDate = parseRaceDate(race.date);
-    if (!raceDate) return false;
-
-    // Skip races without post time data
-    if (!race.postTime) return false;
-
-    // If race is on a future date, keep it
-    if (raceDate > today) return true;
-
-    // If race is today, check if post time has passed
-    if (raceDate.toDateString() === today.toDateString()) {
-      const raceMinutes = race.postTime.hour * 60 + race.postTime.minute;
-      return raceMinutes > currentMinutes;
-    }
-
-    // Race is in the past
-    return false;
-  });
-}
-
-async function loadDPPRaces() {
+function readDPPRaces() {
   console.log('📖 Reading DPP races from engagements scraper data...');
-  
-  try {
-    const txt = await fs.readFile(DPP_FILE, 'utf8');
-    const data = JSON.parse(txt);
-    
-    console.log(`✅ Found ${data.races.length} DP-P horses (last updated: ${data.lastUpdate})`);
-    return data.races;
-    
-  } catch (err) {
-    console.error('❌ Error reading DPP races data:', err.message);
+
+  const data = loadDPPRaces();
+  if (!data) {
+    console.error('❌ No DP-P races stored');
     console.log('ℹ️  This is expected if engagements scraper hasn\'t run yet today');
     return null;
   }
+
+  const races = flattenDPPRaces(data);
+  console.log(`✅ Found ${races.length} DP-P horses (last updated: ${data.lastUpdate})`);
+  return races;
 }
 
 // Defensive re-login used inside the per-race fetch loop.
@@ -203,7 +115,10 @@ async function handleLogin(page, context) {
   }
 }
 
-async function getPostTime(page, context, raceUrl, retries = 2) {
+// Post time (lib/post_time.js) and field of runners of a course detail page,
+// or null if the page couldn't be read. postTime is null when the page shows
+// no plausible one.
+async function getRaceDetails(page, context, raceUrl, retries = settings.browser.pageTries.raceAlerts) {
   for (let attempt = 1; attempt <= retries; attempt++) {
     try {
       await page.goto(raceUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
@@ -222,18 +137,9 @@ async function getPostTime(page, context, raceUrl, retries = 2) {
         await page.waitForTimeout(1500);
       }
 
-      const bodyText = await page.locator('body').innerText();
-
-      // Match patterns like "15h58", "15:58", "Départ : 15h58"
-      const timeMatch = bodyText.match(/(?:Départ|Depart|Post|Heure)?\s*:?\s*(\d{1,2})[h:](\d{2})/i);
-
-      if (timeMatch) {
-        const hour = parseInt(timeMatch[1]);
-        const minute = parseInt(timeMatch[2]);
-        return { hour, minute, formatted: `${hour}h${minute.toString().padStart(2, '0')}` };
-      }
+      await snapshotPage(page, 'race_alerts', raceUrl);
 
-      return null;
+      return { postTime: await readPostTime(page), runners: await readRaceCard(page) };
     } catch (err) {
       console.error(`  ⚠️ Attempt ${attempt}/${retries} failed for ${raceUrl}: ${err.message}`);
 
@@ -247,11 +153,36 @@ async function getPostTime(page, context, raceUrl, retries = 2) {
   return null;
 }
 
+// A page logged in before any race page is fetched. If the login fails we
+// don't want to spam one Discord alert per race URL — bail loudly once instead.
+async function openLoggedInPage() {
+  const { ctx, page, close } = await openPage({ timeout: 30000 });
+  try {
+    await page.goto('https://www.france-galop.com/fr/login', { waitUntil: 'domcontentloaded', timeout: 60000 });
+    await ensureLoggedIn(page, ctx, {
+      email: FG_EMAIL,
+      password: FG_PASSWORD,
+      targetUrl: 'https://www.france-galop.com/fr',
+    });
+  } catch (err) {
+    await close();
+    throw new LoginError(err);
+  }
+  return { ctx, page, close };
+}
+
+// " [low: body, heure seule]" for the log; times stored before sources were
+// recorded have none
+const describeSource = (postTime) =>
+  postTime.confidence ? ` [${postTime.confidence}: ${postTime.source}]` : '';
+
+const isUncertain = (postTime) => postTime.confidence === 'low';
+
 async function updateRaceData() {
-  const parisTime = getParisTime();
+  const parisTime = getParisDateParts();
 
   // Get DP-P races from engagements scraper's data
-  const dppRaces = await loadDPPRaces();
+  const dppRaces = readDPPRaces();
 
   if (!dppRaces) {
     console.log('⚠️  Could not load DPP races data, keeping previous data');
@@ -260,20 +191,14 @@ async function updateRaceData() {
 
   if (dppRaces.length === 0) {
     console.log('ℹ️  No DP-P horses found');
-    await saveStoredRaces({ lastUpdate: parisTime.timestamp, races: [] });
     return true;
   }
 
-  // Load existing stored races to preserve already-fetched post times
-  const existingStored = await loadStoredRaces();
-  const existingByUrl = new Map();
-  for (const race of (existingStored.races || [])) {
-    if (race.raceUrl && race.postTime) {
-      existingByUrl.set(race.raceUrl, race);
-    }
-  }
+  // Post times and race cards already fetched are kept per race URL
+  const postTimes = getPostTimes();
+  const cards = getRaceCards();
 
-  // Split into races that already have post times vs need fetching
+  // Split into races that already have both vs need fetching
   const alreadyHaveTimes = [];
   const needFetching = [];
 
@@ -282,11 +207,11 @@ async function updateRaceData() {
       console.log(`  ⚠️  ${race.horse}: No race URL available`);
       continue;
     }
-    const existing = existingByUrl.get(race.raceUrl);
-    if (existing && existing.postTime) {
-      // Keep existing post time, but merge latest horse/race data
-      alreadyHaveTimes.push({ ...race, postTime: existing.postTime });
-      console.log(`  ✓ ${race.horse}: ${existing.postTime.formatted} (cached)`);
+    const postTime = postTimes.get(race.raceUrl);
+    const runners = cards.get(race.raceUrl);
+    if (postTime && runners) {
+      alreadyHaveTimes.push({ ...race, postTime, runners });
+      console.log(`  ✓ ${race.horse}: ${postTime.formatted}, ${runners.length} runners (cached)`);
     } else {
       needFetching.push(race);
     }
@@ -297,44 +222,28 @@ async function updateRaceData() {
   // Only launch browser if there are races to fetch
   const newlyFetched = [];
   if (needFetching.length > 0) {
-    const browser = await chromium.launch({ headless: true });
-    const storageState = await loadSessionStorageState();
-    const ctx = await browser.newContext({
-      userAgent: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 Chrome/120 Safari/537.36',
-      storageState,
-    });
-    const page = await ctx.newPage();
-    page.setDefaultTimeout(30000);
-
-    // Proactive login before the fetch loop. If this fails we don't want to
-    // spam one Discord alert per race URL — bail loudly once instead.
-    try {
-      await page.goto('https://www.france-galop.com/fr/login', { waitUntil: 'domcontentloaded', timeout: 60000 });
-      await ensureLoggedIn(page, ctx, {
-        email: FG_EMAIL,
-        password: FG_PASSWORD,
-        targetUrl: 'https://www.france-galop.com/fr',
-      });
-    } catch (err) {
-      console.error('❌ France Galop login failed: ' + err.message);
-      await browser.close();
-      process.exit(1);
-    }
+    const { ctx, page, close } = await openLoggedInPage();
 
     try {
       for (const race of needFetching) {
-        console.log(`  Fetching post time for ${race.horse}...`);
-        const postTime = await getPostTime(page, ctx, race.raceUrl);
+        console.log(`  Fetching post time and race card for ${race.horse}...`);
+        const details = await getRaceDetails(page, ctx, race.raceUrl);
+        if (!details) continue;
+
+        // An empty card is kept too, so the page isn't fetched again every run
+        saveRaceCard(race.raceUrl, details.runners);
+        const postTime = details.postTime || postTimes.get(race.raceUrl);
 
         if (postTime) {
-          newlyFetched.push({ ...race, postTime });
-          console.log(`  ✓ ${race.horse}: ${postTime.formatted}`);
+          if (details.postTime) savePostTime(race.raceUrl, postTime);
+          newlyFetched.push({ ...race, postTime, runners: details.runners });
+          console.log(`  ✓ ${race.horse}: ${postTime.formatted}${describeSource(postTime)}, ${details.runners.length} runners`);
         } else {
           console.log(`  ✗ ${race.horse}: Could not get post time`);
         }
       }
     } finally {
-      await browser.close();
+      await close();
     }
   }
 
@@ -344,22 +253,143 @@ async function updateRaceData() {
   // Filter out past races
   const futureRaces = filterPastRaces(allRaces, parisTime);
 
-  // Save to file
-  await saveStoredRaces({
-    lastUpdate: parisTime.timestamp,
-    races: futureRaces,
+  console.log(`✅ Updated race data: ${futureRaces.length} future races (${newlyFetched.length} newly fetched)`);
+  return true;
+}
+
+// What changed for our horse since the race page was last read
+function raceChanges(race, details) {
+  const base = { raceUrl: race.raceUrl, horse: race.horse, horseUrl: race.horseUrl };
+  const changes = [];
+
+  // A time guessed from the page text doesn't overrule one read where expected
+  const trusted = details.postTime && (!isUncertain(details.postTime) || isUncertain(race.postTime));
+  if (trusted && details.postTime.formatted !== race.postTime.formatted) {
+    changes.push({ ...base, field: 'postTime', oldValue: race.postTime.formatted, newValue: details.postTime.formatted });
+  }
+
+  const before = findRunner(race.runners, race);
+  const after = findRunner(details.runners, race);
+  if (after && after.nonRunner && !(before && before.nonRunner)) {
+    changes.push({ ...base, field: 'nonRunner', oldValue: 'partant', newValue: 'NP' });
+  }
+  if (before && after && !after.nonRunner && before.jockey && after.jockey && before.jockey !== after.jockey) {
+    changes.push({ ...base, field: 'jockey', oldValue: before.jockey, newValue: after.jockey });
+  }
+
+  return changes;
+}
+
+const describeChange = (c) => ({
+  postTime: `⏰ **Nouveau départ:** ${c.newValue} (au lieu de ${c.oldValue})`,
+  nonRunner: '🚫 **Non-partant**',
+  jockey: `🏇 **Jockey:** ${c.newValue} (au lieu de ${c.oldValue})`,
+})[c.field];
+
+// Race name and category; an entry without a race name shows its track and
+// post time instead
+const describeRace = (race, postTime) =>
+  (race.race || [race.track, postTime && postTime.formatted].filter(Boolean).join(' ') || '-') + (race.cat ? ` (${race.cat})` : '');
+
+// Post a correction and move or drop the pre-race alert to match. Runs in
+// refreshRaceDay's transaction, with the page the changes were read from.
+function queueCorrection(race, changes, postTime) {
+  const alertKey = engagementKey(race);
+  const raceDisplay = describeRace(race, postTime);
+  const content = `⚠️ **CHANGEMENT COURSE**\n\n🐴 **${race.horse}**\n📍 **Hippodrome:** ${race.track}\n🏆 **Course:** ${raceDisplay}\n`
+    + changes.map(describeChange).join('\n') + `\n🔗 [**Voir la course**](${race.raceUrl})`;
+  const nonRunner = changes.some(c => c.field === 'nonRunner');
+  const moved = changes.find(c => c.field === 'postTime');
+
+  recordRaceChanges(changes);
+
+  const message = { title: '⚠️ **CHANGEMENT COURSE**', text: content, items: [{ ...race, postTime: postTime.formatted }] };
+  const opts = { key: 'change:' + alertKey + '@' + now().toISOString() };
+  notifier.queue(message, opts);
+  queueRouted(routes, message, opts);
+  notifySubscribers(subscribers, 'raceChange', message.items, {
+    ...opts,
+    text: content,
+    formatLine: (r) => `• **${r.horse}** — ${r.track} — ${formatLink(raceDisplay, r.raceUrl)} — `
+      + changes.map(c => describeChange(c).replace(/\*\*/g, '')).join(', '),
   });
 
-  console.log(`✅ Updated race data: ${futureRaces.length} future races stored (${newlyFetched.length} newly fetched)`);
-  return true;
+  // An alert still waiting in the outbox has the old time or a horse that
+  // no longer runs; a moved race gets a new alert in its new window. The
+  // '@' keeps the key of another engagement that merely starts the same out.
+  const alertPrefix = 'alert:' + alertKey + '@';
+  if (nonRunner) {
+    expireOutbox(alertPrefix, 'Non-runner');
+  } else if (moved) {
+    expireOutbox(alertPrefix, 'Post time moved to ' + moved.newValue);
+    unmarkAlertSent(alertKey, race.raceUrl);
+  }
+}
+
+// Post times move and horses are withdrawn after the first fetch, so on race
+// day every DP-P race page is read again each REFRESH_EVERY_MINUTES until the
+// off. Returns the number of races with changes.
+async function refreshRaceDay() {
+  const parisTime = getParisDateParts();
+  const at = now().getTime();
+  const cardTimes = getRaceCardTimes();
+  const due = loadStoredRaces().races.filter(race => {
+    const start = postTimeMs(race);
+    return parseRaceDate(race.date) === parisTime.date && start !== null && start > at
+      && at - (cardTimes.get(race.raceUrl) || 0) >= REFRESH_EVERY_MINUTES * 60 * 1000;
+  });
+
+  if (due.length === 0) {
+    console.log('🔁 No race-day pages due for a refresh');
+    return 0;
+  }
+
+  const raceUrls = [...new Set(due.map(r => r.raceUrl))];
+  console.log(`🔁 RACE DAY: re-reading ${raceUrls.length} race pages`);
+
+  let changed = 0;
+  const { ctx, page, close } = await openLoggedInPage();
+  try {
+    for (const raceUrl of raceUrls) {
+      const details = await getRaceDetails(page, ctx, raceUrl);
+      if (!details) continue;
+
+      const races = due.filter(r => r.raceUrl === raceUrl);
+      const postTime = details.postTime && !isUncertain(details.postTime) ? details.postTime : races[0].postTime;
+
+      // The corrections are keyed by when they were queued, so they go in
+      // one transaction with the page they compare against: a crash in
+      // between would find the same changes and post them again
+      inTransaction(() => {
+        for (const race of races) {
+          const changes = raceChanges(race, details);
+          if (changes.length === 0) continue;
+          console.log(`  ⚠️  ${race.horse}: ` + changes.map(c => c.field + ' ' + c.oldValue + ' → ' + c.newValue).join(', '));
+          queueCorrection(race, changes, postTime);
+          changed++;
+        }
+
+        if (details.postTime && (!isUncertain(details.postTime) || isUncertain(races[0].postTime))) {
+          savePostTime(raceUrl, details.postTime);
+        }
+        // A card that didn't render keeps the last one read
+        saveRaceCard(raceUrl, details.runners.length ? details.runners : races[0].runners);
+      });
+    }
+  } finally {
+    await close();
+  }
+
+  console.log(`✅ Race-day refresh: ${changed} races changed`);
+  return changed;
 }
 
 async function checkAndSendAlerts() {
   console.log('⏰ ALERT MODE: Checking for races to alert...');
   
-  const parisTime = getParisTime();
-  const sentAlerts = await loadSentAlerts();
-  const stored = await loadStoredRaces();
+  const parisTime = getParisDateParts();
+  const sentAlerts = loadSentAlerts();
+  const stored = loadStoredRaces();
   
   if (!stored.races || stored.races.length === 0) {
     console.log('ℹ️  No stored races to check');
@@ -373,103 +403,152 @@ async function checkAndSendAlerts() {
     console.log(`🗑️  Filtered out ${stored.races.length - futureRaces.length} past races`);
   }
 
-  const currentMinutes = parisTime.hour * 60 + parisTime.minute;
   const alertsSent = [];
 
   for (const race of futureRaces) {
-    const alertKey = `${race.raceUrl}`;
+    const alertKey = engagementKey(race);
     
-    if (sentAlerts.has(alertKey)) {
+    // Alerts sent before id keys were recorded by race URL
+    if (sentAlerts.has(alertKey) || sentAlerts.has(race.raceUrl)) {
       continue;
     }
 
-    // CRITICAL: Only alert for races happening TODAY
-    // Compare date strings directly to avoid timezone issues
-    const raceDateMatch = race.date.match(/(\d{2})\/(\d{2})\/(\d{4})/);
-    if (!raceDateMatch) {
-      console.log(`  ⚠️  ${race.horse}: Invalid date format "${race.date}", skipping`);
-      continue;
-    }
-    
-    const [, raceDay, raceMonth, raceYear] = raceDateMatch;
-    const todayParts = parisTime.date.split('-'); // "2025-10-31" -> ["2025", "10", "31"]
-    const [todayYear, todayMonth, todayDay] = todayParts;
-    
-    // Compare: year, month, day (all as strings with zero padding)
-    if (raceYear !== todayYear || raceMonth !== todayMonth || raceDay !== todayDay) {
-      // Race is not today, skip it
+    const runner = findRunner(race.runners, race);
+    if (runner && runner.nonRunner) {
       continue;
     }
 
-    const postTime = race.postTime;
-    const raceMinutes = postTime.hour * 60 + postTime.minute;
-
-    // Calculate alert window (between ALERT_WINDOW_START and ALERT_WINDOW_END before race)
-    const windowStartMinutes = raceMinutes - ALERT_WINDOW_START;
-    const windowEndMinutes = raceMinutes - ALERT_WINDOW_END;
+    // Only alert for races happening TODAY (Paris), inside the alert window
+    const minutesUntilRace = alertWindowMinutes(race, parisTime, {
+      windowStart: ALERT_WINDOW_START,
+      windowEnd: ALERT_WINDOW_END,
+    });
 
-    // Check if we're in alert window
-    if (currentMinutes >= windowStartMinutes && currentMinutes < windowEndMinutes) {
-      const minutesUntilRace = raceMinutes - currentMinutes;
+    if (minutesUntilRace !== null) {
+      const postTime = race.postTime;
       
-      console.log(`🚨 SENDING ALERT for ${race.horse} - Race at ${postTime.formatted} (${minutesUntilRace} min)`);
+      console.log(`🚨 SENDING ALERT for ${race.horse} - Race at ${postTime.formatted}${describeSource(postTime)} (${minutesUntilRace} min)`);
 
-      // Format race name with category if available
-      const raceDisplay = race.cat ? `${race.race} (${race.cat})` : race.race;
+      // Format race name with its number in the meeting and category if available
+      const raceName = describeRace(race, postTime);
+      const raceDisplay = postTime.raceNumber ? `${postTime.raceNumber} — ${raceName}` : raceName;
+
+      // A time the parser only guessed is posted, but flagged
+      const uncertain = isUncertain(postTime);
+      const timeDisplay = postTime.formatted + (uncertain ? ` ⚠️ *heure incertaine (${postTime.source})*` : '');
       
       // Format distance if available (e.g., "1.400" -> "1400m")
       const distDisplay = race.dist ? ` — ${race.dist.replace('.', '')}m` : '';
       
-      const content = `🚨 **ALERTE COURSE**\n⏰ **Départ:** ${postTime.formatted}\n\n🐴 **${race.horse}**\n📍 **Hippodrome:** ${race.track}\n🏆 **Course:** ${raceDisplay}${distDisplay}\n🔗 [**Voir la course**](${race.raceUrl})`;
-
-      try {
-        const res = await fetch(WEBHOOK, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ content, allowed_mentions: { parse: [] } }),
+      // Who we're up against, kept short enough for one Discord message
+      const runners = race.runners || [];
+      const fieldDisplay = runners.length
+        ? `\n\n👥 **Partants (${runners.length}):**\n` + formatField(runners, race, 1400).join('\n')
+        : '';
+
+      const content = `🚨 **ALERTE COURSE**\n⏰ **Départ:** ${timeDisplay}\n\n🐴 **${race.horse}**\n📍 **Hippodrome:** ${race.track}\n🏆 **Course:** ${raceDisplay}${distDisplay}\n🔗 [**Voir la course**](${race.raceUrl})${fieldDisplay}`;
+
+      // An alert is worthless once the race has started
+      inTransaction(() => {
+        const message = {
+          kind: 'alert',
+          title: '🚨 **ALERTE COURSE**',
+          text: content,
+          items: [{ ...race, postTime: postTime.formatted, raceNumber: postTime.raceNumber, postTimeUncertain: uncertain }],
+        };
+        // Keyed by post time too, so a race that moves gets a new alert
+        const opts = { key: 'alert:' + alertKey + '@' + postTime.formatted, expiresAt: now().getTime() + minutesUntilRace * 60 * 1000 };
+        notifier.queue(message, opts);
+        queueRouted(routes, message, opts);
+        notifySubscribers(subscribers, 'postTime', message.items, {
+          ...opts,
+          kind: 'alert',
+          title: message.title,
+          text: content,
+          formatLine: (r) => `• ${r.postTime}${r.postTimeUncertain ? ' ⚠️' : ''} — **${r.horse}** — ${r.track} — ${formatLink(raceDisplay, r.raceUrl)}${distDisplay}`
+            + (runners.length ? ` — ${runners.length} partants` : ''),
         });
-
-        if (res.ok) {
-          sentAlerts.add(alertKey);
-          alertsSent.push(race.horse);
-          console.log(`  ✅ Alert sent successfully`);
-        } else {
-          console.error('  ❌ Discord webhook failed:', await res.text());
-        }
-      } catch (err) {
-        console.error('  ❌ Error sending alert:', err.message);
-      }
+        markAlertSent(alertKey, race.raceUrl);
+      });
+      alertsSent.push(race.horse);
     }
   }
 
-  await saveSentAlerts(sentAlerts);
-
   if (alertsSent.length > 0) {
-    console.log(`✅ Sent ${alertsSent.length} race alerts`);
+    console.log(`✅ Queued ${alertsSent.length} race alerts`);
   } else {
     console.log('ℹ️  No alerts to send at this time');
   }
 }
 
-(async () => {
-  const parisTime = getParisTime();
+// Re-parse every recorded course detail page and write the post times and
+// race cards found.
+async function replayRaceDetails() {
+  const raceUrls = await listSnapshots('race_alerts');
+  console.log(`🎞️ Replaying ${raceUrls.length} recorded race pages`);
+
+  const browser = await chromium.launch({ headless: true });
+  const ctx = await browser.newContext();
+  await attachFixtures(ctx);
+  const page = await ctx.newPage();
+  page.setDefaultTimeout(30000);
+
+  const details = {};
+  try {
+    for (const raceUrl of raceUrls) {
+      details[raceUrl] = await getRaceDetails(page, ctx, raceUrl);
+    }
+  } finally {
+    await browser.close();
+  }
+
+  await writeFixtureOutput('race_alerts', details);
+}
+
+async function main() {
+  if (isReplay()) {
+    await replayRaceDetails();
+    return;
+  }
+
+  openStore();
+
+  const parisTime = getParisDateParts();
   console.log(`\n⏰ Current Paris time: ${parisTime.formatted} on ${parisTime.date}\n`);
   
-  const shouldUpdate = await shouldUpdateRaceData();
+  const shouldUpdate = shouldUpdateRaceData();
   
   if (shouldUpdate) {
-    // UPDATE MODE: dpp_races.json was recently updated by engagements scraper
+    // UPDATE MODE: DP-P races were recently updated by engagements scraper
     console.log('🔄 UPDATE MODE: Engagements data is fresh - fetching post times\n');
     await updateRaceData();
-    
-    // Also check for alerts immediately after updating
-    console.log('\n⏰ Now checking for alerts...\n');
-    await checkAndSendAlerts();
+    console.log('');
   } else {
     // ALERT MODE: Just check stored races and send alerts
     console.log('⏰ ALERT MODE: Using stored race data\n');
-    await checkAndSendAlerts();
   }
+
+  // Today's races may have moved since their pages were read. Alerts still go
+  // out at the stored times if this fails.
+  try {
+    await refreshRaceDay();
+  } catch (err) {
+    console.error('❌ Race-day refresh failed: ' + err.message);
+  }
+
+  console.log('\n⏰ Now checking for alerts...\n');
+  await checkAndSendAlerts();
+
+  await deliverOutbox();
   
   console.log('\n✅ Run complete\n');
-})();
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error('❌ ' + err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { main };
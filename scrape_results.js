@@ -2,11 +2,34 @@
 // Google Sheets/Docs integration: GOOGLE_SERVICE_ACCOUNT, SPREADSHEET_ID, DOC_ID
 // France Galop login: FRANCE_GALOP_EMAIL, FRANCE_GALOP_PASSWORD
 
-const { chromium } = require('playwright');
-const fs = require('fs/promises');
-const path = require('path');
 const { google } = require('googleapis');
-const { ensureLoggedIn, loadSessionStorageState } = require('./lib/fg_login');
+const { norm, cleanHorseNameForSheet, cleanHorseNameForDiscord, cleanCategory } = require('./lib/text');
+const { formatLink } = require('./lib/discord');
+const { createNotifier, deliverOutbox } = require('./lib/notifier');
+const { loadRoutes, queueRouted } = require('./lib/routing');
+const { loadSubscribers, notifySubscribers } = require('./lib/rules');
+const { getGoogleAuth, lookupOwner } = require('./lib/google');
+const { isDryRun, printWouldSend } = require('./lib/dry_run');
+const { loadSettings } = require('./lib/config');
+const { resultKey, legacyResultKey } = require('./lib/ids');
+const { ensureLoggedIn, LoginError } = require('./lib/fg_login');
+const { openPage } = require('./lib/browser');
+const { isReplay, snapshotPage, writeFixtureOutput } = require('./lib/fixtures');
+const { now, getParisDateParts, parseSince } = require('./lib/clock');
+const { readRaceResult, formatPodium } = require('./lib/race_result');
+const { findRunner } = require('./lib/race_card');
+const {
+  openStore, inTransaction, hasResult, saveResult, listResultKeysSince, listResults, getRaceResults, saveRaceResult,
+  queueTracking, countPendingTracking,
+} = require('./lib/store');
+
+const settings = loadSettings();
+const UPDATES_TAB = settings.sheets.updatesTab;
+const PAGE_TRIES = settings.browser.pageTries.results;
+
+// Stored results without race details (scraped before they were read) are
+// looked up this many at a time, on top of the new ones
+const BACKFILL_PER_RUN = 5;
 
 const RESULTS_URL = process.env.RESULTS_URL;
 const WEBHOOK = process.env.DISCORD_WEBHOOK_RESULTS;
@@ -22,7 +45,7 @@ const GOOGLE_SERVICE_ACCOUNT = process.env.GOOGLE_SERVICE_ACCOUNT;
 const SPREADSHEET_ID = process.env.SPREADSHEET_ID;
 const DOC_ID = process.env.DOC_ID;
 
-if (!RESULTS_URL || !WEBHOOK) {
+if (!RESULTS_URL || (!WEBHOOK && !isReplay() && !isDryRun())) {
   console.error('Missing RESULTS_URL or DISCORD_WEBHOOK_RESULTS');
   process.exit(1);
 }
@@ -31,206 +54,35 @@ if (!FG_EMAIL || !FG_PASSWORD) {
   console.warn('⚠️ Missing FRANCE_GALOP_EMAIL or FRANCE_GALOP_PASSWORD - login may fail');
 }
 
-if (MANUAL_RUN) {
-  console.log('MANUAL RUN - bypassing schedule checks');
-}
-
-if (FORCE_POST) {
-  console.log('FORCE POST - will post all current results for testing');
-}
-
-const STORE_DIR = 'data';
-const RESULTS_FILE = path.join(STORE_DIR, 'seen_results.json');
-const PENDING_FILE = path.join(STORE_DIR, 'pending_tracking.json');
-const RACE_HISTORY_FILE = path.join(STORE_DIR, 'race_history.json');
-
-const norm = (s) =>
-  (s ?? '')
-    .replace(/\s+/g, ' ')
-    .replace(/[']/g, "'")
-    .trim();
-
-const keyify = (obj) =>
-  norm([obj.horse, obj.date, obj.hippodrome, obj.distance].join(' | ')).toLowerCase();
-
-// Clean horse name for Google Sheets: "COCO VANILLE F. 2 a. ... (Sup.)" -> "Coco Vanille"
-const cleanHorseNameForSheet = (name) => {
-  if (!name) return '';
-
-  let cleaned = name;
-
-  // Remove (Sup.), (sup.), etc. and everything after
-  cleaned = cleaned.replace(/\s*\(Sup\.?\).*$/i, '');
-
-  // Remove ... and everything after
-  cleaned = cleaned.replace(/\s*\.\.\..*$/, '');
-
-  // Remove everything from first country code onwards (GB, IRE, FR, etc.)
-  cleaned = cleaned.replace(/\s+(GB|IRE|FR|USA|AUS|GER|ITY|JPN|NZ|ARG|BRZ|CAN|CHI|DEN|HK|IND|KOR|MAC|MEX|NOR|PER|POL|POR|SAF|SIN|SPA|SWE|SWI|TUR|UAE|URU)\b.*/i, '');
-  cleaned = cleaned.replace(/\s*\([A-Z]{2,3}\).*$/i, '');
-
-  // Remove PS. variations anywhere
-  cleaned = cleaned.replace(/\.?P\.?S\./gi, '');
-
-  // Remove sex/age pattern: M. 2 A., F 3 a., H. 4 A, F. 2, etc.
-  cleaned = cleaned.replace(/\s+[MFH]\.?\s*\d+\s*[Aa]?\.?\s*$/i, '');
-
-  // Clean up extra spaces
-  cleaned = cleaned.replace(/\s+/g, ' ').trim();
-
-  // Title case
-  cleaned = cleaned
-    .toLowerCase()
-    .split(' ')
-    .map(word => {
-      // Keep Roman numerals uppercase
-      if (/^(i|ii|iii|iv|v|vi|vii|viii|ix|x|xi|xii)$/i.test(word)) {
-        return word.toUpperCase();
-      }
-      return word.charAt(0).toUpperCase() + word.slice(1);
-    })
-    .join(' ');
-
-  return cleaned;
-};
-
-// Clean horse name for Discord: remove PS. but keep country/sex/age
-const cleanHorseNameForDiscord = (name) => {
-  if (!name) return '';
-  return name.replace(/\.PS\./g, '.').replace(/PS\./g, '').trim();
-};
-
-// Clean category: ((Classe 2)) -> (C2), ((Maiden)) -> (Maiden)
-const cleanCategory = (cat) => {
-  if (!cat) return '';
-  let cleaned = cat;
-  while (cleaned.includes('((') || cleaned.includes('))')) {
-    cleaned = cleaned.replace(/\(\(/g, '(').replace(/\)\)/g, ')');
-  }
-  cleaned = cleaned.replace(/Classe\s*(\d)/gi, 'C$1');
-  return cleaned;
-};
-
-// Clean double parentheses from any string (for race names)
-const cleanDoubleParens = (str) => {
-  if (!str) return '';
-  let cleaned = str;
-  while (cleaned.includes('((') || cleaned.includes('))')) {
-    cleaned = cleaned.replace(/\(\(/g, '(').replace(/\)\)/g, ')');
-  }
-  cleaned = cleaned.replace(/Classe\s*(\d)/gi, 'C$1');
-  return cleaned;
-};
-
-async function loadSeen() {
+// FG_SINCE (`fg results --since`): post results stored since then again
+let SINCE = null;
+if (process.env.FG_SINCE) {
   try {
-    const txt = await fs.readFile(RESULTS_FILE, 'utf8');
-    return new Map(JSON.parse(txt));
-  } catch {
-    await fs.mkdir(STORE_DIR, { recursive: true });
-    return new Map();
-  }
-}
-
-async function saveSeen(map) {
-  const arr = Array.from(map.entries());
-  const trimmed = arr.slice(-2000);
-  await fs.writeFile(RESULTS_FILE, JSON.stringify(trimmed, null, 2), 'utf8');
-}
-
-async function loadPendingTracking() {
-  try {
-    const txt = await fs.readFile(PENDING_FILE, 'utf8');
-    return JSON.parse(txt);
-  } catch {
-    return [];
+    SINCE = parseSince(process.env.FG_SINCE);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
   }
+  console.log(`🔁 Replaying results stored since ${SINCE.toISOString()}`);
 }
 
-async function savePendingTracking(arr) {
-  await fs.writeFile(PENDING_FILE, JSON.stringify(arr, null, 2), 'utf8');
-}
-
-// ============ RACE HISTORY FOR DASHBOARD ============
-
-async function loadRaceHistory() {
-  try {
-    const txt = await fs.readFile(RACE_HISTORY_FILE, 'utf8');
-    return JSON.parse(txt);
-  } catch {
-    return [];
-  }
+if (MANUAL_RUN) {
+  console.log('MANUAL RUN - bypassing schedule checks');
 }
 
-async function saveRaceHistory(arr) {
-  // Keep only last 300 races
-  const trimmed = arr.slice(0, 300);
-  await fs.writeFile(RACE_HISTORY_FILE, JSON.stringify(trimmed, null, 2), 'utf8');
-  console.log(`Saved ${trimmed.length} races to race_history.json`);
+if (FORCE_POST) {
+  console.log('FORCE POST - will post all current results for testing');
 }
 
 // ============ GOOGLE SHEETS/DOCS INTEGRATION ============
 
-async function getGoogleAuth() {
-  if (!GOOGLE_SERVICE_ACCOUNT) {
-    console.log('No GOOGLE_SERVICE_ACCOUNT - skipping Google integration');
-    return null;
-  }
-
-  try {
-    const credentials = JSON.parse(GOOGLE_SERVICE_ACCOUNT);
-    const auth = new google.auth.GoogleAuth({
-      credentials,
-      scopes: [
-        'https://www.googleapis.com/auth/spreadsheets',
-        'https://www.googleapis.com/auth/documents'
-      ]
-    });
-    return auth;
-  } catch (err) {
-    console.error('Failed to parse Google credentials:', err.message);
-    return null;
-  }
-}
-
-// Lookup owner from Selection 2025/2026 tabs
-async function lookupOwner(sheets, horseName) {
-  const cleanedName = cleanHorseNameForSheet(horseName).toLowerCase();
-
-  for (const tabName of ['Sélection 2026', 'Sélection 2025']) {
-    try {
-      const response = await sheets.spreadsheets.values.get({
-        spreadsheetId: SPREADSHEET_ID,
-        range: `'${tabName}'!A:Z`,
-      });
-
-      const rows = response.data.values || [];
-      if (rows.length === 0) continue;
-
-      const headers = rows[0].map(h => (h || '').toString().trim());
-      const nameCol = headers.findIndex(h => /^Name$/i.test(h));
-      const ownerCol = headers.findIndex(h => /^Proprietaire$/i.test(h));
-
-      if (nameCol === -1 || ownerCol === -1) continue;
-
-      for (let i = 1; i < rows.length; i++) {
-        const rawSheetName = (rows[i][nameCol] || '').toString().trim();
-        const sheetName = cleanHorseNameForSheet(rawSheetName).toLowerCase();
-        if (sheetName === cleanedName) {
-          return (rows[i][ownerCol] || '').toString().trim();
-        }
-      }
-    } catch (err) {
-      console.log(`Could not read ${tabName}: ${err.message}`);
-    }
-  }
-
-  return '';
-}
-
-// Write rows to "Mises a jour" tab - INSERT AT TOP (row 2) with black hyperlinks
+// Write rows to the updates tab ("Mises à jour") - INSERT AT TOP (row 2) with black hyperlinks
 async function writeToSheet(sheets, rowsToAdd) {
   if (!rowsToAdd.length) return;
+  if (isDryRun()) {
+    printWouldSend('to the "' + UPDATES_TAB + '" tab', rowsToAdd.map(row => row.map(c => (c && typeof c === 'object' ? c.text : c)).join(' | ')));
+    return;
+  }
 
   try {
     const spreadsheet = await sheets.spreadsheets.get({
@@ -238,11 +90,11 @@ async function writeToSheet(sheets, rowsToAdd) {
     });
 
     const misesSheet = spreadsheet.data.sheets.find(
-      s => s.properties.title === 'Mises à jour'
+      s => s.properties.title === UPDATES_TAB
     );
 
     if (!misesSheet) {
-      console.error('Could not find "Mises a jour" tab');
+      console.error(`Could not find "${UPDATES_TAB}" tab`);
       return;
     }
 
@@ -277,7 +129,7 @@ async function writeToSheet(sheets, rowsToAdd) {
     // Write data to row 2
     await sheets.spreadsheets.values.update({
       spreadsheetId: SPREADSHEET_ID,
-      range: `'Mises à jour'!A2:E${1 + rowsToAdd.length}`,
+      range: `'${UPDATES_TAB}'!A2:E${1 + rowsToAdd.length}`,
       valueInputOption: 'RAW',
       requestBody: {
         values: valuesForSheet
@@ -343,7 +195,7 @@ async function writeToSheet(sheets, rowsToAdd) {
       });
     }
 
-    console.log(`Added ${rowsToAdd.length} rows to Mises a jour (at top)`);
+    console.log(`Added ${rowsToAdd.length} rows to ${UPDATES_TAB} (at top)`);
   } catch (err) {
     console.error('Failed to write to sheet:', err.message);
   }
@@ -352,6 +204,10 @@ async function writeToSheet(sheets, rowsToAdd) {
 // Write to Google Doc - INSERT AT TOP with bold formatting, uppercase owner, black hyperlinks
 async function appendToDoc(docs, entries) {
   if (!entries || entries.length === 0) return;
+  if (isDryRun()) {
+    printWouldSend('to the Doc', entries.map(e => e.horseName + ' | ' + e.owner + ' | ' + e.changeType + ' | ' + e.notes));
+    return;
+  }
 
   try {
     const doc = await docs.documents.get({ documentId: DOC_ID });
@@ -364,8 +220,8 @@ async function appendToDoc(docs, entries) {
     // Format date like "14 December 2025"
     const months = ['January', 'February', 'March', 'April', 'May', 'June',
                     'July', 'August', 'September', 'October', 'November', 'December'];
-    const now = new Date();
-    const docDate = now.getDate() + ' ' + months[now.getMonth()] + ' ' + now.getFullYear();
+    const today = now();
+    const docDate = today.getDate() + ' ' + months[today.getMonth()] + ' ' + today.getFullYear();
 
     // Group entries by owner
     const byOwner = {};
@@ -501,7 +357,7 @@ async function appendToDoc(docs, entries) {
 
 // Format date as DD/MM/YY
 const formatDate = (date) => {
-  const d = date || new Date();
+  const d = date || now();
   const day = String(d.getDate()).padStart(2, '0');
   const month = String(d.getMonth() + 1).padStart(2, '0');
   const year = String(d.getFullYear()).slice(-2);
@@ -516,25 +372,24 @@ const sheetHyperlink = (text, url) => {
 // ============ SCRAPING ============
 
 async function scrapeResults() {
-  const browser = await chromium.launch({ headless: true });
-  const storageState = await loadSessionStorageState();
-  const ctx = await browser.newContext({
-    userAgent:
-      'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 Chrome/120 Safari/537.36',
-    storageState,
-  });
-  const page = await ctx.newPage();
-  page.setDefaultTimeout(90000);
+  const { ctx, page, close } = await openPage({ timeout: 90000 });
+  try {
+    return await readResults(ctx, page);
+  } finally {
+    await close();
+  }
+}
 
-  // Retry page load up to 5 times with increasing delays
-  for (let attempt = 1; attempt <= 5; attempt++) {
+async function readResults(ctx, page) {
+  // Retry page load with increasing delays (browser.pageTries.results)
+  for (let attempt = 1; attempt <= PAGE_TRIES; attempt++) {
     try {
-      console.log(`Loading page (attempt ${attempt}/5)...`);
+      console.log(`Loading page (attempt ${attempt}/${PAGE_TRIES})...`);
       await page.goto(RESULTS_URL, { waitUntil: 'domcontentloaded', timeout: 90000 });
       break;
     } catch (err) {
       console.log(`Attempt ${attempt} failed: ${err.message}`);
-      if (attempt === 5) throw err;
+      if (attempt === PAGE_TRIES) throw err;
       const delay = attempt * 10000;  // 10s, 20s, 30s, 40s delays
       console.log(`Waiting ${delay/1000}s before retry...`);
       await new Promise(r => setTimeout(r, delay));
@@ -543,7 +398,7 @@ async function scrapeResults() {
 
   // Auth: if RESULTS_URL redirected to CIAM, ensureLoggedIn drives the flow
   // and navigates back to RESULTS_URL. If cached session is still valid,
-  // it's a no-op. On any failure we exit loudly — CI turns red, Discord alerts.
+  // it's a no-op. On any failure the run ends loudly — CI turns red, Discord alerts.
   try {
     await ensureLoggedIn(page, ctx, {
       email: FG_EMAIL,
@@ -551,9 +406,7 @@ async function scrapeResults() {
       targetUrl: RESULTS_URL,
     });
   } catch (err) {
-    console.error('❌ France Galop login failed: ' + err.message);
-    await browser.close();
-    process.exit(1);
+    throw new LoginError(err);
   }
 
   console.log('Page title: ' + await page.title());
@@ -577,10 +430,11 @@ async function scrapeResults() {
 
   if (!table) {
     console.log('No results table found');
-    await browser.close();
     return [];
   }
 
+  await snapshotPage(page, 'results', RESULTS_URL);
+
   const headerCells = await table.locator('thead tr th, tr:first-child th, tr:first-child td').allInnerTexts();
   const headers = headerCells.map(norm);
   const idx = {
@@ -649,85 +503,91 @@ async function scrapeResults() {
   }
 
   console.log(`Scraped ${out.length} results`);
-  await browser.close();
   return out;
 }
 
-const formatLink = (text, url) => {
-  if (url && url.startsWith('http')) {
-    return `[${text}](${url})`;
-  }
-  return text;
-};
+// Race details of the new results, plus a few stored results still without
+// them, from their course detail pages. A new race whose page doesn't show
+// the finishing order yet is looked up again on the next run; an older one
+// is recorded as it is, so it isn't tried forever. Returns every race's
+// details by race URL.
+async function fetchRaceResults(newResults) {
+  const known = getRaceResults();
+  const missing = (rows) => [...new Set(rows.map(r => r.raceUrl).filter(url => url && !known.has(url)))];
+  const fresh = missing(newResults);
+  const backfill = missing(listResults()).filter(url => !fresh.includes(url)).slice(0, BACKFILL_PER_RUN);
+  const raceUrls = [...fresh, ...backfill];
+  if (raceUrls.length === 0) return known;
+
+  console.log(`Reading race details: ${fresh.length} new, ${backfill.length} older results`);
+  const { ctx, page, close } = await openPage({ timeout: 60000 });
+  try {
+    await ensureLoggedIn(page, ctx, {
+      email: FG_EMAIL,
+      password: FG_PASSWORD,
+      targetUrl: raceUrls[0],
+    });
 
-function chunkLines(header, lines, maxLen = 1800) {
-  const chunks = [];
-  let buf = [];
-  let len = header.length + 1;
-  for (const ln of lines) {
-    if (len + ln.length + 1 > maxLen) {
-      chunks.push(`${header}\n${buf.join('\n')}`);
-      buf = [ln];
-      len = header.length + 1 + ln.length + 1;
-    } else {
-      buf.push(ln);
-      len += ln.length + 1;
+    for (const raceUrl of raceUrls) {
+      try {
+        await page.goto(raceUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
+        await page.waitForTimeout(1500);
+        await snapshotPage(page, 'results', raceUrl);
+
+        const result = await readRaceResult(page);
+        if (result || backfill.includes(raceUrl)) saveRaceResult(raceUrl, result || { finishers: [] });
+        console.log(result
+          ? `  ✓ ${result.raceName || raceUrl}: ${result.finishers.length} horses, ${result.going || 'going ?'}, ${result.winningTime || 'time ?'}`
+          : `  ✗ ${raceUrl}: no finishing order yet`);
+      } catch (err) {
+        console.error(`  ⚠️ Could not read ${raceUrl}: ${err.message}`);
+      }
     }
+  } catch (err) {
+    // The results are still posted, without race details
+    console.error('❌ Race details skipped: ' + err.message);
+  } finally {
+    await close();
   }
-  if (buf.length) chunks.push(`${header}\n${buf.join('\n')}`);
-  return chunks;
+
+  return getRaceResults();
 }
 
-(async () => {
-  const seen = await loadSeen();
+async function main() {
   const results = await scrapeResults();
 
+  await writeFixtureOutput('results', results);
+  if (isReplay()) return;
+
+  openStore();
+  const notifier = createNotifier(WEBHOOK);
+  const routes = loadRoutes();
+  const subscribers = loadSubscribers();
+
+  // Results stored under their pre-id text key still count as seen
+  const replayKeys = SINCE ? listResultKeysSince(SINCE.toISOString()) : new Set();
+  const runSeen = new Set();
   const newResults = [];
   for (const r of results) {
-    const k = keyify(r);
-    if (FORCE_POST || !seen.has(k)) {
+    const k = resultKey(r);
+    if (runSeen.has(k)) continue;
+    runSeen.add(k);
+    if (FORCE_POST || replayKeys.has(k) || !hasResult(k, legacyResultKey(r))) {
       newResults.push(r);
-      seen.set(k, { date: r.date, timestamp: Date.now() });
     }
   }
 
-  // Always ensure race_history.json exists (even if empty)
-  const raceHistory = await loadRaceHistory();
-  if (raceHistory.length === 0) {
-    // Initialize empty file so dashboard can load it
-    await saveRaceHistory([]);
-  }
+  const raceResults = await fetchRaceResults(newResults);
 
   if (newResults.length === 0) {
     console.log('No new results - nothing to post');
-    await saveSeen(seen);
-    process.exit(0);
+    await deliverOutbox();
+    return;
   }
 
-  // ============ SAVE RACE HISTORY FOR DASHBOARD ============
-
-  for (const r of newResults) {
-    // Add to beginning of array (most recent first)
-    raceHistory.unshift({
-      horse: cleanHorseNameForSheet(r.horse),
-      date: r.date,
-      track: r.hippodrome,
-      race: cleanCategory(r.cat) || '',
-      distance: r.distance,
-      position: r.place,
-      jockey: r.jockey || '',
-      gain: r.gain || '',
-      raceUrl: r.raceUrl,
-      horseUrl: r.horseUrl,
-      scrapedAt: new Date().toISOString()
-    });
-  }
-
-  await saveRaceHistory(raceHistory);
-
   // ============ GOOGLE SHEETS/DOCS INTEGRATION ============
 
-  const auth = await getGoogleAuth();
+  const auth = await getGoogleAuth(GOOGLE_SERVICE_ACCOUNT);
   let sheets = null;
   let docs = null;
 
@@ -737,11 +597,11 @@ function chunkLines(header, lines, maxLen = 1800) {
 
     const sheetRows = [];
     const docEntries = [];
-    const currentDate = formatDate(new Date());
+    const currentDate = formatDate(now());
 
     for (const r of newResults) {
       const cleanedName = cleanHorseNameForSheet(r.horse);
-      const owner = await lookupOwner(sheets, r.horse);
+      const owner = await lookupOwner(sheets, SPREADSHEET_ID, r.horse);
       const notes = `Place: ${r.place} - ${r.distance} - ${r.hippodrome}`;
 
       sheetRows.push([
@@ -772,48 +632,70 @@ function chunkLines(header, lines, maxLen = 1800) {
 
   // ============ DISCORD POSTING ============
 
-  const pending = await loadPendingTracking();
-
-  const today = new Date().toISOString().slice(0, 10);
-  const lines = newResults.map(
-    r => `${formatLink(cleanHorseNameForDiscord(r.horse), r.horseUrl)} - Place: ${r.place} - ${r.distance} - ${cleanCategory(r.cat) || '-'} - ${r.hippodrome} - ${formatLink(r.date, r.raceUrl)}`
-  );
-
-  const chunks = chunkLines(`**NOUVEAUX RESULTATS - ${today}**`, lines);
-
-  for (const content of chunks) {
-    const res = await fetch(WEBHOOK, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        content,
-        allowed_mentions: { parse: [] },
-        flags: 4
-      }),
-    });
-
-    if (!res.ok) {
-      console.error('Discord webhook failed', await res.text());
-      process.exit(2);
-    }
-  }
+  const today = getParisDateParts().date;
+  const detailsOf = (r) => {
+    const d = raceResults.get(r.raceUrl);
+    return d && d.finishers.length ? d : null;
+  };
+  // Our horse's margin on the one in front: "Place: 3 (à 1 L 1/2)"
+  const placeText = (r) => {
+    const ours = findRunner(detailsOf(r) && detailsOf(r).finishers, r);
+    return r.place + (ours && ours.margin && r.place !== '1' ? ` (à ${ours.margin})` : '');
+  };
+  const resultLine = (r) => {
+    const d = detailsOf(r);
+    const line = `${formatLink(cleanHorseNameForDiscord(r.horse), r.horseUrl)} - Place: ${placeText(r)} - ${r.distance} - ${cleanCategory(r.cat) || '-'} - ${r.hippodrome} - ${formatLink(r.date, r.raceUrl)}`;
+    if (!d) return line;
+    const about = [d.raceName && `🏆 ${d.raceName}`, d.going && `Terrain: ${d.going}`, d.winningTime && `⏱️ ${d.winningTime}`, formatPodium(d)];
+    return line + '\n   ' + about.filter(Boolean).join(' • ');
+  };
 
-  const existingRaceUrls = new Set(pending.map(p => p.raceUrl));
+  // Queue the post and store the results together: once queued the outbox
+  // delivers it, so they must not be picked up as new again
+  inTransaction(() => {
+    const message = {
+      kind: 'results',
+      title: `**NOUVEAUX RESULTATS - ${today}**`,
+      lines: newResults.map(resultLine),
+      items: newResults.map(r => ({ ...r, track: r.hippodrome, place: placeText(r), details: detailsOf(r) })),
+      suppressEmbeds: true,
+    };
+    notifier.queue(message);
+    queueRouted(routes, message, {}, resultLine);
+    notifySubscribers(subscribers, 'result', message.items, { formatLine: resultLine });
 
-  for (const r of newResults) {
-    if (r.raceUrl && !existingRaceUrls.has(r.raceUrl)) {
-      pending.push({
-        horse: r.horse,
+    for (const r of newResults) {
+      saveResult(resultKey(r), {
+        horse: cleanHorseNameForSheet(r.horse),
+        horseUrl: r.horseUrl,
         date: r.date,
+        track: r.hippodrome,
+        race: detailsOf(r) ? detailsOf(r).raceName : '',
         raceUrl: r.raceUrl,
-        hippodrome: r.hippodrome,
-        addedAt: Date.now(),
+        cat: cleanCategory(r.cat) || '',
+        distance: r.distance,
+        position: r.place,
+        jockey: r.jockey,
+        gain: r.gain,
+        owner: r.owner,
       });
+
+      if (r.raceUrl) {
+        queueTracking({ raceUrl: r.raceUrl, horse: r.horse, date: r.date, hippodrome: r.hippodrome });
+      }
     }
-  }
+  });
+
+  await deliverOutbox();
+
+  console.log(`Queued ${newResults.length} new results, ${countPendingTracking()} races queued for tracking check`);
+}
 
-  await saveSeen(seen);
-  await savePendingTracking(pending);
+if (require.main === module) {
+  main().catch((err) => {
+    console.error('❌ ' + err.message);
+    process.exit(1);
+  });
+}
 
-  console.log(`Posted ${newResults.length} new results, ${pending.length} races queued for tracking check`);
-})();
+module.exports = { main };
@@ -0,0 +1,50 @@
+// status_timeline.js
+// Prints how each matching engagement's statut moved over time, from the
+// status_transitions log in the store.
+//
+// Usage: node status_timeline.js --horse <name|url|id> [--race <name|url|id>] [--json]
+//        node status_timeline.js --race <name|url|id>
+
+const { statusTimeline } = require('./lib/store');
+const { cleanHorseNameForDiscord } = require('./lib/text');
+const { formatStatus } = require('./lib/status');
+
+function arg(name) {
+  const i = process.argv.indexOf(name);
+  return i !== -1 ? process.argv[i + 1] : null;
+}
+
+const horse = arg('--horse');
+const race = arg('--race');
+const asJson = process.argv.includes('--json');
+
+if (!horse && !race) {
+  console.error('Usage: node status_timeline.js --horse <name|url|id> [--race <name|url|id>] [--json]');
+  process.exit(1);
+}
+
+const describe = (statut) => formatStatus(statut) + ' (' + statut + ')';
+
+const formatObserved = (ms) =>
+  new Date(ms).toLocaleString('fr-FR', { timeZone: 'Europe/Paris', dateStyle: 'short', timeStyle: 'short' });
+
+const timelines = statusTimeline({ horse, race });
+
+if (asJson) {
+  console.log(JSON.stringify(timelines, null, 2));
+  process.exit(0);
+}
+
+if (timelines.length === 0) {
+  console.log('No status history found');
+  process.exit(0);
+}
+
+for (const t of timelines) {
+  console.log(cleanHorseNameForDiscord(t.horse) + ' — ' + t.date + ' — ' + t.track + ' — ' + t.race + (t.trainer !== 'default' ? ' [' + t.trainer + ']' : ''));
+  for (const tr of t.transitions) {
+    const change = tr.oldStatut ? describe(tr.oldStatut) + ' → ' + describe(tr.newStatut) : describe(tr.newStatut) + ', first seen';
+    console.log('  ' + formatObserved(tr.observedAt) + '  ' + change);
+  }
+  console.log('');
+}
@@ -0,0 +1,136 @@
+// store_branch.js
+// Keeps the store on the `data` branch as a text dump (lib/store_dump.js),
+// so data/fg.db never goes into main's history.
+//
+//   restore   load the branch's dump into the store. Before the branch
+//             exists, import the JSON state files in data/ instead.
+//   save      dump the store and push it to the branch. When another run
+//             pushed in between, its dump and this one are merged row by row
+//             against the dump this run restored.
+//
+// Every workflow restores before its job and saves after it; the dashboard
+// only restores. Runs no longer have to take turns: each saves its own
+// changes on top of whatever was pushed meanwhile.
+//
+// Usage: node store_branch.js restore [--legacy-trainer <id>]
+//        node store_branch.js save [<commit message>]
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { DB_FILE, importJsonState, closeStore } = require('./lib/store');
+const { dumpStore, loadDump, mergeDumps } = require('./lib/store_dump');
+const { loadSettings, loadTrainers } = require('./lib/config');
+
+const BRANCH = 'data';
+const DUMP = 'fg.jsonl';
+const PUSH_TRIES = 5;
+
+// What restore loaded, for save to merge against
+const BASE_DIR = path.join(loadSettings().paths.dataDir, 'store-base');
+const BASE_DUMP = path.join(BASE_DIR, DUMP);
+const BASE_COMMIT = path.join(BASE_DIR, 'commit');
+
+const git = (...args) =>
+  execFileSync('git', args, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'inherit'], maxBuffer: 512 * 1024 * 1024 }).trim();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// The branch's head commit on origin, fetched, or null before it exists
+function fetchBranch() {
+  if (!git('ls-remote', '--heads', 'origin', BRANCH)) return null;
+  git('fetch', '--quiet', '--depth=1', 'origin', BRANCH);
+  return git('rev-parse', 'FETCH_HEAD');
+}
+
+function firstTrainerId() {
+  try {
+    return loadTrainers()[0].id;
+  } catch {
+    return 'default';
+  }
+}
+
+function restore() {
+  // State written before multi-trainer support belongs to the first trainer
+  const argIndex = process.argv.indexOf('--legacy-trainer');
+  const legacyTrainerId = argIndex !== -1 ? process.argv[argIndex + 1] : firstTrainerId();
+  const head = fetchBranch();
+  fs.mkdirSync(BASE_DIR, { recursive: true });
+
+  if (!head) {
+    console.log('🗄️ No ' + BRANCH + ' branch yet - importing the JSON state files into ' + DB_FILE);
+    importJsonState(undefined, { legacyTrainerId });
+    fs.writeFileSync(BASE_DUMP, '');
+    fs.writeFileSync(BASE_COMMIT, '');
+    return;
+  }
+
+  const dump = git('show', head + ':' + DUMP) + '\n';
+  const rows = loadDump(dump);
+  fs.writeFileSync(BASE_DUMP, dump);
+  fs.writeFileSync(BASE_COMMIT, head);
+  console.log('🗄️ Restored ' + rows + ' rows from ' + BRANCH + ' (' + head.slice(0, 7) + ') into ' + DB_FILE);
+}
+
+// Commit `file` as the branch's only file on top of `parent`; null when
+// that changes nothing
+function commitDump(file, parent, message) {
+  const blob = git('hash-object', '-w', file);
+  const tree = execFileSync('git', ['mktree'], { input: '100644 blob ' + blob + '\t' + DUMP + '\n', encoding: 'utf8' }).trim();
+  if (parent && git('rev-parse', parent + '^{tree}') === tree) return null;
+  return git('commit-tree', tree, ...(parent ? ['-p', parent] : []), '-m', message);
+}
+
+async function save() {
+  const message = process.argv[3] || 'Update store';
+  if (!fs.existsSync(BASE_COMMIT)) throw new Error('Nothing restored: run `node store_branch.js restore` before the job');
+
+  let ours = dumpStore();
+  let base = fs.readFileSync(BASE_DUMP, 'utf8');
+  let baseCommit = fs.readFileSync(BASE_COMMIT, 'utf8') || null;
+  const file = path.join(BASE_DIR, 'save.jsonl');
+
+  for (let attempt = 1; attempt <= PUSH_TRIES; attempt++) {
+    const head = fetchBranch();
+    if (head && head !== baseCommit) {
+      console.log('🔀 ' + BRANCH + ' moved to ' + head.slice(0, 7) + ' since restore - merging');
+      const theirs = git('show', head + ':' + DUMP) + '\n';
+      ours = mergeDumps(base, ours, theirs);
+      base = theirs;
+      baseCommit = head;
+    }
+
+    fs.writeFileSync(file, ours);
+    const commit = commitDump(file, head, message);
+    if (!commit) {
+      console.log('No store changes to save');
+      return;
+    }
+    try {
+      git('push', '--quiet', 'origin', commit + ':refs/heads/' + BRANCH);
+      console.log('✅ Saved the store to ' + BRANCH + ' (' + commit.slice(0, 7) + ')');
+      return;
+    } catch {
+      console.log('Push failed (attempt ' + attempt + '/' + PUSH_TRIES + '), merging and retrying...');
+      await sleep(2000);
+    }
+  }
+  throw new Error('Could not push the store to ' + BRANCH + ' after ' + PUSH_TRIES + ' attempts');
+}
+
+async function main() {
+  const command = process.argv[2];
+  try {
+    if (command === 'restore') restore();
+    else if (command === 'save') await save();
+    else throw new Error('Usage: node store_branch.js restore [--legacy-trainer <id>] | save [<commit message>]');
+  } finally {
+    closeStore();
+  }
+}
+
+main().catch((err) => {
+  console.error('❌ ' + err.message);
+  process.exit(1);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('node:child_process');
+const path = require('node:path');
+
+const { now, setNow, getParisDateParts, fromParisTime, parseSince } = require('../lib/clock');
+
+test.afterEach(() => setNow(null));
+
+test('setNow pins the clock to a Date, an ISO string or a function', () => {
+  setNow(new Date('2026-10-18T08:30:00Z'));
+  assert.equal(now().toISOString(), '2026-10-18T08:30:00.000Z');
+
+  setNow('2026-10-18T10:30:00+02:00');
+  assert.equal(now().toISOString(), '2026-10-18T08:30:00.000Z');
+
+  let calls = 0;
+  setNow(() => new Date(Date.UTC(2026, 9, 18, 8, 30 + calls++)));
+  assert.equal(now().toISOString(), '2026-10-18T08:30:00.000Z');
+  assert.equal(now().toISOString(), '2026-10-18T08:31:00.000Z');
+
+  setNow(null);
+  assert.ok(Math.abs(now().getTime() - Date.now()) < 1000);
+});
+
+test('setNow rejects an invalid date', () => {
+  assert.throws(() => setNow('not a date'), /Invalid clock value/);
+});
+
+test('now() returns a copy the caller can change', () => {
+  setNow('2026-10-18T08:30:00Z');
+  now().setUTCHours(0);
+  assert.equal(now().toISOString(), '2026-10-18T08:30:00.000Z');
+});
+
+test('FG_NOW pins the clock for the whole process', () => {
+  const out = execFileSync(process.execPath, ['-e', "console.log(require('./lib/clock').now().toISOString())"], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, FG_NOW: '2026-03-29T03:15:00+02:00' },
+    encoding: 'utf8',
+  });
+  assert.equal(out.trim().split('\n').pop(), '2026-03-29T01:15:00.000Z');
+});
+
+test('Paris parts follow the March DST change', () => {
+  // Clocks go from 02:00 CET to 03:00 CEST at 01:00 UTC
+  assert.equal(getParisDateParts(new Date('2026-03-29T00:59:00Z')).formatted, '01:59');
+  assert.equal(getParisDateParts(new Date('2026-03-29T01:00:00Z')).formatted, '03:00');
+  assert.equal(getParisDateParts(new Date('2026-03-29T08:40:00Z')).formatted, '10:40');
+});
+
+test('Paris parts follow the October DST change', () => {
+  // Clocks go back from 03:00 CEST to 02:00 CET at 01:00 UTC
+  assert.equal(getParisDateParts(new Date('2026-10-25T00:30:00Z')).formatted, '02:30');
+  assert.equal(getParisDateParts(new Date('2026-10-25T01:30:00Z')).formatted, '02:30');
+  assert.equal(getParisDateParts(new Date('2026-10-25T09:40:00Z')).formatted, '10:40');
+});
+
+test('just after midnight Paris is already the next day, hour 0', () => {
+  const parts = getParisDateParts(new Date('2026-06-30T22:05:00Z'));
+  assert.equal(parts.date, '2026-07-01');
+  assert.equal(parts.weekday, 'wed');
+  assert.equal(parts.hour, 0);
+  assert.equal(parts.minutesSinceMidnight, 5);
+});
+
+test('fromParisTime uses the offset of the day asked for', () => {
+  assert.equal(fromParisTime('2026-03-28', 10, 40).toISOString(), '2026-03-28T09:40:00.000Z');
+  assert.equal(fromParisTime('2026-03-29', 10, 40).toISOString(), '2026-03-29T08:40:00.000Z');
+  assert.equal(fromParisTime('2026-10-24', 12, 40).toISOString(), '2026-10-24T10:40:00.000Z');
+  assert.equal(fromParisTime('2026-10-25', 12, 40).toISOString(), '2026-10-25T11:40:00.000Z');
+});
+
+test('fromParisTime around the DST hours themselves', () => {
+  assert.equal(fromParisTime('2026-03-29', 1, 30).toISOString(), '2026-03-29T00:30:00.000Z');
+  assert.equal(fromParisTime('2026-03-29', 3, 0).toISOString(), '2026-03-29T01:00:00.000Z');
+  // 02:30 doesn't exist on the spring day: it lands an hour later, 03:30 CEST
+  assert.equal(fromParisTime('2026-03-29', 2, 30).toISOString(), '2026-03-29T01:30:00.000Z');
+  // 02:30 happens twice on the autumn day: the second one (CET) is taken
+  assert.equal(fromParisTime('2026-10-25', 2, 30).toISOString(), '2026-10-25T01:30:00.000Z');
+});
+
+test('fromParisTime at midnight is the previous UTC day', () => {
+  assert.equal(fromParisTime('2026-07-01').toISOString(), '2026-06-30T22:00:00.000Z');
+  assert.equal(fromParisTime('2026-01-01').toISOString(), '2025-12-31T23:00:00.000Z');
+});
+
+test('parseSince reads Paris dates, ISO timestamps and durations back from now()', () => {
+  setNow('2026-10-18T12:00:00Z');
+  assert.equal(parseSince('2026-10-17').toISOString(), '2026-10-16T22:00:00.000Z');
+  assert.equal(parseSince('2026-10-17T08:30').toISOString(), '2026-10-17T06:30:00.000Z');
+  assert.equal(parseSince('2026-10-17T08:30:00Z').toISOString(), '2026-10-17T08:30:00.000Z');
+  assert.equal(parseSince('90m').toISOString(), '2026-10-18T10:30:00.000Z');
+  assert.equal(parseSince('6h').toISOString(), '2026-10-18T06:00:00.000Z');
+  assert.equal(parseSince('2d').toISOString(), '2026-10-16T12:00:00.000Z');
+  assert.throws(() => parseSince('yesterday'), /Invalid since/);
+});
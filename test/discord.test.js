@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { chunkLines, formatLink } = require('../lib/discord');
+
+// Discord refuses message content over 2000 characters
+const DISCORD_MAX = 2000;
+const HEADER = '📋 **Engagements**';
+
+test('chunkLines keeps everything in one message when it fits', () => {
+  assert.deepEqual(chunkLines(HEADER, ['a', 'b']), [HEADER + '\na\nb']);
+});
+
+test('chunkLines returns no message for no lines', () => {
+  assert.deepEqual(chunkLines(HEADER, []), []);
+});
+
+test('chunkLines fills a message up to exactly maxLen characters', () => {
+  // header + newline + line = 2000
+  const line = 'x'.repeat(DISCORD_MAX - HEADER.length - 1);
+  const chunks = chunkLines(HEADER, [line], DISCORD_MAX);
+  assert.equal(chunks.length, 1);
+  assert.equal(chunks[0].length, DISCORD_MAX);
+});
+
+test('chunkLines starts a new message, with the header, one character past maxLen', () => {
+  const first = 'x'.repeat(DISCORD_MAX - HEADER.length - 1 - 'y'.length - 1);
+  // Exactly 2000 with the newline and "y"
+  assert.equal(chunkLines(HEADER, [first, 'y'], DISCORD_MAX).length, 1);
+
+  const chunks = chunkLines(HEADER, [first, 'yy'], DISCORD_MAX);
+  assert.deepEqual(chunks, [HEADER + '\n' + first, HEADER + '\nyy']);
+});
+
+test('chunkLines never splits a line and never sends a header alone', () => {
+  const long = 'x'.repeat(DISCORD_MAX + 10);
+  assert.deepEqual(chunkLines(HEADER, [long, 'a'], DISCORD_MAX), [HEADER + '\n' + long, HEADER + '\na']);
+});
+
+test('chunkLines keeps every message within the limit and every line in order', () => {
+  const lines = Array.from({ length: 300 }, (_, i) => '• Horse ' + i + ' — ' + 'z'.repeat(i % 40));
+  const chunks = chunkLines(HEADER, lines, DISCORD_MAX);
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(chunk.length <= DISCORD_MAX, chunk.length + ' characters');
+    assert.ok(chunk.startsWith(HEADER + '\n'));
+  }
+  assert.deepEqual(chunks.flatMap(c => c.split('\n').slice(1)), lines);
+});
+
+test('chunkLines defaults to 1800 characters', () => {
+  const lines = Array.from({ length: 100 }, () => 'w'.repeat(50));
+  assert.ok(chunkLines(HEADER, lines).every(c => c.length <= 1800));
+});
+
+test('formatLink links http(s) URLs only', () => {
+  assert.equal(formatLink('Coco Vanille', 'https://www.france-galop.com/fr/cheval/x'), '[Coco Vanille](https://www.france-galop.com/fr/cheval/x)');
+  assert.equal(formatLink('Coco Vanille', 'http://example.com'), '[Coco Vanille](http://example.com)');
+  assert.equal(formatLink('Coco Vanille', '/fr/cheval/x'), 'Coco Vanille');
+  assert.equal(formatLink('Coco Vanille', ''), 'Coco Vanille');
+  assert.equal(formatLink('Coco Vanille', undefined), 'Coco Vanille');
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { execFileSync } = require('node:child_process');
+const { chromium } = require('playwright');
+
+// Synthetic trainer page, results page and course detail pages (see
+// fixtures/sample/README.md), with what each script is expected to parse
+const SAMPLE_DIR = path.join(__dirname, '..', 'fixtures', 'sample');
+const ROOT = path.join(__dirname, '..');
+
+// Replaying needs Chromium (npx playwright install chromium)
+const skip = !fs.existsSync(chromium.executablePath()) && 'Chromium is not installed';
+
+// Replay `script` over a copy of the sample set and return what it wrote
+// next to what was recorded
+function replay(t, script, name, env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fg-fixtures-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.cpSync(SAMPLE_DIR, dir, { recursive: true });
+
+  execFileSync(process.execPath, [script], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      FG_FIXTURES: 'replay',
+      FG_FIXTURE_DIR: dir,
+      FG_DB_FILE: path.join(dir, 'fg.db'),
+      FG_NOW: '2026-10-25T12:11:00Z',
+      ...env,
+    },
+    stdio: 'pipe',
+    timeout: 120000,
+  });
+
+  const read = (mode) => JSON.parse(fs.readFileSync(path.join(dir, 'output', name + '.' + mode + '.json'), 'utf8'));
+  return { replayed: read('replay'), recorded: read('record') };
+}
+
+test('engagements replay matches the recording', { skip }, (t) => {
+  const { replayed, recorded } = replay(t, 'scrape_engagements.js', 'engagements', {
+    TRAINER_URL: 'https://www.france-galop.com/fr/entraineur/sample',
+  });
+  assert.deepEqual(replayed, recorded);
+});
+
+test('results replay matches the recording', { skip }, (t) => {
+  const { replayed, recorded } = replay(t, 'scrape_results.js', 'results', {
+    RESULTS_URL: 'https://www.france-galop.com/fr/entraineur/sample/dernieres-courses',
+  });
+  assert.deepEqual(replayed, recorded);
+});
+
+test('course detail replay matches the recording', { skip }, (t) => {
+  const { replayed, recorded } = replay(t, 'scrape_race_alerts.js', 'race_alerts');
+  assert.deepEqual(replayed, recorded);
+});
+
+test('tracking replay matches the recording', { skip }, (t) => {
+  const { replayed, recorded } = replay(t, 'check_tracking_reports.js', 'tracking');
+  assert.deepEqual(replayed, recorded);
+});
+
+test('every snapshot in the sample manifest is committed and marked synthetic', () => {
+  const manifest = JSON.parse(fs.readFileSync(path.join(SAMPLE_DIR, 'manifest.json'), 'utf8'));
+  const sources = [...new Set(Object.values(manifest).map(e => e.source))].sort();
+  assert.deepEqual(sources, ['engagements', 'race_alerts', 'results', 'tracking']);
+  for (const { file, synthetic, recordedAt } of Object.values(manifest)) {
+    assert.ok(fs.existsSync(path.join(SAMPLE_DIR, file)), file);
+    assert.equal(synthetic, true, file);
+    assert.ok(new Date(recordedAt) <= new Date(), file + ' recordedAt is in the future');
+  }
+  for (const source of sources) {
+    assert.ok(fs.existsSync(path.join(SAMPLE_DIR, 'output', source + '.record.json')), source);
+  }
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { lookupOwner } = require('../lib/google');
+const { loadSettings } = require('../lib/config');
+
+const [FIRST_TAB, SECOND_TAB] = loadSettings().sheets.ownerTabs;
+
+// Sheets client answering values.get from `tabs` ({ <tab>: rows }); a tab
+// missing from `tabs` fails like an unknown range
+function stubSheets(tabs) {
+  const ranges = [];
+  const get = async ({ range }) => {
+    ranges.push(range);
+    const tab = range.match(/^'(.*)'!/)[1];
+    if (!(tab in tabs)) throw new Error('Unable to parse range: ' + range);
+    return { data: { values: tabs[tab] } };
+  };
+  return { ranges, sheets: { spreadsheets: { values: { get } } } };
+}
+
+test('lookupOwner reads the "Propriétaire" column', async () => {
+  const { sheets } = stubSheets({
+    [FIRST_TAB]: [
+      ['Name', 'Sexe', 'Propriétaire'],
+      ['Belle Etoile', 'F', 'Écurie A'],
+      ['Coco Vanille (FR)', 'F', ' Haras de la Forêt '],
+    ],
+  });
+  assert.equal(await lookupOwner(sheets, 'sheet-id', 'COCO VANILLE F. 2 a. ... (Sup.)'), 'Haras de la Forêt');
+});
+
+test('lookupOwner reads the unaccented "Proprietaire" column', async () => {
+  const { sheets } = stubSheets({
+    [FIRST_TAB]: [['name', 'PROPRIETAIRE'], ['Sea The Moon', 'Écurie B']],
+  });
+  assert.equal(await lookupOwner(sheets, 'sheet-id', 'SEA THE MOON GB M. 3 A.'), 'Écurie B');
+});
+
+test('lookupOwner goes on to the next tab when the horse is not in the first', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { sheets, ranges } = stubSheets({
+    [FIRST_TAB]: [['Name', 'Propriétaire'], ['Belle Etoile', 'Écurie A']],
+    [SECOND_TAB]: [['Name', 'Proprietaire'], ['Coco Vanille', 'Écurie C']],
+  });
+  assert.equal(await lookupOwner(sheets, 'sheet-id', 'COCO VANILLE'), 'Écurie C');
+  assert.deepEqual(ranges, ["'" + FIRST_TAB + "'!A:Z", "'" + SECOND_TAB + "'!A:Z"]);
+});
+
+test('lookupOwner skips tabs without a Name or owner column, or that fail to load', async (t) => {
+  const log = t.mock.method(console, 'log', () => {});
+  const { sheets } = stubSheets({
+    [FIRST_TAB]: [['Name', 'Owner'], ['Coco Vanille', 'Écurie A']],
+  });
+  assert.equal(await lookupOwner(sheets, 'sheet-id', 'COCO VANILLE'), '');
+  assert.match(log.mock.calls[0].arguments[0], new RegExp('Could not read ' + SECOND_TAB));
+});
+
+test('lookupOwner returns an empty string for an unknown horse', async () => {
+  const { sheets } = stubSheets({
+    [FIRST_TAB]: [['Name', 'Propriétaire'], ['Belle Etoile', 'Écurie A']],
+    [SECOND_TAB]: [],
+  });
+  assert.equal(await lookupOwner(sheets, 'sheet-id', 'COCO VANILLE'), '');
+});
@@ -0,0 +1,252 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const net = require('node:net');
+
+const { createDiscord } = require('../lib/notifier/discord');
+const { createSlack } = require('../lib/notifier/slack');
+const { createTelegram } = require('../lib/notifier/telegram');
+const { createEmail } = require('../lib/notifier/email');
+
+// Local stand-in for a webhook service. Answers each request with the next
+// of `replies` ({ status, body, headers }), 200 once they run out, and keeps
+// what it was sent in `requests`.
+async function standIn(replies = []) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, path: req.url, headers: req.headers, body: JSON.parse(raw) });
+      const { status = 200, body = '', headers = {} } = replies.shift() || {};
+      res.writeHead(status, headers);
+      res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: 'http://127.0.0.1:' + server.address().port,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+// Minimal SMTP server: accepts every mail, except recipients listed in
+// `reject` ({ <address>: '550 No such user' }), and keeps the accepted ones
+// in `mails` as { from, to, data }
+async function smtpCatcher({ reject = {} } = {}) {
+  const mails = [];
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let mail = null;
+    let inData = false;
+    const reply = (line) => socket.write(line + '\r\n');
+    reply('220 catcher ESMTP');
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            mails.push(mail);
+            reply('250 OK queued');
+          } else {
+            mail.data += line.replace(/^\./, '') + '\n';
+          }
+          continue;
+        }
+        const address = (line.match(/<(.*)>/) || [])[1];
+        if (/^(EHLO|HELO)/i.test(line)) reply('250 catcher');
+        else if (/^MAIL FROM/i.test(line)) { mail = { from: address, to: [], data: '' }; reply('250 OK'); }
+        else if (/^RCPT TO/i.test(line)) {
+          if (reject[address]) reply(reject[address]);
+          else { mail.to.push(address); reply('250 OK'); }
+        } else if (/^DATA/i.test(line)) { inData = true; reply('354 End data with <CR><LF>.<CR><LF>'); }
+        else if (/^QUIT/i.test(line)) { reply('221 Bye'); socket.end(); }
+        else if (/^RSET/i.test(line)) { mail = null; reply('250 OK'); }
+        else reply('502 Command not implemented');
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: 'smtp://127.0.0.1:' + server.address().port,
+    mails,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+const DIGEST = {
+  title: '📋 **Engagements**',
+  lines: ['• [**COCO VANILLE**](https://www.france-galop.com/fr/cheval/x) — Deauville <C4>'],
+};
+
+test('discord posts the rendered payload as JSON', async (t) => {
+  const server = await standIn([{ status: 204 }]);
+  t.after(server.close);
+  const discord = createDiscord(server.url + '/api/webhooks/1/abc', { embeds: false });
+
+  const [payload] = discord.render({ ...DIGEST, mentions: { roles: ['42'], users: [] }, suppressEmbeds: true });
+  await discord.deliver(payload);
+
+  assert.equal(server.requests.length, 1);
+  const { method, path, headers, body } = server.requests[0];
+  assert.equal(method, 'POST');
+  assert.equal(path, '/api/webhooks/1/abc');
+  assert.match(headers['content-type'], /^application\/json/);
+  assert.deepEqual(body, {
+    content: '<@&42>\n' + DIGEST.title + '\n' + DIGEST.lines[0],
+    allowed_mentions: { roles: ['42'], users: [] },
+    flags: 4,
+  });
+});
+
+test('discord posts results, alerts and digests with items as embeds', async (t) => {
+  const server = await standIn();
+  t.after(server.close);
+  const discord = createDiscord(server.url, { embeds: true });
+
+  const race = { horse: 'COCO VANILLE', race: 'PRIX A', track: 'DEAUVILLE', raceUrl: 'https://example.com/course' };
+  const payloads = discord.render({ kind: 'alert', text: '🚨 COCO VANILLE', items: [race] });
+  for (const payload of payloads) await discord.deliver(payload);
+
+  assert.equal(server.requests.length, payloads.length);
+  assert.ok(Array.isArray(server.requests[0].body.embeds));
+  assert.ok(server.requests[0].body.embeds.length > 0);
+});
+
+test('discord rejects a non-2xx reply with its status', async (t) => {
+  const server = await standIn([{ status: 404, body: { message: 'Unknown Webhook', code: 10015 } }]);
+  t.after(server.close);
+  const discord = createDiscord(server.url, { embeds: false });
+
+  await assert.rejects(discord.deliver({ content: 'x' }), (err) => {
+    assert.equal(err.status, 404);
+    assert.match(err.message, /^HTTP 404: .*Unknown Webhook/);
+    assert.equal(err.retryAfter, null);
+    return true;
+  });
+});
+
+test('discord passes on retry_after from a 429', async (t) => {
+  const server = await standIn([{ status: 429, body: { message: 'You are being rate limited.', retry_after: 1.5, global: false } }]);
+  t.after(server.close);
+  const discord = createDiscord(server.url, { embeds: false });
+
+  await assert.rejects(discord.deliver({ content: 'x' }), { status: 429, retryAfter: 1.5 });
+});
+
+test('slack posts mrkdwn text', async (t) => {
+  const server = await standIn([{ status: 200, body: 'ok' }]);
+  t.after(server.close);
+  const slack = createSlack(server.url + '/services/T/B/X');
+
+  const [payload] = slack.render({ ...DIGEST, suppressEmbeds: true });
+  await slack.deliver(payload);
+
+  assert.equal(server.requests[0].path, '/services/T/B/X');
+  assert.deepEqual(server.requests[0].body, {
+    text: '📋 *Engagements*\n• <https://www.france-galop.com/fr/cheval/x|*COCO VANILLE*> — Deauville &lt;C4&gt;',
+    mrkdwn: true,
+    unfurl_links: false,
+    unfurl_media: false,
+  });
+});
+
+test('slack rejects a non-2xx reply, plain-text body included', async (t) => {
+  const server = await standIn([{ status: 403, body: 'invalid_token' }, { status: 429, headers: { 'Retry-After': '30' }, body: 'rate_limited' }]);
+  t.after(server.close);
+  const slack = createSlack(server.url);
+
+  await assert.rejects(slack.deliver({ text: 'x' }), { status: 403, message: 'HTTP 403: invalid_token', retryAfter: null });
+  await assert.rejects(slack.deliver({ text: 'x' }), { status: 429, retryAfter: 30 });
+});
+
+test('telegram sends HTML to the bot\'s sendMessage with the chat id', async (t) => {
+  const server = await standIn([{ status: 200, body: { ok: true, result: { message_id: 1 } } }]);
+  t.after(server.close);
+  const telegram = createTelegram('-100123', { token: '123:ABC', apiUrl: server.url + '/' });
+
+  const [payload] = telegram.render(DIGEST);
+  await telegram.deliver(payload);
+
+  assert.equal(server.requests[0].path, '/bot123:ABC/sendMessage');
+  assert.deepEqual(server.requests[0].body, {
+    chat_id: '-100123',
+    text: '📋 <b>Engagements</b>\n• <a href="https://www.france-galop.com/fr/cheval/x"><b>COCO VANILLE</b></a> — Deauville &lt;C4&gt;',
+    parse_mode: 'HTML',
+    disable_web_page_preview: false,
+  });
+});
+
+test('telegram rejects an error reply and reads retry_after from its parameters', async (t) => {
+  const server = await standIn([
+    { status: 400, body: { ok: false, error_code: 400, description: 'Bad Request: chat not found' } },
+    { status: 429, body: { ok: false, error_code: 429, description: 'Too Many Requests: retry after 7', parameters: { retry_after: 7 } } },
+  ]);
+  t.after(server.close);
+  const telegram = createTelegram('-100123', { token: '123:ABC', apiUrl: server.url });
+
+  await assert.rejects(telegram.deliver({ text: 'x' }), (err) => {
+    assert.equal(err.status, 400);
+    assert.match(err.message, /chat not found/);
+    return true;
+  });
+  await assert.rejects(telegram.deliver({ text: 'x' }), { status: 429, retryAfter: 7 });
+});
+
+test('telegram needs a bot token', () => {
+  assert.throws(() => createTelegram('-100123', { token: '' }), /TELEGRAM_BOT_TOKEN is not set/);
+});
+
+test('email sends one mail with a plain-text subject, text and HTML body', async (t) => {
+  const server = await smtpCatcher();
+  t.after(server.close);
+  const email = createEmail('a@example.fr,b@example.fr', { smtpUrl: server.url, from: 'fg@example.fr' });
+
+  const payloads = email.render(DIGEST);
+  assert.equal(payloads.length, 1);
+  assert.equal(payloads[0].subject, '📋 Engagements');
+  assert.equal(payloads[0].text, '📋 Engagements\n• COCO VANILLE (https://www.france-galop.com/fr/cheval/x) — Deauville <C4>');
+  assert.match(payloads[0].html, /<a href="https:\/\/www\.france-galop\.com\/fr\/cheval\/x"><b>COCO VANILLE<\/b><\/a> — Deauville &lt;C4&gt;/);
+
+  await email.deliver(payloads[0]);
+  assert.equal(server.mails.length, 1);
+  const [mail] = server.mails;
+  assert.equal(mail.from, 'fg@example.fr');
+  assert.deepEqual(mail.to, ['a@example.fr', 'b@example.fr']);
+  assert.match(mail.data, /^Subject: =\?UTF-8\?/m);
+  assert.match(mail.data, /^Content-Type: multipart\/alternative/m);
+});
+
+test('email marks a 5xx SMTP reply as permanent', async (t) => {
+  const server = await smtpCatcher({ reject: { 'gone@example.fr': '550 5.1.1 No such user' } });
+  t.after(server.close);
+  const email = createEmail('gone@example.fr', { smtpUrl: server.url, from: 'fg@example.fr' });
+
+  await assert.rejects(email.deliver(email.render({ text: 'Hello' })[0]), (err) => {
+    assert.equal(err.responseCode, 550);
+    assert.equal(err.permanent, true);
+    return true;
+  });
+  assert.equal(server.mails.length, 0);
+});
+
+test('email leaves a 4xx SMTP reply retryable', async (t) => {
+  const server = await smtpCatcher({ reject: { 'full@example.fr': '452 4.2.2 Mailbox full' } });
+  t.after(server.close);
+  const email = createEmail('full@example.fr', { smtpUrl: server.url, from: 'fg@example.fr' });
+
+  await assert.rejects(email.deliver(email.render({ text: 'Hello' })[0]), (err) => {
+    assert.equal(err.responseCode, 452);
+    assert.equal(err.permanent, undefined);
+    return true;
+  });
+});
+
+test('email needs SMTP_URL', () => {
+  assert.throws(() => createEmail('a@example.fr', { smtpUrl: '' }), /SMTP_URL is not set/);
+});
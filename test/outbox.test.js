@@ -0,0 +1,188 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+
+// The store opens FG_DB_FILE when it is first required
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fg-outbox-'));
+process.env.FG_DB_FILE = path.join(tmpDir, 'fg.db');
+
+const { setNow } = require('../lib/clock');
+const { openStore, closeStore, enqueueOutbox } = require('../lib/store');
+const { createBackend } = require('../lib/notifier/targets');
+const { deliverOutbox } = require('../lib/notifier/outbox');
+
+const T0 = '2026-10-18T08:40:00Z';
+const at = (iso, ms = 0) => new Date(iso).getTime() + ms;
+
+test.after(() => {
+  closeStore();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test.beforeEach((t) => {
+  setNow(T0);
+  for (const method of ['log', 'warn', 'error']) t.mock.method(console, method, () => {});
+});
+
+test.afterEach(() => setNow(null));
+
+// Stand-in webhook answering each post with the next of `replies`
+// ({ status, body }), 204 once they run out
+async function standIn(t, replies = []) {
+  const posts = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      posts.push(JSON.parse(raw));
+      const { status = 204, body = '' } = replies.shift() || {};
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  const backend = createBackend('discord:http://127.0.0.1:' + server.address().port + '/hook');
+  return { posts, backend, backends: new Map([[backend.id, backend]]) };
+}
+
+// Queue one post per content for the stand-in; returns the outbox ids
+function queue(backend, contents, { key = null } = {}) {
+  enqueueOutbox(contents.map((content, part) => ({ key, targetId: backend.id, backend: backend.name, part, payload: { content } })));
+  return openStore()
+    .prepare('SELECT id FROM outbox WHERE target_id = ? ORDER BY id')
+    .all(backend.id)
+    .map(r => r.id)
+    .slice(-contents.length);
+}
+
+const row = (id) => openStore()
+  .prepare('SELECT status, attempts, next_attempt_at AS nextAttemptAt, last_error AS lastError FROM outbox WHERE id = ?')
+  .get(id);
+
+// Pretend the row already failed `attempts` times
+const failedBefore = (id, attempts) =>
+  openStore().prepare('UPDATE outbox SET attempts = ? WHERE id = ?').run(attempts, id);
+
+test('a delivered row is marked sent and never posted again', async (t) => {
+  const { posts, backend, backends } = await standIn(t);
+  const [id] = queue(backend, ['Hello'], { key: 'digest:1' });
+
+  assert.deepEqual(await deliverOutbox(backends), { sent: 1, waiting: 0, failed: 0, expired: 0 });
+  assert.deepEqual([row(id).status, row(id).attempts], ['sent', 1]);
+  assert.deepEqual(posts, [{ content: 'Hello' }]);
+
+  // Neither a later run nor the same message queued again posts it twice
+  assert.equal(enqueueOutbox([{ key: 'digest:1', targetId: backend.id, backend: backend.name, payload: { content: 'Hello' } }]), 0);
+  assert.deepEqual(await deliverOutbox(backends), { sent: 0, waiting: 0, failed: 0, expired: 0 });
+  assert.equal(posts.length, 1);
+});
+
+test('failures back off exponentially between runs', async (t) => {
+  const { backend, backends } = await standIn(t, [{ status: 500 }, { status: 500 }]);
+  const [id] = queue(backend, ['Hello']);
+
+  // The 5th attempt waits 2s * 2^4 = 32s: longer than a run waits, so it is left for later
+  failedBefore(id, 4);
+  assert.deepEqual(await deliverOutbox(backends), { sent: 0, waiting: 1, failed: 0, expired: 0 });
+  assert.deepEqual(row(id), { status: 'pending', attempts: 5, nextAttemptAt: at(T0, 32000), lastError: 'HTTP 500: ' });
+
+  // Not due yet: nothing is posted
+  setNow(new Date(at(T0, 31000)));
+  assert.deepEqual(await deliverOutbox(backends), { sent: 0, waiting: 1, failed: 0, expired: 0 });
+  assert.equal(row(id).attempts, 5);
+
+  // Due: the 6th attempt fails too and waits twice as long
+  setNow(new Date(at(T0, 32000)));
+  await deliverOutbox(backends);
+  assert.deepEqual([row(id).attempts, row(id).nextAttemptAt], [6, at(T0, 32000 + 64000)]);
+});
+
+test('the backoff stops growing at an hour', async (t) => {
+  const { backend, backends } = await standIn(t, [{ status: 502 }]);
+  const [id] = queue(backend, ['Hello']);
+
+  failedBefore(id, 20);
+  await deliverOutbox(backends);
+  assert.equal(row(id).nextAttemptAt, at(T0, 60 * 60 * 1000));
+});
+
+test('a short 429 retry_after is waited out within the run', async (t) => {
+  const { posts, backend, backends } = await standIn(t, [{ status: 429, body: { message: 'You are being rate limited.', retry_after: 0.05 } }]);
+  const [id] = queue(backend, ['Hello']);
+
+  assert.deepEqual(await deliverOutbox(backends), { sent: 1, waiting: 0, failed: 0, expired: 0 });
+  assert.deepEqual([row(id).status, row(id).attempts], ['sent', 2]);
+  assert.equal(posts.length, 2);
+});
+
+test('a long 429 retry_after is left for a later run, at the time asked for', async (t) => {
+  const { posts, backend, backends } = await standIn(t, [{ status: 429, body: { retry_after: 45.2 } }]);
+  const [id] = queue(backend, ['Hello']);
+
+  assert.deepEqual(await deliverOutbox(backends), { sent: 0, waiting: 1, failed: 0, expired: 0 });
+  assert.deepEqual([row(id).status, row(id).attempts, row(id).nextAttemptAt], ['pending', 1, at(T0, 45200)]);
+
+  setNow(new Date(at(T0, 45200)));
+  assert.deepEqual(await deliverOutbox(backends), { sent: 1, waiting: 0, failed: 0, expired: 0 });
+  assert.equal(posts.length, 2);
+});
+
+test('a failing part holds back the later parts of its target', async (t) => {
+  const { posts, backend, backends } = await standIn(t, [{ status: 429, body: { retry_after: 60 } }]);
+  const [first, second] = queue(backend, ['Part 1', 'Part 2']);
+
+  assert.deepEqual(await deliverOutbox(backends), { sent: 0, waiting: 2, failed: 0, expired: 0 });
+  assert.deepEqual([row(first).attempts, row(second).attempts], [1, 0]);
+
+  setNow(new Date(at(T0, 60000)));
+  assert.deepEqual(await deliverOutbox(backends), { sent: 2, waiting: 0, failed: 0, expired: 0 });
+  assert.deepEqual(posts.map(p => p.content), ['Part 1', 'Part 1', 'Part 2']);
+});
+
+test('a permanent error moves the row to failed at once', async (t) => {
+  const { posts, backend, backends } = await standIn(t, [{ status: 404, body: { message: 'Unknown Webhook' } }]);
+  const [id] = queue(backend, ['Hello']);
+
+  assert.deepEqual(await deliverOutbox(backends), { sent: 0, waiting: 0, failed: 1, expired: 0 });
+  assert.equal(row(id).status, 'failed');
+  assert.equal(row(id).attempts, 1);
+  assert.match(row(id).lastError, /^HTTP 404: .*Unknown Webhook/);
+
+  // Failed rows are never tried again
+  setNow(new Date(at(T0, 24 * 60 * 60 * 1000)));
+  await deliverOutbox(backends);
+  assert.equal(posts.length, 1);
+});
+
+test('a row still failing after giveUpAfterHours moves to failed', async (t) => {
+  const { posts, backend, backends } = await standIn(t, [{ status: 500 }, { status: 500 }]);
+  const [id] = queue(backend, ['Hello']);
+  failedBefore(id, 11);
+
+  // Just inside the 24 hours: rescheduled
+  setNow(new Date(at(T0, 24 * 60 * 60 * 1000)));
+  assert.deepEqual(await deliverOutbox(backends), { sent: 0, waiting: 1, failed: 0, expired: 0 });
+  assert.deepEqual([row(id).status, row(id).attempts], ['pending', 12]);
+
+  // Past them: dead
+  setNow(new Date(row(id).nextAttemptAt));
+  assert.deepEqual(await deliverOutbox(backends), { sent: 0, waiting: 0, failed: 1, expired: 0 });
+  assert.deepEqual([row(id).status, row(id).attempts], ['failed', 13]);
+
+  await deliverOutbox(backends);
+  assert.equal(posts.length, 2);
+});
+
+test('a row past its expiry is closed without being posted', async (t) => {
+  const { posts, backend, backends } = await standIn(t);
+  enqueueOutbox([{ targetId: backend.id, backend: backend.name, payload: { content: 'Alert' }, expiresAt: at(T0, 60000) }]);
+
+  setNow(new Date(at(T0, 60000)));
+  assert.deepEqual(await deliverOutbox(backends), { sent: 0, waiting: 0, failed: 0, expired: 1 });
+  assert.equal(posts.length, 0);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parsePostTime } = require('../lib/post_time');
+
+const header = (text, source = '[class*="race-header"]') => ({ source, text, header: true });
+const body = (text) => ({ source: 'body', text, header: false });
+
+test('a labelled time in the header is trusted most', () => {
+  const time = parsePostTime([
+    header('C3 - PRIX DE LA FORÊT Deauville - Réunion 1re course 13h15 Départ : 14h31 - Plat - 1600 mètres'),
+    body('Réunion du jour : 1re course 13h15 ... Départ : 14h31'),
+  ]);
+  assert.deepEqual(time, {
+    hour: 14,
+    minute: 31,
+    formatted: '14h31',
+    raceNumber: 'C3',
+    source: '[class*="race-header"], Départ',
+    confidence: 'high',
+  });
+});
+
+test('labels: "Heure de départ", "départ prévu à", a colon', () => {
+  assert.equal(parsePostTime([header('Heure de départ 15h05')]).formatted, '15h05');
+  assert.equal(parsePostTime([header('Départ prévu à 16 h 20')]).formatted, '16h20');
+  assert.equal(parsePostTime([header('Depart : 17:45')]).formatted, '17h45');
+});
+
+test('an unlabelled time in the header beats a labelled one in the body', () => {
+  const time = parsePostTime([header('PRIX DES LILAS 14h31 Plat'), body('Départ : 16h00')]);
+  assert.deepEqual([time.formatted, time.source, time.confidence], ['14h31', '[class*="race-header"], heure seule', 'medium']);
+});
+
+test('a labelled time in the body beats an unlabelled one before it', () => {
+  const time = parsePostTime([header('PRIX DES LILAS'), body('Réunion à 13h15 ... Départ : 15h40')]);
+  assert.deepEqual([time.formatted, time.source, time.confidence], ['15h40', 'body, Départ', 'medium']);
+});
+
+test('any time in the body is the last resort', () => {
+  const time = parsePostTime([header('PRIX DES LILAS'), body('Mise à jour 10h12')]);
+  assert.deepEqual([time.formatted, time.source, time.confidence], ['10h12', 'body, heure seule', 'low']);
+});
+
+test('header candidates are tried in order', () => {
+  const time = parsePostTime([header('PRIX DES LILAS', '[class*="race-header"]'), header('Départ : 14h31', 'main h1')]);
+  assert.equal(time.source, 'main h1, Départ');
+});
+
+test('implausible hours are skipped for the next time', () => {
+  // 6h30 before racing hours, 00h15 after
+  assert.equal(parsePostTime([header('Départ : 6h30 Départ : 14h31')]).formatted, '14h31');
+  assert.equal(parsePostTime([header('Départ : 00h15')]), null);
+  assert.equal(parsePostTime([header('Départ : 23h59')]).formatted, '23h59');
+  assert.equal(parsePostTime([header('Départ : 9h00')]).formatted, '9h00');
+  // Not a time: minutes over 59
+  assert.equal(parsePostTime([header('14h75')]), null);
+});
+
+test('dates, distances and amounts are not times', () => {
+  assert.equal(parsePostTime([body('25/10/2026 12.30 32 000 € 1600 m')]), null);
+  assert.equal(parsePostTime([body('Réf. 123h45')]), null);
+});
+
+test('race number: "C3 - " heading or "R1C3", not a "(C3)" category', () => {
+  assert.equal(parsePostTime([header('C3 - PRIX DE LA FORÊT Départ : 14h31')]).raceNumber, 'C3');
+  assert.equal(parsePostTime([header('Deauville R1C4 PRIX DES LILAS Départ : 14h31')]).raceNumber, 'C4');
+  assert.equal(parsePostTime([header('PRIX DES LILAS (C3) Départ : 14h31')]).raceNumber, null);
+});
+
+test('race number: "Course n° 5" and "5e course"', () => {
+  assert.equal(parsePostTime([header('Course n° 5 - PRIX X Départ : 14h31')]).raceNumber, 'C5');
+  assert.equal(parsePostTime([header('PRIX X - 7e course Départ : 14h31')]).raceNumber, 'C7');
+  assert.equal(parsePostTime([header('PRIX X - 07ème course Départ : 14h31')]).raceNumber, 'C7');
+});
+
+test('the race number is read from the header only', () => {
+  const time = parsePostTime([header('PRIX DES LILAS Départ : 14h31'), body('R1C6 PRIX SUIVANT')]);
+  assert.equal(time.raceNumber, null);
+});
+
+test('a page without any time has none', () => {
+  assert.equal(parsePostTime([header('C3 - PRIX DES LILAS'), body('Programme à venir')]), null);
+  assert.equal(parsePostTime([]), null);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseRaceResult, placeNumber, podium, formatPodium } = require('../lib/race_result');
+
+// What readRaceResult reads from the finished race page of
+// fixtures/sample (Maisons-Laffitte C4), as the browser renders its text
+const HEADING = 'C4 - PRIX DES AIGLES';
+const BODY = [
+  'France Galop',
+  'C4 - PRIX DES AIGLES',
+  'Maisons-Laffitte - Vendredi 16 octobre 2026',
+  'Départ : 15h05 - Plat - 2000 mètres - Classe 3 - 24 000 €',
+  'Documents',
+  'Rapport de tracking',
+  'Arrivée',
+  'État du terrain : Bon souple',
+  'Temps du vainqueur : 2\'04"36',
+  'Place\tN°\tCheval\tJockey',
+].join('\n');
+
+const runner = (place, horse, extra = {}) => ({
+  place, number: '', horse, horseUrl: '', jockey: '', trainer: '', owner: '', weight: '', margin: '', ...extra,
+});
+
+test('parseRaceResult sorts by place, keeping the page order of ties and of non-finishers last', () => {
+  const result = parseRaceResult({
+    finishers: [
+      runner('NP', 'WITHDRAWN'),
+      runner('3', 'THIRD'),
+      runner('1', 'WINNER'),
+      runner('DAI', 'PULLED UP'),
+      runner('2', 'SECOND A'),
+      runner('2', 'SECOND B'),
+      runner('10', 'TENTH'),
+    ],
+    heading: HEADING,
+    body: BODY,
+  });
+  assert.deepEqual(result.finishers.map(f => f.horse), ['WINNER', 'SECOND A', 'SECOND B', 'THIRD', 'TENTH', 'WITHDRAWN', 'PULLED UP']);
+});
+
+test('parseRaceResult reads the race name without its number, the going and the winning time', () => {
+  const result = parseRaceResult({ finishers: [runner('1', 'WINNER')], heading: HEADING, body: BODY });
+  assert.deepEqual(
+    { raceName: result.raceName, going: result.going, winningTime: result.winningTime },
+    { raceName: 'PRIX DES AIGLES', going: 'Bon souple', winningTime: '2\'04"36' },
+  );
+  assert.equal(parseRaceResult({ finishers: [runner('1', 'W')], heading: 'R1C4 PRIX X' }).raceName, 'PRIX X');
+});
+
+test('parseRaceResult reads the going however it is labelled', () => {
+  const going = (body) => parseRaceResult({ finishers: [runner('1', 'W')], body }).going;
+  assert.equal(going('Etat du terrain : Très souple\nTemps : 1\'40"10'), 'Très souple');
+  assert.equal(going('Terrain: Collant (3,9)'), 'Collant (3,9)');
+  assert.equal(going('Terrain Lourd'), 'Lourd');
+  assert.equal(going('Plat - 1600 mètres'), '');
+});
+
+test('parseRaceResult reads the winning time in each of its notations', () => {
+  const time = (body) => parseRaceResult({ finishers: [runner('1', 'W')], body }).winningTime;
+  assert.equal(time('Temps du vainqueur : 1\'38"52'), '1\'38"52');
+  assert.equal(time('Temps : 1 \' 38 \'\' 52'), '1\'38\'\'52');
+  assert.equal(time('Temps du gagnant 58"40'), '58"40');
+  assert.equal(time('Temps du 1er : 1:38.52'), '1:38.52');
+  assert.equal(time('Temps: 1’38”52'), '1’38”52');
+  assert.equal(time('Départ : 15h05'), '');
+});
+
+test('parseRaceResult is null before the race is run', () => {
+  assert.equal(parseRaceResult({ finishers: [] }), null);
+  assert.equal(parseRaceResult({ finishers: [runner('', 'A'), runner('NP', 'B')], body: BODY }), null);
+});
+
+test('placeNumber reads leading digits only', () => {
+  assert.equal(placeNumber('1'), 1);
+  assert.equal(placeNumber('12e'), 12);
+  assert.equal(placeNumber('NP'), null);
+  assert.equal(placeNumber(''), null);
+});
+
+test('podium and formatPodium after a dead heat for second', () => {
+  const result = parseRaceResult({
+    finishers: [runner('1', 'WINNER'), runner('2', 'SECOND A'), runner('2', 'SECOND B'), runner('4', 'FOURTH')],
+  });
+  assert.deepEqual(podium(result).map(f => f.horse), ['WINNER', 'SECOND A', 'SECOND B']);
+  assert.equal(formatPodium(result), '🥇 WINNER · 🥈 SECOND A · 🥈 SECOND B');
+});
+
+test('podium after a dead heat for third, and of a small field', () => {
+  const deadHeat = parseRaceResult({
+    finishers: [runner('1', 'A'), runner('2', 'B'), runner('3', 'C'), runner('3', 'D'), runner('5', 'E')],
+  });
+  assert.equal(formatPodium(deadHeat), '🥇 A · 🥈 B · 🥉 C · 🥉 D');
+
+  const small = parseRaceResult({ finishers: [runner('1', 'A'), runner('2', 'B'), runner('NP', 'C')] });
+  assert.equal(formatPodium(small), '🥇 A · 🥈 B');
+});
+
+test('podium of no result is empty', () => {
+  assert.deepEqual(podium(null), []);
+  assert.equal(formatPodium(null), '');
+});
@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { setNow, now, getParisDateParts } = require('../lib/clock');
+const { shouldPostNow, filterPastRaces, alertWindowMinutes } = require('../lib/schedule');
+
+// The default digest: a morning post at 10:40 and a second one at 12:40
+const SCHEDULE = {
+  timezone: 'Europe/Paris',
+  times: [{ hour: 10, minute: 40 }, { hour: 12, minute: 40 }],
+  weekdays: ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'],
+  skipWeekends: false,
+  skipHolidays: false,
+  skipDates: [],
+};
+const MORNING = 10 * 60 + 40;
+const SECOND = 12 * 60 + 40;
+
+// Decision for a run at `at` (pinned with setNow, as the scrapers see it)
+function decide(at, lastPosted = null, opts = {}) {
+  setNow(at);
+  return shouldPostNow({ lastPosted }, now(), { schedule: SCHEDULE, ...opts });
+}
+
+test.afterEach(() => setNow(null));
+
+test('nothing is posted before the morning target', () => {
+  const d = decide('2026-10-18T10:39:00+02:00', '2026-10-17T12:41:00+02:00');
+  assert.equal(d.post, false);
+  assert.equal(d.reason, 'no target reached yet today');
+});
+
+test('the morning target posts once', () => {
+  const first = decide('2026-10-18T10:40:00+02:00', '2026-10-17T12:41:00+02:00');
+  assert.deepEqual([first.post, first.target], [true, MORNING]);
+
+  const again = decide('2026-10-18T10:50:00+02:00', '2026-10-18T10:40:00+02:00');
+  assert.deepEqual([again.post, again.target], [false, MORNING]);
+});
+
+test('the second target posts once after the morning post', () => {
+  const d = decide('2026-10-18T12:41:00+02:00', '2026-10-18T10:40:00+02:00');
+  assert.deepEqual([d.post, d.target], [true, SECOND]);
+
+  const again = decide('2026-10-18T18:00:00+02:00', '2026-10-18T12:41:00+02:00');
+  assert.equal(again.post, false);
+});
+
+test('a late cron run still posts the morning digest', () => {
+  // The 10:40 run started at 12:05: the morning post hasn't gone out yet
+  const d = decide('2026-10-18T12:05:00+02:00', '2026-10-17T12:45:00+02:00');
+  assert.deepEqual([d.post, d.target], [true, MORNING]);
+  assert.equal(d.reason, 'last post was on an earlier day');
+});
+
+test('a late cron run still posts the second digest', () => {
+  // The 12:40 run started at 15:20
+  const d = decide('2026-10-18T15:20:00+02:00', '2026-10-18T10:42:00+02:00');
+  assert.deepEqual([d.post, d.target], [true, SECOND]);
+  assert.equal(d.reason, 'last post today was before current target window');
+});
+
+test('a run so late it misses both targets posts one digest for the latest', () => {
+  const d = decide('2026-10-18T13:00:00+02:00', '2026-10-17T12:41:00+02:00');
+  assert.deepEqual([d.post, d.target], [true, SECOND]);
+  assert.equal(decide('2026-10-18T13:10:00+02:00', '2026-10-18T13:00:00+02:00').post, false);
+});
+
+test('targets are Paris times on the March DST day', () => {
+  // 2026-03-29: 10:40 Paris is 08:40 UTC (CEST), not 09:40
+  assert.equal(decide('2026-03-29T08:39:00Z', '2026-03-28T12:45:00+01:00').post, false);
+  const d = decide('2026-03-29T08:40:00Z', '2026-03-28T12:45:00+01:00');
+  assert.deepEqual([d.post, d.target], [true, MORNING]);
+  // The day before, still CET
+  assert.equal(decide('2026-03-28T09:39:00Z', '2026-03-27T12:45:00+01:00').post, false);
+  assert.equal(decide('2026-03-28T09:40:00Z', '2026-03-27T12:45:00+01:00').post, true);
+});
+
+test('targets are Paris times on the October DST day', () => {
+  // 2026-10-25: 12:40 Paris is 11:40 UTC (CET), not 10:40
+  assert.equal(decide('2026-10-25T10:40:00Z', '2026-10-25T10:41:00+01:00').post, false);
+  const d = decide('2026-10-25T11:40:00Z', '2026-10-25T10:41:00+01:00');
+  assert.deepEqual([d.post, d.target], [true, SECOND]);
+});
+
+test('a post on the evening before the DST change counts for that day only', () => {
+  const d = decide('2026-10-25T09:45:00Z', '2026-10-24T12:45:00+02:00');
+  assert.deepEqual([d.post, d.target], [true, MORNING]);
+});
+
+test('just after midnight the new day has no target reached yet', () => {
+  // Yesterday's second post was missed: nothing is posted at 00:05, the
+  // changes wait for today's morning target
+  const d = decide('2026-10-19T00:05:00+02:00', '2026-10-18T10:41:00+02:00');
+  assert.equal(d.post, false);
+  assert.equal(d.reason, 'no target reached yet today');
+});
+
+test('a post just after midnight does not count for that day\'s targets', () => {
+  const d = decide('2026-10-19T10:41:00+02:00', '2026-10-19T00:10:00+02:00');
+  assert.deepEqual([d.post, d.target], [true, MORNING]);
+});
+
+test('force posts whatever the time', () => {
+  const d = decide('2026-10-19T03:00:00+02:00', '2026-10-19T00:10:00+02:00', { force: true });
+  assert.equal(d.post, true);
+  assert.equal(d.target, null);
+});
+
+test('skipped days post nothing', () => {
+  const schedule = { ...SCHEDULE, skipHolidays: true };
+  setNow('2026-11-11T11:00:00+01:00');
+  const d = shouldPostNow({ lastPosted: null }, now(), { schedule });
+  assert.equal(d.post, false);
+  assert.match(d.reason, /public holiday/);
+});
+
+const race = (date, hour, minute) => ({ horse: 'H', date, postTime: { hour, minute } });
+
+test('filterPastRaces keeps races still to come in Paris', () => {
+  const races = [race('18/10/2026', 14, 30), race('18/10/2026', 16, 0), race('19/10/2026', 13, 0), race('17/10/2026', 18, 0)];
+  const kept = filterPastRaces(races, getParisDateParts(new Date('2026-10-18T13:00:00Z')));
+  assert.deepEqual(kept.map(r => r.date + ' ' + r.postTime.hour), ['18/10/2026 16', '19/10/2026 13']);
+});
+
+test('filterPastRaces drops races without a post time or date', () => {
+  const races = [{ horse: 'H', date: '18/10/2026' }, { horse: 'H', date: '', postTime: { hour: 20, minute: 0 } }];
+  assert.deepEqual(filterPastRaces(races, getParisDateParts(new Date('2026-10-18T08:00:00Z'))), []);
+});
+
+test('filterPastRaces compares post times in Paris across the DST changes', () => {
+  const march = [race('29/03/2026', 13, 0)];
+  // 12:30 UTC is 14:30 CEST on the spring day: the 13h00 race has started
+  assert.deepEqual(filterPastRaces(march, getParisDateParts(new Date('2026-03-29T11:30:00Z'))), []);
+  assert.equal(filterPastRaces(march, getParisDateParts(new Date('2026-03-29T10:30:00Z'))).length, 1);
+
+  const october = [race('25/10/2026', 13, 0)];
+  // 11:30 UTC is 12:30 CET on the autumn day: still to come
+  assert.equal(filterPastRaces(october, getParisDateParts(new Date('2026-10-25T11:30:00Z'))).length, 1);
+  assert.deepEqual(filterPastRaces(october, getParisDateParts(new Date('2026-10-25T12:30:00Z'))), []);
+});
+
+test('filterPastRaces just after midnight: yesterday\'s evening races are gone', () => {
+  const races = [race('18/10/2026', 21, 30), race('19/10/2026', 0, 30), race('19/10/2026', 0, 1)];
+  const kept = filterPastRaces(races, getParisDateParts(new Date('2026-10-18T22:05:00Z')));
+  assert.deepEqual(kept.map(r => r.postTime.hour + ':' + r.postTime.minute), ['0:30']);
+});
+
+test('alertWindowMinutes is open from windowStart to windowEnd minutes before the off', () => {
+  const r = race('29/03/2026', 14, 31);
+  const at = (iso) => alertWindowMinutes(r, getParisDateParts(new Date(iso)), { windowStart: 20, windowEnd: 5 });
+  assert.equal(at('2026-03-29T12:10:00Z'), null);
+  assert.equal(at('2026-03-29T12:11:00Z'), 20);
+  assert.equal(at('2026-03-29T12:25:00Z'), 6);
+  assert.equal(at('2026-03-29T12:26:00Z'), null);
+  assert.equal(at('2026-03-28T12:11:00Z'), null);
+});
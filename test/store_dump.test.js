@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+// The store opens FG_DB_FILE when it is first required
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fg-dump-'));
+process.env.FG_DB_FILE = path.join(tmpDir, 'fg.db');
+
+const { openStore, closeStore, setState, getState, markAlertSent, enqueueOutbox } = require('../lib/store');
+const { dumpStore, loadDump, mergeDumps } = require('../lib/store_dump');
+
+test.after(() => {
+  closeStore();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// Dump text of the given tables: { <table>: [rows] }
+function dump(tables) {
+  const lines = [];
+  for (const [t, rows] of Object.entries(tables)) {
+    const key = t === 'outbox' ? ['id'] : ['key'];
+    lines.push(JSON.stringify({ t, key, autoincrement: t === 'outbox' }));
+    for (const r of rows) lines.push(JSON.stringify({ t, r }));
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Rows of one table of a dump
+const rows = (text, table) => text
+  .split('\n')
+  .filter(Boolean)
+  .map(line => JSON.parse(line))
+  .filter(v => v.t === table && v.r)
+  .map(v => v.r);
+
+const post = (id, msgKey, status = 'pending') => ({ id, msg_key: msgKey, target_id: 't1', part: 0, status });
+const alert = (key, sentAt) => ({ key, sent_at: sentAt });
+
+test('a dump loads back into the same store', () => {
+  setState('last_run', '2026-10-18');
+  markAlertSent('race|COCO', 'https://www.france-galop.com/fr/course/detail/x');
+  enqueueOutbox([{ key: 'digest:1', targetId: 't1', backend: 'discord', payload: { content: 'Hello' } }]);
+  const text = dumpStore();
+
+  openStore().prepare('DELETE FROM state').run();
+  assert.equal(getState('last_run', null), null);
+
+  loadDump(text);
+  assert.equal(getState('last_run', null), '2026-10-18');
+  assert.equal(dumpStore(), text);
+});
+
+test('a dump lists each table\'s rows in primary key order', () => {
+  enqueueOutbox([{ key: 'digest:2', targetId: 't1', backend: 'discord', payload: { content: 'Again' } }]);
+  const ids = rows(dumpStore(), 'outbox').map(r => r.id);
+  assert.deepEqual(ids, [...ids].sort((a, b) => a - b));
+  assert.equal(ids.length, 2);
+});
+
+test('merge keeps what each side added or changed', () => {
+  const base = dump({ alerts_sent: [alert('a', '1')] });
+  const ours = dump({ alerts_sent: [alert('a', '1'), alert('b', '2')] });
+  const theirs = dump({ alerts_sent: [alert('a', '1'), alert('c', '3')] });
+  assert.deepEqual(rows(mergeDumps(base, ours, theirs), 'alerts_sent'), [alert('a', '1'), alert('b', '2'), alert('c', '3')]);
+});
+
+test('merge keeps a row only theirs changed, and drops one only ours deleted', () => {
+  const base = dump({ alerts_sent: [alert('a', '1'), alert('b', '1')] });
+  const ours = dump({ alerts_sent: [alert('a', '1')] });
+  const theirs = dump({ alerts_sent: [alert('a', '2'), alert('b', '1')] });
+  assert.deepEqual(rows(mergeDumps(base, ours, theirs), 'alerts_sent'), [alert('a', '2')]);
+});
+
+test('merge renumbers outbox rows both sides added under the same ids, in order', () => {
+  const base = dump({ outbox: [post(1, 'digest:1', 'sent')] });
+  const ours = dump({ outbox: [post(1, 'digest:1', 'sent'), post(2, 'alert:x@1'), { ...post(3, 'alert:x@1'), part: 1 }] });
+  const theirs = dump({ outbox: [post(1, 'digest:1', 'sent'), post(2, 'result:y')] });
+
+  const merged = rows(mergeDumps(base, ours, theirs), 'outbox');
+  assert.deepEqual(merged.map(r => [r.id, r.msg_key, r.part]), [
+    [1, 'digest:1', 0],
+    [2, 'result:y', 0],
+    [3, 'alert:x@1', 0],
+    [4, 'alert:x@1', 1],
+  ]);
+});
+
+test('merge keeps a post sent by either side sent', () => {
+  const base = dump({ outbox: [post(1, 'digest:1')] });
+  const sent = dump({ outbox: [{ ...post(1, 'digest:1', 'sent'), attempts: 1 }] });
+  const retried = dump({ outbox: [{ ...post(1, 'digest:1'), attempts: 1 }] });
+
+  assert.equal(rows(mergeDumps(base, retried, sent), 'outbox')[0].status, 'sent');
+  assert.equal(rows(mergeDumps(base, sent, retried), 'outbox')[0].status, 'sent');
+});
+
+test('merge folds a message both sides queued into one row', () => {
+  const base = dump({ outbox: [] });
+  const ours = dump({ outbox: [post(5, 'digest:2', 'sent')] });
+  const theirs = dump({ outbox: [post(7, 'digest:2')] });
+
+  const merged = rows(mergeDumps(base, ours, theirs), 'outbox');
+  assert.deepEqual(merged, [post(7, 'digest:2', 'sent')]);
+});
+
+test('merge from an empty base takes both sides', () => {
+  const merged = mergeDumps('', dump({ alerts_sent: [alert('a', '1')] }), dump({ alerts_sent: [alert('b', '1')] }));
+  assert.deepEqual(rows(merged, 'alerts_sent').map(r => r.key), ['a', 'b']);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { norm, cleanHorseNameForSheet, cleanCategory } = require('../lib/text');
+
+test('norm collapses whitespace and trims', () => {
+  assert.equal(norm('  PRIX  DE\tLA\n FORÊT '), 'PRIX DE LA FORÊT');
+  assert.equal(norm(' C4 '), 'C4');
+});
+
+test('norm turns null and undefined into an empty string', () => {
+  assert.equal(norm(null), '');
+  assert.equal(norm(undefined), '');
+  assert.equal(norm(''), '');
+});
+
+test('cleanHorseNameForSheet keeps the name only, title-cased', () => {
+  assert.equal(cleanHorseNameForSheet('COCO VANILLE F. 2 a. ... (Sup.)'), 'Coco Vanille');
+  assert.equal(cleanHorseNameForSheet('COCO VANILLE F. 2 a.'), 'Coco Vanille');
+  assert.equal(cleanHorseNameForSheet('SEA THE MOON GB M. 3 A.'), 'Sea The Moon');
+  assert.equal(cleanHorseNameForSheet('SEA THE MOON (IRE)'), 'Sea The Moon');
+  assert.equal(cleanHorseNameForSheet('Coco Vanille (FR)'), 'Coco Vanille');
+});
+
+test('cleanHorseNameForSheet drops PS. and keeps Roman numerals in capitals', () => {
+  assert.equal(cleanHorseNameForSheet('KING LOUIS III.PS. H. 4 A.'), 'King Louis III');
+  assert.equal(cleanHorseNameForSheet('PS. BELLE ETOILE F 3 a.'), 'Belle Etoile');
+});
+
+test('cleanHorseNameForSheet of nothing is an empty string', () => {
+  assert.equal(cleanHorseNameForSheet(''), '');
+  assert.equal(cleanHorseNameForSheet(null), '');
+});
+
+test('cleanCategory collapses double parentheses and shortens Classe', () => {
+  assert.equal(cleanCategory('((Classe 2))'), '(C2)');
+  assert.equal(cleanCategory('(((Maiden)))'), '(Maiden)');
+  assert.equal(cleanCategory('Handicap Classe 3'), 'Handicap C3');
+  assert.equal(cleanCategory('(Groupe II)'), '(Groupe II)');
+  assert.equal(cleanCategory(''), '');
+  assert.equal(cleanCategory(undefined), '');
+});
@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { parseTrackingText, pdfText, segmentLength, formatSeconds } = require('../lib/tracking_pdf');
+
+// The sample set's report (fixtures/sample/tracking), a table with each
+// cell drawn as its own text item, and its text as pdfText extracts it
+const SAMPLE = path.join(__dirname, '..', 'fixtures', 'sample', 'tracking', 'last_times_SAMPLE_R1C4');
+
+// Text as pdf-parse gives it: segments labelled "from-to" metres from the
+// finish, no "last" columns
+const RANGE_REPORT = [
+  'Rapport de tracking - R1C4 PRIX DE LA FORET - DEAUVILLE 22/08/2026',
+  'Pl N Cheval 1600-1400 1400-1200 1200-1000 1000-800 800-600 600-400 400-200 200-0 Vmax Dist. parcourue',
+  '1 3 FAST ONE (IRE) 13.10 11.80 12.05 12.10 11.95 11.40 11.05 11.60 63.8 km/h 1608 m',
+  '2 5 BIG MONEY MAN 13.30 11.75 12.00 12.20 11.90 11.35 11.10 11.70 62.4 km/h 1615 m',
+  'NP 7 SLOW ONE',
+  'DAI 4 STOPPED SHORT 13.40 12.10',
+].join('\n');
+
+// Segments labelled by the distance run, times as 12"10, and the report's
+// own "Derniers" columns
+const CUMULATIVE_REPORT = [
+  'Pl N Cheval 200m 400m 600m 800m 1000m Vit. max Distance Derniers 600m Derniers 400m',
+  '1 2 L\'ÉTOILE DU NORD 12"10 11"85 11"60 11"40 11"75 64,2 km/h 1012 m 34"75 23"15',
+  '2 6 SECOND (FR) 12\'\'10 12"00 11"70 11"50 11"90 63,1 km/h 1009 m 35"10 23"40',
+  'TB 9 FELL AWAY',
+].join('\n');
+
+test('segmentLength of "from-to" labels', () => {
+  assert.equal(segmentLength(['1600-1400', '1400-1200', '200-0']), 200);
+  assert.equal(segmentLength(['0-200', '200-400']), 200);
+  assert.equal(segmentLength(['1600 - 1400', '1400 - 1200']), 200);
+});
+
+test('segmentLength of distance-run labels', () => {
+  assert.equal(segmentLength(['200m', '400m', '600m']), 200);
+  assert.equal(segmentLength(['100m', '300m', '500m']), 200);
+});
+
+test('segmentLength is null when the segments differ', () => {
+  assert.equal(segmentLength(['1600-1400', '1400-1100']), null);
+  assert.equal(segmentLength(['200m', '400m', '500m']), null);
+  assert.equal(segmentLength(['200m']), null);
+});
+
+test('parseTrackingText reads "from-to" segments, top speed and distance covered', () => {
+  const [first, second] = parseTrackingText(RANGE_REPORT);
+  assert.deepEqual(
+    { place: first.place, number: first.number, horse: first.horse, topSpeed: first.topSpeed, distanceCovered: first.distanceCovered },
+    { place: '1', number: '3', horse: 'FAST ONE (IRE)', topSpeed: 63.8, distanceCovered: 1608 },
+  );
+  assert.deepEqual(first.sectionals.map(s => s.label), ['1600-1400', '1400-1200', '1200-1000', '1000-800', '800-600', '600-400', '400-200', '200-0']);
+  assert.deepEqual(first.sectionals.map(s => s.seconds), [13.1, 11.8, 12.05, 12.1, 11.95, 11.4, 11.05, 11.6]);
+  assert.equal(second.horse, 'BIG MONEY MAN');
+});
+
+test('parseTrackingText adds up the last splits from 200 m segments', () => {
+  const [first] = parseTrackingText(RANGE_REPORT);
+  assert.deepEqual(first.lastSplits, { 200: 11.6, 400: 22.65, 600: 34.05 });
+});
+
+test('parseTrackingText reads distance-run segments and the report\'s last splits', () => {
+  const [first, second] = parseTrackingText(CUMULATIVE_REPORT);
+  assert.equal(first.horse, 'L\'ÉTOILE DU NORD');
+  assert.deepEqual(first.sectionals, [
+    { label: '200m', seconds: 12.1 },
+    { label: '400m', seconds: 11.85 },
+    { label: '600m', seconds: 11.6 },
+    { label: '800m', seconds: 11.4 },
+    { label: '1000m', seconds: 11.75 },
+  ]);
+  assert.equal(first.topSpeed, 64.2);
+  assert.equal(first.distanceCovered, 1012);
+  // The report's own columns, not added up from the segments
+  assert.deepEqual(first.lastSplits, { 400: 23.15, 600: 34.75 });
+  assert.equal(second.sectionals[0].seconds, 12.1);
+});
+
+test('parseTrackingText skips a non-runner row without figures', () => {
+  assert.ok(!parseTrackingText(RANGE_REPORT).some(h => h.place === 'NP'));
+  assert.deepEqual(parseTrackingText(CUMULATIVE_REPORT).map(h => h.place), ['1', '2']);
+});
+
+test('parseTrackingText keeps a pulled-up horse without matching its few figures to columns', () => {
+  const stopped = parseTrackingText(RANGE_REPORT).find(h => h.place === 'DAI');
+  assert.deepEqual(stopped, {
+    place: 'DAI',
+    number: '4',
+    horse: 'STOPPED SHORT',
+    sectionals: [],
+    topSpeed: null,
+    distanceCovered: null,
+    lastSplits: {},
+  });
+});
+
+test('parseTrackingText of a text without a header row is empty', () => {
+  assert.deepEqual(parseTrackingText('Rapport indisponible\n1 2 HORSE 12.1 12.2'), []);
+  assert.deepEqual(parseTrackingText(''), []);
+});
+
+test('pdfText keeps the cells of a row a space apart', async () => {
+  const text = await pdfText(fs.readFileSync(SAMPLE + '.pdf'));
+  assert.equal(text, fs.readFileSync(SAMPLE + '.txt', 'utf8'));
+  assert.ok(text.includes('\n1 3 ÉTOILE FILANTE 15.20 11.90 '));
+});
+
+test('parseTrackingText reads the sample report\'s extracted text', () => {
+  const horses = parseTrackingText(fs.readFileSync(SAMPLE + '.txt', 'utf8'));
+  // The finishers of the sample page's Arrivée table, in the same order
+  assert.deepEqual(horses.map(h => [h.place, h.number, h.horse]), [
+    ['1', '3', 'ÉTOILE FILANTE'],
+    ['2', '1', 'TORRENT (FR)'],
+    ['3', '5', 'PLUME D\'OR'],
+  ]);
+  const [winner] = horses;
+  assert.equal(winner.sectionals.length, 10);
+  assert.deepEqual(winner.sectionals[0], { label: '2000-1800', seconds: 15.2 });
+  // Adds up to the page's winning time, 2'04"36
+  assert.equal(formatSeconds(winner.sectionals.reduce((sum, s) => sum + s.seconds, 0)), '2\'04"36');
+  assert.deepEqual(
+    { topSpeed: winner.topSpeed, distanceCovered: winner.distanceCovered, lastSplits: winner.lastSplits },
+    { topSpeed: 64.1, distanceCovered: 2009, lastSplits: { 200: 11.65, 400: 23.51, 600: 35.71 } },
+  );
+});
+
+test('formatSeconds writes seconds the way the reports do', () => {
+  assert.equal(formatSeconds(35.1), '35"10');
+  assert.equal(formatSeconds(11.05), '11"05');
+  assert.equal(formatSeconds(72.34), '1\'12"34');
+  assert.equal(formatSeconds(60), '1\'00"00');
+});